@@ -317,9 +317,60 @@ const runBenchmarks = async () => {
     diffResults.forEach(r => log.result(r.name, r.time, r.opsPerSec, r.rawOps === maxOps5));
 
     // ============================================
-    // TEST 6: Memory Usage
+    // TEST 6: Business Days
     // ============================================
-    log.header('💾 TEST 6: Memory Usage (100,000 objects)');
+    const BUSINESS_ITERATIONS = 10_000;
+    log.header('💼 TEST 6: Business Days (short vs multi-year ranges)');
+    log.subheader(`Adding / diffing business days ${BUSINESS_ITERATIONS.toLocaleString()} times - cost should not grow with the range`);
+    console.log('  Library'.padEnd(35) + '  Time'.padStart(10) + '  Throughput'.padStart(18));
+    log.separator();
+
+    nano.holidays.define('BENCH', [
+        { name: 'New Year', month: 1, day: 1 },
+        { name: 'Independence Day', month: 7, day: 4 },
+        { name: 'Thanksgiving', month: 11, weekday: 4, nth: 4 },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Christmas', month: 12, day: 25 }
+    ], { observed: 'nearest' });
+    const holidayList = nano.holidays.list('BENCH', 2026).map(h => h.date);
+    const tenYearsLater = nano(testDate).add(10, 'years');
+    const tenYearsLaterJs = tenYearsLater.toDate();
+
+    // Day-by-day reference (the previous implementation's approach)
+    const stepBusinessDays = (date, days) => {
+        const d = new Date(date);
+        for (let left = days; left > 0;) {
+            d.setUTCDate(d.getUTCDate() + 1);
+            const day = d.getUTCDay();
+            if (day !== 0 && day !== 6) left--;
+        }
+        return d;
+    };
+
+    const businessResults = [];
+
+    businessResults.push(benchmark('NanoDate: addBusinessDays(20)', () => nanoDate.addBusinessDays(20), BUSINESS_ITERATIONS));
+    businessResults.push(benchmark('NanoDate: addBusinessDays(2500)', () => nanoDate.addBusinessDays(2500), BUSINESS_ITERATIONS));
+    businessResults.push(benchmark('NanoDate: +2500 bdays, holidays', () => nanoDate.addBusinessDays(2500, holidayList), BUSINESS_ITERATIONS));
+    businessResults.push(benchmark('NanoDate: +2500 bdays, calendar', () => nanoDate.addBusinessDays(2500, { calendar: 'BENCH' }), BUSINESS_ITERATIONS));
+    businessResults.push(benchmark('NanoDate: diffBusinessDays(10y)', () => nanoDate.diffBusinessDays(tenYearsLater), BUSINESS_ITERATIONS));
+    businessResults.push(benchmark('NanoDate: diffBusinessDays(10y,cal)', () => nanoDate.diffBusinessDays(tenYearsLater, { calendar: 'BENCH' }), BUSINESS_ITERATIONS));
+    businessResults.push(benchmark('Native: day-by-day loop (2500)', () => stepBusinessDays(jsDate, 2500), BUSINESS_ITERATIONS));
+
+    if (dateFns) {
+        businessResults.push(benchmark('date-fns: addBusinessDays(2500)', () => dateFns.addBusinessDays(jsDate, 2500), BUSINESS_ITERATIONS));
+        businessResults.push(benchmark('date-fns: differenceInBusinessDays', () => dateFns.differenceInBusinessDays(tenYearsLaterJs, jsDate), BUSINESS_ITERATIONS));
+    }
+
+    nano.holidays.remove('BENCH');
+
+    const maxOps6 = Math.max(...businessResults.map(r => r.rawOps));
+    businessResults.forEach(r => log.result(r.name, r.time, r.opsPerSec, r.rawOps === maxOps6));
+
+    // ============================================
+    // TEST 7: Memory Usage
+    // ============================================
+    log.header('💾 TEST 7: Memory Usage (100,000 objects)');
     log.subheader('Creating and measuring heap after 100,000 object creations');
     console.log('  Library'.padEnd(35) + '  Memory Delta'.padStart(15) + '  Per Object'.padStart(15));
     log.separator();
@@ -361,7 +412,7 @@ const runBenchmarks = async () => {
     log.header('📈 Summary');
     log.separator();
     console.log(colors.green + '  ✅ Benchmark complete!' + colors.reset);
-    console.log(`\n  Total tests: ${creationResults.length + formatResults.length + manipResults.length + chainResults.length + diffResults.length + memResults.length}`);
+    console.log(`\n  Total tests: ${creationResults.length + formatResults.length + manipResults.length + chainResults.length + diffResults.length + businessResults.length + memResults.length}`);
     console.log(`  Libraries compared: NanoDate, Native Date${dayjs ? ', Day.js' : ''}${dateFns ? ', date-fns' : ''}${moment ? ', Moment.js' : ''}`);
     console.log('\n' + colors.bold + '═'.repeat(70) + colors.reset + '\n');
 };
@@ -0,0 +1,66 @@
+/**
+ * NanoDate Global Configuration
+ * Shared state for config() so every module resolves defaults the same way
+ * Scoped instances from nano.withConfig() use their own object of the same shape
+ *
+ * Precedence: instance > config() > environment
+ * - locale:   nano(x, 'tr') > config({ locale }) > navigator.language > 'en'
+ * - timezone: toTz(zone)    > config({ timezone }) > host timezone
+ * - weekend:  { weekend } option of business-day methods > config({ weekend }) > Saturday/Sunday
+ */
+
+// ============================================
+// STATE
+// ============================================
+
+/**
+ * Global configuration - mutated in place by config()/resetConfig()
+ * so importers always see the current values
+ */
+export const globalConfig = {
+    strict: false,
+    locale: null,
+    timezone: null,
+    weekend: null
+};
+
+/**
+ * Restore default configuration
+ */
+export const resetGlobalConfig = () => {
+    globalConfig.strict = false;
+    globalConfig.locale = null;
+    globalConfig.timezone = null;
+    globalConfig.weekend = null;
+};
+
+// ============================================
+// RESOLVERS
+// ============================================
+
+/**
+ * Environment locale
+ * Browser: navigator.language, otherwise 'en'
+ */
+export const envLocale = () =>
+    typeof navigator !== 'undefined' && navigator.language ? navigator.language : 'en';
+
+/**
+ * Default locale when an instance has none (config > environment)
+ */
+export const defaultLocale = () => globalConfig.locale || envLocale();
+
+/**
+ * Configuration a context was created under
+ * Scoped instances (nano.withConfig) carry their own in _c
+ * @param {Object} ctx - NanoDate context
+ * @returns {Object} Configuration { strict, locale, timezone, weekend }
+ */
+export const getConfig = (ctx) => ctx._c || globalConfig;
+
+/**
+ * Resolve locale of a NanoDate context (instance > config > environment)
+ * @param {Object} ctx - NanoDate context
+ * @returns {string} Locale
+ */
+export const getLocale = (ctx) => ctx._l || getConfig(ctx).locale || envLocale();
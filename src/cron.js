@@ -0,0 +1,498 @@
+/**
+ * NanoDate Cron Module
+ * Cron expressions (5 or 6 fields, L / W / # and @macros) with
+ * next/previous occurrence search in an IANA timezone
+ *
+ * Fields match the wall clock of the zone (toWall/fromWall). DST:
+ * - skipped times (spring forward) fire once, moved forward by the gap
+ *   (02:30 -> 03:30), like add() - a time landing on an existing one fires once
+ * - repeated times (fall back) fire at their first instant; with '*' in the
+ *   hour field they fire in both passes, so '*\/15 * * * *' keeps its pace
+ */
+
+import { InvalidDateError } from './errors.js';
+import { toWall, fromWall, assertZone } from './timezone.js';
+import { MS_PER_SECOND, MS_PER_HOUR, MS_PER_DAY } from './constants.js';
+
+// ============================================
+// FIELDS
+// ============================================
+
+/**
+ * Month and weekday names (case-insensitive)
+ */
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * Fields of the 6-field form (the 5-field form has no seconds)
+ * offset maps names to values (JAN = 1, SUN = 0)
+ */
+const FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'weekday', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+/**
+ * Predefined schedules
+ */
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+/**
+ * Day-of-month specials: L, L-3 (3 days before the last), LW, 15W
+ */
+const DAY_SPECIAL = /^(?:L(?:-(\d{1,2}))?|LW|(\d{1,2})W)$/i;
+
+/**
+ * Weekday specials: 5L / FRIL (last Friday), 5#3 / FRI#3 (third Friday)
+ */
+const WEEKDAY_SPECIAL = /^(\w+?)(?:L|#([1-5]))$/i;
+
+/**
+ * Search horizon (covers leap days and weekday/date combinations)
+ */
+const MAX_SPAN = 28 * 366 * MS_PER_DAY;
+
+/**
+ * Distance around a search start checked for DST transitions
+ */
+const DST_WINDOW = 3 * MS_PER_HOUR;
+
+/**
+ * Read a number or name of a field
+ * @private
+ */
+const fieldValue = (text, spec) => {
+    const i = spec.names ? spec.names.indexOf(text.toUpperCase()) : -1;
+    const n = i >= 0 ? i + spec.offset : /^\d+$/.test(text) ? +text : NaN;
+    return n >= spec.min && n <= spec.max ? n : NaN;
+};
+
+/**
+ * Parse one field into a value table and specials
+ *
+ * @param {string} text - Field text ('1-5', '*\/15', 'MON-FRI', 'L', '5#3')
+ * @param {Object} spec - Field description
+ * @returns {Object|null} { values: Uint8Array, star, specials } or null (with reason)
+ * @private
+ */
+const parseField = (text, spec) => {
+    const values = new Uint8Array(spec.max + 1);
+    const specials = [];
+    for (const item of text.split(',')) {
+        const day = spec.name === 'day' && DAY_SPECIAL.exec(item);
+        if (day) {
+            const n = day[2] ? +day[2] : +(day[1] || 0);
+            // nW names a day of the month (1-31), L-n an offset from the last day (0-30)
+            if (day[2] ? n < 1 || n > 31 : n > 30) return null;
+            specials.push({ type: day[2] ? 'W' : item.toUpperCase() === 'LW' ? 'LW' : 'L', n });
+            continue;
+        }
+        const weekday = spec.name === 'weekday' && WEEKDAY_SPECIAL.exec(item);
+        if (weekday) {
+            const wd = fieldValue(weekday[1], spec);
+            if (Number.isNaN(wd)) return null;
+            specials.push({ wd: wd % 7, nth: weekday[2] ? +weekday[2] : 0 });
+            continue;
+        }
+
+        const [range, stepText, extra] = item.split('/');
+        const step = stepText === undefined ? 1 : /^\d+$/.test(stepText) ? +stepText : 0;
+        let lo;
+        let hi;
+        if (range === '*' || (range === '?' && (spec.name === 'day' || spec.name === 'weekday'))) {
+            lo = spec.min;
+            hi = spec.max;
+        } else {
+            const [a, b, more] = range.split('-');
+            lo = fieldValue(a, spec);
+            hi = b !== undefined ? fieldValue(b, spec) : stepText !== undefined ? spec.max : lo;
+            if (more !== undefined) return null;
+        }
+        if (extra !== undefined || !step || !(lo <= hi)) return null;
+        for (let v = lo; v <= hi; v += step) values[v] = 1;
+    }
+    if (spec.name === 'weekday' && values[7]) values[0] = 1;
+    return { values, star: text[0] === '*' || text[0] === '?', specials };
+};
+
+/**
+ * Parse an expression into fields
+ *
+ * @param {string} expression - Cron expression or macro
+ * @param {Object} failure - Receives { reason, field, position }
+ * @returns {Object|null} { second, minute, hour, day, month, weekday }
+ * @private
+ */
+const parseExpression = (expression, failure) => {
+    const source = MACROS[expression.trim().toLowerCase()] || expression;
+    const parts = [...source.matchAll(/\S+/g)];
+    if (parts.length === 5) parts.unshift(['0']);
+    if (parts.length !== 6) {
+        Object.assign(failure, { reason: 'unparseable', field: 'expression', position: 0 });
+        return null;
+    }
+
+    const fields = {};
+    for (let i = 0; i < 6; i++) {
+        const field = parseField(parts[i][0], FIELDS[i]);
+        if (!field) {
+            const position = source === expression ? parts[i].index : 0;
+            Object.assign(failure, { reason: 'out-of-range', field: FIELDS[i].name, position });
+            return null;
+        }
+        fields[FIELDS[i].name] = field;
+    }
+    return fields;
+};
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Weekday of a date (0 = Sunday)
+ * @private
+ */
+const weekdayOf = (y, m, d) => new Date(Date.UTC(y, m, d)).getUTCDay();
+
+/**
+ * Weekday nearest to a day of the month, without leaving the month
+ * @private
+ */
+const nearestWeekday = (y, m, n, last) => {
+    const wd = weekdayOf(y, m, n);
+    if (wd === 6) return n === 1 ? 3 : n - 1;
+    if (wd === 0) return n === last ? n - 2 : n + 1;
+    return n;
+};
+
+/**
+ * Check a date against the day and weekday fields
+ * Both restricted (neither starts with * or ?): either may match, as in Vixie cron
+ * @private
+ */
+const matchDay = (c, y, m, d) => {
+    const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    const wd = weekdayOf(y, m, d);
+    const dom = c.day.values[d] === 1 || c.day.specials.some((s) =>
+        s.type === 'L' ? d === last - s.n
+            : s.type === 'LW' ? d === nearestWeekday(y, m, last, last)
+                : s.n <= last && d === nearestWeekday(y, m, s.n, last));
+    const dow = c.weekday.values[wd] === 1 || c.weekday.specials.some((s) =>
+        s.wd === wd && (s.nth ? Math.ceil(d / 7) === s.nth : d + 7 > last));
+    return c.day.star || c.weekday.star ? dom && dow : dom || dow;
+};
+
+/**
+ * First set index at or after i (-1 if none)
+ * @private
+ */
+const nextIn = (values, i) => {
+    for (; i < values.length; i++) if (values[i]) return i;
+    return -1;
+};
+
+/**
+ * Last set index at or before i (-1 if none)
+ * @private
+ */
+const prevIn = (values, i) => {
+    for (; i >= 0; i--) if (values[i]) return i;
+    return -1;
+};
+
+/**
+ * First matching wall time at or after wall (whole seconds)
+ * Skips whole months, days, hours and minutes that cannot match
+ * @private
+ */
+const nextWall = (c, wall, limit) => {
+    let t = Math.ceil(wall / MS_PER_SECOND) * MS_PER_SECOND;
+    while (t <= limit) {
+        const d = new Date(t);
+        const y = d.getUTCFullYear();
+        const mo = d.getUTCMonth();
+        const day = d.getUTCDate();
+        let h = d.getUTCHours();
+        let mi = d.getUTCMinutes();
+        let s = d.getUTCSeconds();
+
+        if (!c.month.values[mo + 1]) { t = Date.UTC(y, mo + 1, 1); continue; }
+        if (!matchDay(c, y, mo, day)) { t = Date.UTC(y, mo, day + 1); continue; }
+        const nh = nextIn(c.hour.values, h);
+        if (nh < 0) { t = Date.UTC(y, mo, day + 1); continue; }
+        if (nh > h) { h = nh; mi = 0; s = 0; }
+        const nm = nextIn(c.minute.values, mi);
+        if (nm < 0) { t = Date.UTC(y, mo, day, h + 1); continue; }
+        if (nm > mi) { mi = nm; s = 0; }
+        const ns = nextIn(c.second.values, s);
+        if (ns < 0) { t = Date.UTC(y, mo, day, h, mi + 1); continue; }
+        return Date.UTC(y, mo, day, h, mi, ns);
+    }
+    return null;
+};
+
+/**
+ * Last matching wall time at or before wall (whole seconds)
+ * @private
+ */
+const prevWall = (c, wall, limit) => {
+    let t = Math.floor(wall / MS_PER_SECOND) * MS_PER_SECOND;
+    while (t >= limit) {
+        const d = new Date(t);
+        const y = d.getUTCFullYear();
+        const mo = d.getUTCMonth();
+        const day = d.getUTCDate();
+        let h = d.getUTCHours();
+        let mi = d.getUTCMinutes();
+        let s = d.getUTCSeconds();
+
+        if (!c.month.values[mo + 1]) { t = Date.UTC(y, mo, 1) - MS_PER_SECOND; continue; }
+        if (!matchDay(c, y, mo, day)) { t = Date.UTC(y, mo, day) - MS_PER_SECOND; continue; }
+        const ph = prevIn(c.hour.values, h);
+        if (ph < 0) { t = Date.UTC(y, mo, day) - MS_PER_SECOND; continue; }
+        if (ph < h) { h = ph; mi = 59; s = 59; }
+        const pm = prevIn(c.minute.values, mi);
+        if (pm < 0) { t = Date.UTC(y, mo, day, h) - MS_PER_SECOND; continue; }
+        if (pm < mi) { mi = pm; s = 59; }
+        const ps = prevIn(c.second.values, s);
+        if (ps < 0) { t = Date.UTC(y, mo, day, h, mi) - MS_PER_SECOND; continue; }
+        return Date.UTC(y, mo, day, h, mi, ps);
+    }
+    return null;
+};
+
+/**
+ * UTC offset (ms) of a zone at an instant
+ * @private
+ */
+const offsetAt = (ts, zone) => toWall(ts, zone) - ts;
+
+// ============================================
+// CRON CLASS
+// ============================================
+
+/**
+ * Parsed cron schedule
+ * Create with nano.cron(); results are NanoDates in the schedule's zone
+ */
+class Cron {
+    /**
+     * @param {Object|null} fields - Parsed fields (null: invalid)
+     * @param {string} source - Expression as given
+     * @param {string} [zone] - IANA timezone (host local time if omitted)
+     * @param {Function} factory - nano factory of the scope
+     */
+    constructor(fields, source, zone, factory) {
+        this._c = fields;
+        this._src = source;
+        this._zone = zone;
+        this._f = factory;
+        this._everyHour = !!fields && fields.hour.values.every(Boolean);
+    }
+
+    /**
+     * Occurrence at a timestamp, in the schedule's zone
+     * @private
+     */
+    _at(ts) {
+        const d = this._f(ts);
+        return this._zone ? d.toTz(this._zone) : d;
+    }
+
+    /**
+     * Timestamp of a date argument (now if omitted)
+     * @private
+     */
+    _ts(date) {
+        return date === undefined ? Date.now() : (date && date._d ? date : this._f(date)).valueOf();
+    }
+
+    /**
+     * First occurrence after a timestamp
+     * @private
+     */
+    _next(from) {
+        const { _c: c, _zone: zone } = this;
+        if (!c || Number.isNaN(from)) return null;
+        const before = offsetAt(from - DST_WINDOW, zone);
+        const after = offsetAt(from + DST_WINDOW, zone);
+        const limit = from + Math.max(before, after) + MAX_SPAN;
+
+        // Earliest reading of each wall time (skipped times move forward by the gap)
+        let best = null;
+        for (let w = nextWall(c, from + Math.min(before, after), limit); w !== null; w = nextWall(c, w + MS_PER_SECOND, limit)) {
+            const ts = fromWall(w, zone);
+            if (ts > from) {
+                best = ts;
+                break;
+            }
+        }
+
+        // Second reading of wall times repeated by a fall-back transition
+        if (this._everyHour && before > after) {
+            for (let w = nextWall(c, from + after, limit); w !== null && w - after <= from + DST_WINDOW; w = nextWall(c, w + MS_PER_SECOND, limit)) {
+                const ts = w - after;
+                if (best !== null && ts >= best) break;
+                if (ts > from && toWall(ts, zone) === w) {
+                    best = ts;
+                    break;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Last occurrence before a timestamp
+     * @private
+     */
+    _prev(from) {
+        const { _c: c, _zone: zone } = this;
+        if (!c || Number.isNaN(from)) return null;
+        const before = offsetAt(from - DST_WINDOW, zone);
+        const after = offsetAt(from + DST_WINDOW, zone);
+        const limit = from + Math.min(before, after) - MAX_SPAN;
+
+        let best = null;
+        for (let w = prevWall(c, from + Math.max(before, after), limit); w !== null; w = prevWall(c, w - MS_PER_SECOND, limit)) {
+            const ts = fromWall(w, zone);
+            if (ts < from) {
+                best = ts;
+                break;
+            }
+        }
+
+        if (this._everyHour && before > after) {
+            for (let w = prevWall(c, from + after - 1, limit); w !== null && w - after >= from - DST_WINDOW; w = prevWall(c, w - MS_PER_SECOND, limit)) {
+                const ts = w - after;
+                if (best !== null && ts <= best) break;
+                if (toWall(ts, zone) === w) {
+                    best = ts;
+                    break;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check if the expression parsed
+     * @returns {boolean} True if valid
+     */
+    isValid() {
+        return this._c !== null;
+    }
+
+    /**
+     * Next occurrence after a date
+     * @param {*} [from=now] - Start (exclusive)
+     * @returns {NanoDate|null} Occurrence, null if none within 28 years
+     *
+     * @example
+     * nano.cron('0 9 * * MON-FRI').next(nano('2026-01-02T10:00')) // Mon Jan 5 09:00
+     */
+    next(from) {
+        const ts = this._next(this._ts(from));
+        return ts === null ? null : this._at(ts);
+    }
+
+    /**
+     * Previous occurrence before a date
+     * @param {*} [from=now] - Start (exclusive)
+     * @returns {NanoDate|null} Occurrence, null if none within 28 years
+     */
+    prev(from) {
+        const ts = this._prev(this._ts(from));
+        return ts === null ? null : this._at(ts);
+    }
+
+    /**
+     * Occurrences between two dates
+     * @param {*} start - Range start
+     * @param {*} end - Range end
+     * @param {boolean} [inclusive=false] - Include occurrences equal to start or end
+     * @returns {NanoDate[]} Occurrences
+     */
+    between(start, end, inclusive = false) {
+        const s = this._ts(start);
+        const e = this._ts(end);
+        const out = [];
+        for (let ts = this._next(inclusive ? s - 1 : s); ts !== null && (ts < e || (inclusive && ts === e)); ts = this._next(ts)) {
+            out.push(this._at(ts));
+        }
+        return out;
+    }
+
+    /**
+     * Check if a date is an occurrence (to the second)
+     * @param {*} date - Date
+     * @returns {boolean} True if the schedule fires at date
+     */
+    isMatch(date) {
+        const ts = this._ts(date);
+        const second = ts - (((ts % MS_PER_SECOND) + MS_PER_SECOND) % MS_PER_SECOND);
+        return this._next(second - 1) === second;
+    }
+
+    /**
+     * Expression as given
+     */
+    toString() {
+        return this._src;
+    }
+
+    /**
+     * JSON representation
+     */
+    toJSON() {
+        return this._src;
+    }
+}
+
+// ============================================
+// FACTORY FUNCTIONS
+// ============================================
+
+/**
+ * Create a cron schedule
+ *
+ * 5 fields (minute hour day month weekday) or 6 with seconds first;
+ * names (JAN, MON), ranges, steps, lists, '?', L / L-n / LW / nW in the
+ * day field, nL / n#k in the weekday field and @yearly, @monthly, @weekly,
+ * @daily, @midnight, @hourly. Timezone: options > config({ timezone }) > host.
+ *
+ * @param {Function} factory - nano factory of the scope
+ * @param {Object} cfg - Configuration (strict, timezone)
+ * @param {string} expression - Cron expression
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - IANA timezone the fields are read in
+ * @returns {Cron} Schedule (isValid() false if it does not parse)
+ * @throws {InvalidDateError} In strict mode for invalid expressions, or for unknown timezones
+ */
+export const createCron = (factory, cfg, expression, options = {}) => {
+    const zone = options.timezone || cfg.timezone || undefined;
+    if (zone) assertZone(zone);
+    const failure = {};
+    const fields = typeof expression === 'string' ? parseExpression(expression, failure) : null;
+    if (!fields && cfg.strict) {
+        throw new InvalidDateError(expression, { reason: 'unparseable', field: 'expression', ...failure });
+    }
+    return new Cron(fields, String(expression), zone, factory);
+};
+
+// Export Cron class for instanceof checks
+export { Cron };
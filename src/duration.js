@@ -11,8 +11,13 @@
 
 import {
     MS_PER_SECOND, MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY, MS_PER_WEEK,
-    MS_PER_MONTH, MS_PER_YEAR
+    MS_PER_MONTH, MS_PER_YEAR, normalizeUnit
 } from './constants.js';
+import { defaultLocale, globalConfig } from './config.js';
+import { InvalidDateError } from './errors.js';
+import { getZone, toWall } from './timezone.js';
+import { addZoned, addComponents } from './manipulate.js';
+import { ESCAPED_TEXT, tokenize } from './format.js';
 
 // ============================================
 // INTL-BASED LOCALIZATION
@@ -67,59 +72,517 @@ const formatDurationUnit = (locale, unit, value) => {
     }
 };
 
+/**
+ * Intl formatter cache for compound humanize (NumberFormat, ListFormat, DurationFormat)
+ */
+const intlCache = Object.create(null);
+
+/**
+ * Get or create a cached Intl formatter
+ * @param {string} kind - 'NumberFormat' | 'ListFormat' | 'DurationFormat'
+ * @param {string} locale - Locale string
+ * @param {Object} options - Formatter options
+ */
+const cachedIntl = (kind, locale, options) => {
+    const key = kind + '|' + locale + '|' + JSON.stringify(options);
+    return intlCache[key] || (intlCache[key] = new Intl[kind](locale, options));
+};
+
+/**
+ * Humanize units, largest first, with their (average) lengths
+ */
+const HUMANIZE_UNITS = [
+    ['year', MS_PER_YEAR],
+    ['month', MS_PER_MONTH],
+    ['week', MS_PER_WEEK],
+    ['day', MS_PER_DAY],
+    ['hour', MS_PER_HOUR],
+    ['minute', MS_PER_MINUTE],
+    ['second', MS_PER_SECOND],
+    ['millisecond', 1]
+];
+
+/**
+ * Default units for compound humanize (no weeks, no milliseconds)
+ */
+const HUMANIZE_DEFAULT = ['year', 'month', 'day', 'hour', 'minute', 'second'];
+
+/**
+ * Rounding modes (Temporal names) - 'round' is an alias of 'halfExpand'
+ * Half-modes differ only on exact halves: 'halfExpand' away from zero,
+ * 'halfTrunc' toward zero, 'halfCeil'/'halfFloor' up/down, 'halfEven' to even
+ */
+const ROUNDING = {
+    ceil: Math.ceil,
+    floor: Math.floor,
+    trunc: Math.trunc,
+    expand: (x) => x < 0 ? -Math.ceil(-x) : Math.ceil(x),
+    halfCeil: (x) => Math.round(x),
+    halfFloor: (x) => -Math.round(-x),
+    halfExpand: (x) => x < 0 ? -Math.round(-x) : Math.round(x),
+    halfTrunc: (x) => x < 0 ? -Math.ceil(-x - 0.5) : Math.ceil(x - 0.5),
+    halfEven: (x) => Math.abs(x % 1) === 0.5 ? 2 * Math.round(x / 2) : Math.round(x)
+};
+ROUNDING.round = ROUNDING.halfExpand;
+
+/**
+ * Split milliseconds into at most `largest` consecutive units of `units`
+ * Larger units are taken out whole (floor); only the remainder is rounded
+ * to the smallest shown unit. A rounded value that fills the next unit
+ * carries into it, and a carry past the largest shown unit moves the
+ * window up one unit (59.7 minutes -> "1 hour", not "60 minutes")
+ * 
+ * @param {number} abs - Milliseconds (>= 0)
+ * @param {Array} units - [name, length] pairs, largest first
+ * @param {number} largest - Maximum number of units
+ * @param {Function} roundFn - Rounding of the smallest unit
+ * @returns {Array} [name, value] pairs (zero values included)
+ */
+const splitUnits = (abs, units, largest, roundFn) => {
+    let start = units.findIndex(([, len]) => abs >= len);
+    if (start < 0) start = units.length - 1;
+
+    for (;;) {
+        const shown = units.slice(start, start + largest);
+        let rest = abs;
+        const parts = shown.map(([name, len], i) => {
+            const value = i === shown.length - 1 ? roundFn(rest / len) : Math.floor(rest / len);
+            rest -= value * len;
+            return [name, value];
+        });
+
+        // Carry a rounded unit that reaches the length of the one above
+        for (let i = parts.length - 1; i > 0; i--) {
+            if (parts[i][1] * shown[i][1] >= shown[i - 1][1]) {
+                parts[i][1] = 0;
+                parts[i - 1][1]++;
+            }
+        }
+        if (start > 0 && parts[0][1] * shown[0][1] >= units[start - 1][1]) {
+            start--;
+            continue;
+        }
+        return parts;
+    }
+};
+
+/**
+ * Compound humanize ("2 days, 3 hours")
+ * Intl.DurationFormat when the runtime has it (and no listStyle is requested),
+ * otherwise Intl.NumberFormat unit style joined with Intl.ListFormat
+ * 
+ * @param {number} ms - Signed milliseconds
+ * @param {string} locale - Locale string
+ * @param {Object} options - { units, largest, round, style, listStyle }
+ * @returns {string} Localized string
+ * @throws {RangeError} For unknown units or rounding modes
+ */
+const humanizeCompound = (ms, locale, { units = HUMANIZE_DEFAULT, largest = Infinity, round = 'round', style = 'long', listStyle } = {}) => {
+    const names = units.map((u) => {
+        const name = normalizeUnit(u);
+        if (!HUMANIZE_UNITS.some(([known]) => known === name)) throw new RangeError('Invalid duration unit: ' + u);
+        return name;
+    });
+    const roundFn = round === 'round' ? Math.round : ROUNDING[round];
+    if (!roundFn) throw new RangeError('Invalid rounding mode: ' + round);
+
+    const selected = HUMANIZE_UNITS.filter(([name]) => names.includes(name));
+    const parts = splitUnits(Math.abs(ms), selected.length ? selected : HUMANIZE_UNITS, Math.max(1, largest), roundFn);
+    const sign = ms < 0 ? -1 : 1;
+
+    // Zero units are left out - unless everything is zero ("0 seconds")
+    let shown = parts.filter(([, value]) => value);
+    if (!shown.length) shown = parts.slice(-1);
+
+    try {
+        if (typeof Intl.DurationFormat === 'function' && !listStyle) {
+            const obj = {};
+            for (const [name, value] of shown) obj[name + 's'] = scale(value, sign);
+            return cachedIntl('DurationFormat', locale, { style }).format(obj);
+        }
+
+        // Sign goes on the first unit only ("-2 days, 3 hours")
+        const strings = shown.map(([name, value], i) =>
+            cachedIntl('NumberFormat', locale, { style: 'unit', unit: name, unitDisplay: style })
+                .format(i === 0 ? scale(value, sign) : value));
+        return cachedIntl('ListFormat', locale, { type: 'unit', style: listStyle || style }).format(strings);
+    } catch {
+        // Fallback for environments without Intl unit/list support
+        return (sign < 0 ? '-' : '') + shown.map(([name, value]) => value + ' ' + name + (value !== 1 ? 's' : '')).join(', ');
+    }
+};
+
+// ============================================
+// COMPONENTS
+// ============================================
+
+/**
+ * NanoDate factory placeholder (relativeTo strings/timestamps)
+ */
+let nano;
+
+/**
+ * Initialize with factory
+ * @param {Function} factory - nano factory function
+ */
+export const initDuration = (factory) => {
+    nano = factory;
+};
+
+/**
+ * Multiply without producing -0 (keeps toObject() and equality checks clean)
+ */
+const scale = (value, factor) => value * factor || 0;
+
+/**
+ * Read duration components from an object with unit aliases
+ * Quarters have no component of their own and count as 3 months
+ * @param {Object} obj - { years|year|y, quarters|quarter|Q, months|month|M, weeks|week|w, days|day|d, ... }
+ * @returns {Object} All eight components (missing ones are 0)
+ */
+const readComponents = (obj) => ({
+    years: obj.years || obj.year || obj.y || 0,
+    months: (obj.months || obj.month || obj.M || 0) + (obj.quarters || obj.quarter || obj.Q || 0) * 3,
+    weeks: obj.weeks || obj.week || obj.w || 0,
+    days: obj.days || obj.day || obj.d || 0,
+    hours: obj.hours || obj.hour || obj.h || 0,
+    minutes: obj.minutes || obj.minute || obj.m || 0,
+    seconds: obj.seconds || obj.second || obj.s || 0,
+    milliseconds: obj.milliseconds || obj.millisecond || obj.ms || 0
+});
+
+/**
+ * Split exact milliseconds into days (24h), hours, minutes, seconds, milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Object} Components with the sign of ms
+ */
+const balanceTime = (ms) => {
+    const sign = ms < 0 ? -1 : 1;
+    const abs = Math.abs(ms);
+    return {
+        years: 0,
+        months: 0,
+        weeks: 0,
+        days: scale(Math.floor(abs / MS_PER_DAY), sign),
+        hours: scale(Math.floor((abs % MS_PER_DAY) / MS_PER_HOUR), sign),
+        minutes: scale(Math.floor((abs % MS_PER_HOUR) / MS_PER_MINUTE), sign),
+        seconds: scale(Math.floor((abs % MS_PER_MINUTE) / MS_PER_SECOND), sign),
+        milliseconds: scale(abs % MS_PER_SECOND, sign)
+    };
+};
+
+/**
+ * Exact part of components in milliseconds (weeks and days count as 7 and 1 x 24h)
+ */
+const exactMs = (c) =>
+    c.weeks * MS_PER_WEEK + c.days * MS_PER_DAY + c.hours * MS_PER_HOUR +
+    c.minutes * MS_PER_MINUTE + c.seconds * MS_PER_SECOND + c.milliseconds;
+
+/**
+ * Components of any duration-like value
+ * Numbers are exact milliseconds; with a unit they are that single component
+ */
+const toComponents = (value, unit) => {
+    if (value instanceof Duration) return value._v;
+    if (typeof value === 'object') return readComponents(value);
+    if (unit) return readComponents({ [unit]: value });
+    return balanceTime(value);
+};
+
+/**
+ * Units a calendar difference can be broken into, largest first
+ */
+const BREAKDOWN_UNITS = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds'];
+
+/**
+ * Default breakdown (weeks stay folded into days)
+ */
+const CALENDAR_UNITS = ['years', 'months', 'days', 'hours', 'minutes', 'seconds', 'milliseconds'];
+
+/**
+ * Exact lengths of the clock units
+ */
+const CLOCK_MS = { hours: MS_PER_HOUR, minutes: MS_PER_MINUTE, seconds: MS_PER_SECOND, milliseconds: 1 };
+
+/**
+ * Resolve one unit alias ('h', 'hour', 'hours') to its component name
+ * @param {string} unit - Unit
+ * @returns {string} Component name
+ * @throws {RangeError} For units a duration does not have
+ */
+const componentName = (unit) => {
+    const name = normalizeUnit(unit) + 's';
+    if (!BREAKDOWN_UNITS.includes(name)) throw new RangeError('Invalid duration unit: ' + unit);
+    return name;
+};
+
+/**
+ * Resolve a unit list with aliases ('y', 'month', 'days', ...) to component names
+ * @param {string[]} [units] - Requested units (default: CALENDAR_UNITS)
+ * @returns {string[]} Component names
+ */
+const breakdownUnits = (units) => {
+    if (!units || !units.length) return CALENDAR_UNITS;
+    const names = units.map((u) => normalizeUnit(u) + 's');
+    return BREAKDOWN_UNITS.filter((u) => names.includes(u));
+};
+
+/**
+ * Calendar difference between two instants as duration components
+ * Whole months (clamped like add), then whole days on the wall clock,
+ * then the exact remainder - adding the result to start gives end back
+ * 
+ * Only the requested units are filled: a larger unit that is left out folds
+ * into the next smaller one (no 'years' = all months), and what is left
+ * below the smallest unit is truncated, as in Temporal's until()
+ * 
+ * @param {number} start - Start timestamp
+ * @param {number} end - End timestamp
+ * @param {string} [zone] - IANA timezone for calendar math (host local time if omitted)
+ * @param {string[]} [units=CALENDAR_UNITS] - Component names, largest first
+ * @returns {Object} { years, months, weeks, days, hours, minutes, seconds, milliseconds }
+ */
+const calendarBetween = (start, end, zone, units = CALENDAR_UNITS) => {
+    const sign = end < start ? -1 : 1;
+    const passed = (ts) => (ts - end) * sign > 0;
+    const has = (u) => units.includes(u);
+    const c = { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 0, milliseconds: 0 };
+    const we = toWall(end, zone);
+    let anchor = start;
+
+    if (has('years') || has('months')) {
+        const ws = new Date(toWall(start, zone));
+        const wd = new Date(we);
+        // Without 'months' only whole years count
+        const step = has('months') ? 1 : 12;
+        let months = (wd.getUTCFullYear() - ws.getUTCFullYear()) * 12 + wd.getUTCMonth() - ws.getUTCMonth();
+        months -= months % step;
+        while (months && passed(addZoned(start, months, 'month', zone))) months -= step * sign;
+        anchor = addZoned(start, months, 'month', zone);
+
+        c.years = has('years') ? Math.trunc(months / 12) || 0 : 0;
+        c.months = has('years') ? months % 12 || 0 : months;
+    }
+
+    if (has('weeks') || has('days')) {
+        // Without 'days' only whole weeks count
+        const step = has('days') ? 1 : 7;
+        let days = Math.trunc((we - toWall(anchor, zone)) / MS_PER_DAY);
+        days -= days % step;
+        while (days && passed(addZoned(anchor, days, 'day', zone))) days -= step * sign;
+        anchor = addZoned(anchor, days, 'day', zone);
+
+        c.weeks = has('weeks') ? Math.trunc(days / 7) || 0 : 0;
+        c.days = has('weeks') ? days % 7 || 0 : days;
+    }
+
+    let rest = end - anchor;
+    for (const u in CLOCK_MS) {
+        if (has(u)) {
+            c[u] = Math.trunc(rest / CLOCK_MS[u]) || 0;
+            rest -= c[u] * CLOCK_MS[u];
+        }
+    }
+    return c;
+};
+
+// ============================================
+// FORMAT TOKENS
+// ============================================
+
+/**
+ * Duration format tokens - longer tokens first, [text] escapes like the date formatter
+ */
+const DURATION_TOKEN_REGEX = new RegExp(ESCAPED_TEXT.source + '|YYYY|YY|Y|MM|M|DD|D|HH|H|mm|m|ss|s|SSS|S', 'g');
+
+/**
+ * Component of each token (by first character)
+ */
+const TOKEN_UNITS = { Y: 'years', M: 'months', D: 'days', H: 'hours', m: 'minutes', s: 'seconds', S: 'milliseconds' };
+
+/**
+ * Calendar units in months, exact units in milliseconds - largest first
+ */
+const MONTH_UNITS = [['years', 12], ['months', 1]];
+const EXACT_UNITS = [['days', MS_PER_DAY], ['hours', MS_PER_HOUR], ['minutes', MS_PER_MINUTE], ['seconds', MS_PER_SECOND], ['milliseconds', 1]];
+
+/**
+ * Spread components over the units used in a pattern
+ * The largest used unit absorbs everything above it; months without a
+ * year/month token count with their average length. Below the smallest
+ * used unit is truncated.
+ * 
+ * @param {Object} v - Stored components
+ * @param {Set} used - Component names present in the pattern
+ * @returns {Object} Values for the used units
+ */
+const fillUnits = (v, used) => {
+    const c = {};
+    let months = v.years * 12 + v.months;
+    for (const [unit, size] of MONTH_UNITS) {
+        if (used.has(unit)) {
+            c[unit] = Math.trunc(months / size);
+            months -= c[unit] * size;
+        }
+    }
+
+    let ms = exactMs(v) + months * MS_PER_MONTH;
+    for (const [unit, size] of EXACT_UNITS) {
+        if (used.has(unit)) {
+            c[unit] = Math.trunc(ms / size);
+            ms -= c[unit] * size;
+        }
+    }
+    return c;
+};
+
+/**
+ * Format a single duration token (value is already absolute)
+ */
+const formatDurationToken = (token, value) => {
+    switch (token) {
+        case 'YYYY': return String(value).padStart(4, '0');
+        case 'SSS': return String(value).padStart(3, '0');
+        case 'YY':
+        case 'MM':
+        case 'DD':
+        case 'HH':
+        case 'mm':
+        case 'ss': return String(value).padStart(2, '0');
+        default: return String(value);
+    }
+};
+
+// ============================================
+// ROUNDING
+// ============================================
+
+/**
+ * Length of each component: months for years/months, milliseconds otherwise
+ */
+const UNIT_SIZE = {
+    years: 12, months: 1,
+    weeks: MS_PER_WEEK, days: MS_PER_DAY, hours: MS_PER_HOUR,
+    minutes: MS_PER_MINUTE, seconds: MS_PER_SECOND, milliseconds: 1
+};
+
+/**
+ * Re-express components in the given units, rounding the smallest one
+ * 
+ * With relativeTo the duration is applied to that date and measured back
+ * in the units (exact month and day lengths, DST-aware). Without it days
+ * are 24h; years/months and the exact units stay apart when both are in
+ * range, otherwise they convert with average lengths as in asX().
+ * 
+ * @param {Object} v - Stored components
+ * @param {string[]} units - Component names, largest first
+ * @param {Function|null} roundFn - Rounding of the smallest unit; null keeps the fraction
+ * @param {number} increment - Rounding increment of the smallest unit
+ * @param {*} [relativeTo] - Start date
+ * @returns {Object} Components
+ */
+const roundComponents = (v, units, roundFn, increment, relativeTo) => {
+    const smallest = units[units.length - 1];
+    const roundValue = (x) => roundFn ? roundFn(x / increment) * increment : x;
+
+    if (relativeTo != null) {
+        const ref = toCtx(relativeTo);
+        const zone = getZone(ref);
+        const start = ref._d.getTime();
+        const end = addComponents(start, v, zone);
+        const sign = end < start ? -1 : 1;
+
+        const c = calendarBetween(start, end, zone, units);
+        const anchor = addComponents(start, c, zone);
+        const next = addComponents(anchor, { [smallest]: sign }, zone);
+        c[smallest] = roundValue(c[smallest] + sign * (end - anchor) / Math.abs(next - anchor)) || 0;
+
+        // Re-measure so a rounded-up unit carries (60 minutes -> 1 hour)
+        return roundFn ? calendarBetween(start, addComponents(start, c, zone), zone, units) : c;
+    }
+
+    const calendar = units.filter((u) => u === 'years' || u === 'months');
+    const exact = units.filter((u) => u !== 'years' && u !== 'months');
+    let months = v.years * 12 + v.months;
+    let ms = exactMs(v);
+
+    if (!exact.length) {
+        months += ms / MS_PER_MONTH;
+        ms = 0;
+    } else if (!calendar.length) {
+        ms += months * MS_PER_MONTH;
+        months = 0;
+    } else {
+        const whole = Math.trunc(months);
+        ms += (months - whole) * MS_PER_MONTH;
+        months = whole;
+    }
+
+    if (exact.length) ms = roundValue(ms / UNIT_SIZE[smallest]) * UNIT_SIZE[smallest];
+    else months = roundValue(months / UNIT_SIZE[smallest]) * UNIT_SIZE[smallest];
+
+    const c = { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 0, milliseconds: 0 };
+    const spread = (list, total) => {
+        list.forEach((u, i) => {
+            const value = total / UNIT_SIZE[u];
+            c[u] = (i === list.length - 1 ? value : Math.trunc(value)) || 0;
+            total -= c[u] * UNIT_SIZE[u];
+        });
+    };
+    spread(calendar, months);
+    spread(exact, ms);
+    return c;
+};
+
+/**
+ * Require relativeTo when exact time would balance into years/months
+ * (their length depends on the date) - Temporal throws here too
+ * 
+ * @param {Object} v - Stored components
+ * @param {string[]} units - Component names, largest first
+ * @param {*} [relativeTo] - Start date
+ * @throws {RangeError} If relativeTo is missing
+ */
+const assertRelativeTo = (v, units, relativeTo) => {
+    if (relativeTo != null || !exactMs(v)) return;
+    const calendar = units.filter((u) => u === 'years' || u === 'months').length;
+    if (calendar && calendar < units.length) {
+        throw new RangeError('relativeTo is required to balance ' + units[units.length - 1] + ' into ' + units[0]);
+    }
+};
+
 /**
  * Duration class for representing time intervals
  * Immutable and chainable
+ * 
+ * Components are stored as given: P1M stays one month (not 30.44 days) and
+ * PT90M stays 90 minutes. Calendar units only get a length against a date -
+ * see normalize({ relativeTo }). Totals (asX) use average month/year lengths.
  */
 class Duration {
     /**
      * Create a Duration from milliseconds or duration object
-     * @param {number|Object} input - Milliseconds or duration object
+     * @param {number|Object|Duration} input - Milliseconds (split into days..ms) or components
      */
     constructor(input) {
-        if (typeof input === 'number') {
-            this._ms = input;
-        } else if (input && typeof input === 'object') {
-            this._ms = Duration.toMilliseconds(input);
+        if (input instanceof Duration) {
+            this._v = { ...input._v };
+        } else if (typeof input === 'number') {
+            this._v = balanceTime(input);
         } else {
-            this._ms = 0;
+            this._v = readComponents(input && typeof input === 'object' ? input : {});
         }
     }
 
     /**
      * Convert duration object to milliseconds
+     * Years and months use average lengths (MS_PER_YEAR, MS_PER_MONTH)
      * @param {Object} obj - Duration object
      * @returns {number} Total milliseconds
      */
     static toMilliseconds(obj) {
-        let ms = 0;
-
-        if (obj.years || obj.year || obj.y) {
-            ms += (obj.years || obj.year || obj.y) * MS_PER_YEAR;
-        }
-        if (obj.months || obj.month || obj.M) {
-            ms += (obj.months || obj.month || obj.M) * MS_PER_MONTH;
-        }
-        if (obj.weeks || obj.week || obj.w) {
-            ms += (obj.weeks || obj.week || obj.w) * MS_PER_WEEK;
-        }
-        if (obj.days || obj.day || obj.d) {
-            ms += (obj.days || obj.day || obj.d) * MS_PER_DAY;
-        }
-        if (obj.hours || obj.hour || obj.h) {
-            ms += (obj.hours || obj.hour || obj.h) * MS_PER_HOUR;
-        }
-        if (obj.minutes || obj.minute || obj.m) {
-            ms += (obj.minutes || obj.minute || obj.m) * MS_PER_MINUTE;
-        }
-        if (obj.seconds || obj.second || obj.s) {
-            ms += (obj.seconds || obj.second || obj.s) * MS_PER_SECOND;
-        }
-        if (obj.milliseconds || obj.millisecond || obj.ms) {
-            ms += (obj.milliseconds || obj.millisecond || obj.ms);
-        }
-
-        return ms;
+        const c = readComponents(obj);
+        return c.years * MS_PER_YEAR + c.months * MS_PER_MONTH + exactMs(c);
     }
 
     // ============================================
@@ -127,112 +590,262 @@ class Duration {
     // ============================================
 
     /**
-     * Get total milliseconds
+     * Get total milliseconds (approximate when years/months are present)
      */
     asMilliseconds() {
-        return this._ms;
+        return Duration.toMilliseconds(this._v);
     }
 
     /**
      * Get total seconds (float)
      */
     asSeconds() {
-        return this._ms / MS_PER_SECOND;
+        return this.asMilliseconds() / MS_PER_SECOND;
     }
 
     /**
      * Get total minutes (float)
      */
     asMinutes() {
-        return this._ms / MS_PER_MINUTE;
+        return this.asMilliseconds() / MS_PER_MINUTE;
     }
 
     /**
      * Get total hours (float)
      */
     asHours() {
-        return this._ms / MS_PER_HOUR;
+        return this.asMilliseconds() / MS_PER_HOUR;
     }
 
     /**
      * Get total days (float)
      */
     asDays() {
-        return this._ms / MS_PER_DAY;
+        return this.asMilliseconds() / MS_PER_DAY;
     }
 
     /**
      * Get total weeks (float)
      */
     asWeeks() {
-        return this._ms / MS_PER_WEEK;
+        return this.asMilliseconds() / MS_PER_WEEK;
     }
 
     /**
      * Get total months (float, approximate)
      */
     asMonths() {
-        return this._ms / MS_PER_MONTH;
+        return this.asMilliseconds() / MS_PER_MONTH;
     }
 
     /**
      * Get total years (float, approximate)
      */
     asYears() {
-        return this._ms / MS_PER_YEAR;
+        return this.asMilliseconds() / MS_PER_YEAR;
     }
 
     // ============================================
-    // COMPONENT GETTERS - Get individual components
+    // COMPONENT GETTERS - Get individual components (as stored)
     // ============================================
 
     /**
      * Get years component
      */
     years() {
-        return Math.floor(Math.abs(this._ms) / MS_PER_YEAR) * Math.sign(this._ms);
+        return this._v.years;
     }
 
     /**
-     * Get months component (0-11)
+     * Get months component
      */
     months() {
-        return Math.floor((Math.abs(this._ms) % MS_PER_YEAR) / MS_PER_MONTH) * Math.sign(this._ms);
+        return this._v.months;
+    }
+
+    /**
+     * Get weeks component
+     */
+    weeks() {
+        return this._v.weeks;
     }
 
     /**
-     * Get days component (0-29/30)
+     * Get days component
      */
     days() {
-        return Math.floor((Math.abs(this._ms) % MS_PER_MONTH) / MS_PER_DAY) * Math.sign(this._ms);
+        return this._v.days;
     }
 
     /**
-     * Get hours component (0-23)
+     * Get hours component
      */
     hours() {
-        return Math.floor((Math.abs(this._ms) % MS_PER_DAY) / MS_PER_HOUR) * Math.sign(this._ms);
+        return this._v.hours;
     }
 
     /**
-     * Get minutes component (0-59)
+     * Get minutes component
      */
     minutes() {
-        return Math.floor((Math.abs(this._ms) % MS_PER_HOUR) / MS_PER_MINUTE) * Math.sign(this._ms);
+        return this._v.minutes;
     }
 
     /**
-     * Get seconds component (0-59)
+     * Get seconds component
      */
     seconds() {
-        return Math.floor((Math.abs(this._ms) % MS_PER_MINUTE) / MS_PER_SECOND) * Math.sign(this._ms);
+        return this._v.seconds;
     }
 
     /**
-     * Get milliseconds component (0-999)
+     * Get milliseconds component
      */
     milliseconds() {
-        return Math.floor(Math.abs(this._ms) % MS_PER_SECOND) * Math.sign(this._ms);
+        return this._v.milliseconds;
+    }
+
+    /**
+     * Balance components into their natural ranges
+     * 
+     * Without relativeTo: 12 months = 1 year, weeks fold into days and
+     * clock units carry up to days (24h). Years/months and days are never
+     * converted into each other - their length depends on the date.
+     * 
+     * With relativeTo: the duration is applied to that date (calendar units
+     * first, clamped to month end) and the span is measured back as
+     * years, months, days and time on its calendar - also resolves mixed signs.
+     * 
+     * @param {Object} [options]
+     * @param {*} [options.relativeTo] - Start date (NanoDate keeps its zone)
+     * @returns {Duration} New duration
+     * 
+     * @example
+     * duration({ minutes: 150 }).normalize().toISOString()            // "PT2H30M"
+     * duration('P45D').normalize({ relativeTo: '2026-01-01' })       // P1M14D
+     * duration({ months: 1, days: -1 }).normalize({ relativeTo: '2026-02-01' }) // P27D
+     */
+    normalize({ relativeTo } = {}) {
+        if (relativeTo != null) {
+            const ref = relativeTo._d ? relativeTo : nano(relativeTo);
+            const zone = getZone(ref);
+            const start = ref._d.getTime();
+            return new Duration(calendarBetween(start, addComponents(start, this._v, zone), zone));
+        }
+
+        const months = this._v.years * 12 + this._v.months;
+        const c = balanceTime(exactMs(this._v));
+        c.years = Math.trunc(months / 12) || 0;
+        c.months = months % 12 || 0;
+        return new Duration(c);
+    }
+
+    /**
+     * Round to a smallest unit, balancing up to a largest unit
+     * Mirrors Temporal.Duration.prototype.round
+     * 
+     * @param {string|Object} options - Smallest unit, or options
+     * @param {string} [options.smallestUnit='millisecond'] - Unit to round to
+     * @param {string} [options.largestUnit] - Largest unit of the result (default: largest non-zero unit, at least smallestUnit)
+     * @param {string} [options.roundingMode='halfExpand'] - ceil, floor, trunc, expand, halfCeil, halfFloor, halfExpand, halfTrunc, halfEven
+     * @param {number} [options.roundingIncrement=1] - Round to multiples of this (e.g. 15 minutes)
+     * @param {*} [options.relativeTo] - Start date for exact month/day lengths (NanoDate keeps its zone)
+     * @returns {Duration} New duration
+     * @throws {RangeError} For unknown units or modes, largestUnit smaller than smallestUnit,
+     *   or years/months together with smaller units and no relativeTo
+     * 
+     * @example
+     * duration('PT1H29M40S').round('minute').toISOString()                              // "PT1H30M"
+     * duration({ minutes: 130 }).round({ smallestUnit: 'hour', largestUnit: 'day' })    // PT2H
+     * duration('PT7M').round({ smallestUnit: 'minute', roundingIncrement: 5 })          // PT5M
+     * duration('P45D').round({ largestUnit: 'month', smallestUnit: 'day', relativeTo: '2026-01-01' }) // P1M14D
+     */
+    round(options) {
+        const opts = typeof options === 'string' ? { smallestUnit: options } : options || {};
+        if (!opts.smallestUnit && !opts.largestUnit) {
+            throw new RangeError('round() needs smallestUnit or largestUnit');
+        }
+
+        const smallest = componentName(opts.smallestUnit || 'millisecond');
+        const roundFn = ROUNDING[opts.roundingMode || 'halfExpand'];
+        if (!roundFn) throw new RangeError('Invalid rounding mode: ' + opts.roundingMode);
+
+        let largest;
+        if (opts.largestUnit && opts.largestUnit !== 'auto') {
+            largest = componentName(opts.largestUnit);
+        } else {
+            largest = BREAKDOWN_UNITS.find((u) => this._v[u]) || smallest;
+            if (BREAKDOWN_UNITS.indexOf(largest) > BREAKDOWN_UNITS.indexOf(smallest)) largest = smallest;
+        }
+
+        const from = BREAKDOWN_UNITS.indexOf(largest);
+        const to = BREAKDOWN_UNITS.indexOf(smallest);
+        if (from > to) throw new RangeError('largestUnit ' + largest + ' is smaller than smallestUnit ' + smallest);
+
+        // Weeks only when asked for or already present
+        const units = BREAKDOWN_UNITS.slice(from, to + 1)
+            .filter((u) => u !== 'weeks' || u === largest || u === smallest || this._v.weeks);
+        assertRelativeTo(this._v, units, opts.relativeTo);
+        return new Duration(roundComponents(this._v, units, roundFn, opts.roundingIncrement || 1, opts.relativeTo));
+    }
+
+    /**
+     * Round down (toward negative infinity) to a unit
+     * @param {string} unit - Smallest unit
+     * @param {Object} [options] - Other round() options (largestUnit, relativeTo, ...)
+     * @returns {Duration} New duration
+     */
+    floor(unit, options) {
+        return this.round({ ...options, smallestUnit: unit, roundingMode: 'floor' });
+    }
+
+    /**
+     * Round up (toward positive infinity) to a unit
+     * @param {string} unit - Smallest unit
+     * @param {Object} [options] - Other round() options (largestUnit, relativeTo, ...)
+     * @returns {Duration} New duration
+     */
+    ceil(unit, options) {
+        return this.round({ ...options, smallestUnit: unit, roundingMode: 'ceil' });
+    }
+
+    /**
+     * Re-express the duration in exactly the given units
+     * The smallest unit keeps the fractional remainder (nothing is lost);
+     * an options object with relativeTo may follow the units
+     * 
+     * @param {...string} units - Units in any order, optionally followed by { relativeTo }
+     * @returns {Duration} New duration
+     * @throws {RangeError} For years/months together with smaller units and no relativeTo
+     * 
+     * @example
+     * duration({ days: 1, minutes: 90 }).shiftTo('hours', 'minutes').toISOString() // "PT25H30M"
+     * duration({ minutes: 90 }).shiftTo('hours').hours()                           // 1.5
+     */
+    shiftTo(...units) {
+        const options = typeof units[units.length - 1] === 'object' ? units.pop() : {};
+        if (!units.length) return new Duration(this);
+        const names = units.map(componentName);
+        const list = BREAKDOWN_UNITS.filter((u) => names.includes(u));
+        assertRelativeTo(this._v, list, options.relativeTo);
+        return new Duration(roundComponents(this._v, list, null, 1, options.relativeTo));
+    }
+
+    /**
+     * Re-express in the largest units possible (years down to milliseconds, no weeks)
+     * Like normalize(), but fractional calendar units are converted too; without
+     * relativeTo years/months and the exact units are re-expressed separately
+     * 
+     * @param {Object} [options]
+     * @param {*} [options.relativeTo] - Start date for exact month/day lengths
+     * @returns {Duration} New duration
+     * 
+     * @example
+     * duration({ minutes: 1500 }).rescale().toISOString() // "P1DT1H"
+     */
+    rescale(options) {
+        const { relativeTo } = options || {};
+        return new Duration(roundComponents(this._v, CALENDAR_UNITS, null, 1, relativeTo));
     }
 
     // ============================================
@@ -240,43 +853,27 @@ class Duration {
     // ============================================
 
     /**
-     * Add to this duration
-     * @param {number|Object|Duration} value - Value to add
+     * Add to this duration (component-wise)
+     * @param {number|Object|Duration} value - Value to add (number without unit = milliseconds)
      * @param {string} [unit] - Unit if value is number
      * @returns {Duration} New duration
      */
     add(value, unit) {
-        if (value instanceof Duration) {
-            return new Duration(this._ms + value._ms);
-        }
-        if (typeof value === 'object') {
-            return new Duration(this._ms + Duration.toMilliseconds(value));
-        }
-        if (unit) {
-            const obj = { [unit]: value };
-            return new Duration(this._ms + Duration.toMilliseconds(obj));
-        }
-        return new Duration(this._ms + value);
+        const a = this._v;
+        const b = toComponents(value, unit);
+        const c = {};
+        for (const k in a) c[k] = a[k] + b[k];
+        return new Duration(c);
     }
 
     /**
-     * Subtract from this duration
+     * Subtract from this duration (component-wise)
      * @param {number|Object|Duration} value - Value to subtract
      * @param {string} [unit] - Unit if value is number
      * @returns {Duration} New duration
      */
     subtract(value, unit) {
-        if (value instanceof Duration) {
-            return new Duration(this._ms - value._ms);
-        }
-        if (typeof value === 'object') {
-            return new Duration(this._ms - Duration.toMilliseconds(value));
-        }
-        if (unit) {
-            const obj = { [unit]: value };
-            return new Duration(this._ms - Duration.toMilliseconds(obj));
-        }
-        return new Duration(this._ms - value);
+        return this.add(new Duration(toComponents(value, unit)).negate());
     }
 
     /**
@@ -285,7 +882,9 @@ class Duration {
      * @returns {Duration} New duration
      */
     multiply(factor) {
-        return new Duration(this._ms * factor);
+        const c = {};
+        for (const k in this._v) c[k] = scale(this._v[k], factor);
+        return new Duration(c);
     }
 
     /**
@@ -294,7 +893,7 @@ class Duration {
      * @returns {Duration} New duration
      */
     divide(divisor) {
-        return new Duration(this._ms / divisor);
+        return this.multiply(1 / divisor);
     }
 
     /**
@@ -302,7 +901,7 @@ class Duration {
      * @returns {Duration} New duration with positive value
      */
     abs() {
-        return new Duration(Math.abs(this._ms));
+        return this.isNegative() ? this.negate() : new Duration(this);
     }
 
     /**
@@ -310,7 +909,7 @@ class Duration {
      * @returns {Duration} New duration with opposite sign
      */
     negate() {
-        return new Duration(-this._ms);
+        return this.multiply(-1);
     }
 
     // ============================================
@@ -321,21 +920,21 @@ class Duration {
      * Check if duration is negative
      */
     isNegative() {
-        return this._ms < 0;
+        return this.asMilliseconds() < 0;
     }
 
     /**
      * Check if duration is zero
      */
     isZero() {
-        return this._ms === 0;
+        return this.asMilliseconds() === 0;
     }
 
     /**
      * Check if duration is positive
      */
     isPositive() {
-        return this._ms > 0;
+        return this.asMilliseconds() > 0;
     }
 
     /**
@@ -344,9 +943,10 @@ class Duration {
      * @returns {number} -1, 0, or 1
      */
     compare(other) {
-        const otherMs = other instanceof Duration ? other._ms : other;
-        if (this._ms < otherMs) return -1;
-        if (this._ms > otherMs) return 1;
+        const ms = this.asMilliseconds();
+        const otherMs = other instanceof Duration ? other.asMilliseconds() : other;
+        if (ms < otherMs) return -1;
+        if (ms > otherMs) return 1;
         return 0;
     }
 
@@ -376,67 +976,69 @@ class Duration {
     // ============================================
 
     /**
-     * Convert to object representation
+     * Convert to object representation (components as stored)
      * @returns {Object} Duration components
      */
     toObject() {
-        const abs = Math.abs(this._ms);
-        const sign = this._ms < 0 ? -1 : 1;
-
-        return {
-            years: Math.floor(abs / MS_PER_YEAR) * sign,
-            months: Math.floor((abs % MS_PER_YEAR) / MS_PER_MONTH) * sign,
-            days: Math.floor((abs % MS_PER_MONTH) / MS_PER_DAY) * sign,
-            hours: Math.floor((abs % MS_PER_DAY) / MS_PER_HOUR) * sign,
-            minutes: Math.floor((abs % MS_PER_HOUR) / MS_PER_MINUTE) * sign,
-            seconds: Math.floor((abs % MS_PER_MINUTE) / MS_PER_SECOND) * sign,
-            milliseconds: Math.floor(abs % MS_PER_SECOND) * sign
-        };
+        return { ...this._v };
     }
 
     /**
      * Format as ISO 8601 duration string
+     * Components are written as stored, so ISO strings round-trip exactly
+     * (P1M stays "P1M", PT90M stays "PT90M"). A component against the overall
+     * sign gets its own minus ("P1M-1D").
+     * 
      * @returns {string} ISO duration string (e.g., "P1DT2H30M")
      */
     toISOString() {
-        const obj = this.toObject();
-        let result = this._ms < 0 ? '-P' : 'P';
-
-        // Date components
-        if (obj.years) result += Math.abs(obj.years) + 'Y';
-        if (obj.months) result += Math.abs(obj.months) + 'M';
-        if (obj.days) result += Math.abs(obj.days) + 'D';
-
-        // Time components
-        const hasTime = obj.hours || obj.minutes || obj.seconds || obj.milliseconds;
-        if (hasTime) {
-            result += 'T';
-            if (obj.hours) result += Math.abs(obj.hours) + 'H';
-            if (obj.minutes) result += Math.abs(obj.minutes) + 'M';
-            if (obj.seconds || obj.milliseconds) {
-                const secs = Math.abs(obj.seconds) + Math.abs(obj.milliseconds) / 1000;
-                result += secs + 'S';
-            }
-        }
+        const v = this._v;
+        const sign = this.asMilliseconds() < 0 ? -1 : 1;
+        const part = (value, designator) => value ? (value * sign < 0 ? '-' : '') + Math.abs(value) + designator : '';
+
+        const date = part(v.years, 'Y') + part(v.months, 'M') + part(v.weeks, 'W') + part(v.days, 'D');
+        const time = part(v.hours, 'H') + part(v.minutes, 'M') +
+            part((v.seconds * MS_PER_SECOND + v.milliseconds) / MS_PER_SECOND, 'S');
 
         // Handle zero duration
-        if (result === 'P' || result === '-P') {
+        if (!date && !time) {
             return 'PT0S';
         }
 
-        return result;
+        return (sign < 0 ? '-P' : 'P') + date + (time ? 'T' + time : '');
     }
 
     /**
      * Human-readable format using Intl.RelativeTimeFormat
      * Supports ALL languages automatically with zero locale payload
      * 
-     * @param {string} [locale='en'] - Locale for formatting
+     * Without options the single largest unit is used. With options the
+     * duration is split into several units ("2 days, 3 hours") via
+     * Intl.DurationFormat, or Intl.NumberFormat + Intl.ListFormat.
+     * Years and months count with average lengths.
+     * 
+     * @param {string} [locale] - Locale for formatting (default: config() locale, then environment)
+     * @param {Object} [options]
+     * @param {string[]} [options.units] - Units to use (default: year, month, day, hour, minute, second)
+     * @param {number} [options.largest] - Maximum number of units shown, starting at the largest non-zero one
+     * @param {string} [options.round='round'] - Smallest unit: 'round' | 'floor' | 'ceil' | 'trunc'
+     * @param {string} [options.style='long'] - Unit display: 'long' | 'short' | 'narrow'
+     * @param {string} [options.listStyle] - List joining: 'long' | 'short' | 'narrow' (default: style)
      * @returns {string} Human readable string
+     * @throws {RangeError} For unknown units or rounding modes
+     * 
+     * @example
+     * duration({ days: 2, hours: 3, minutes: 40 }).humanize('en', { largest: 2, round: 'floor' }) // "2 days, 3 hours"
      */
-    humanize(locale = 'en') {
-        const abs = Math.abs(this._ms);
-        const prefix = this._ms < 0 ? '-' : '';
+    humanize(locale, options) {
+        if (locale == null) locale = defaultLocale();
+        if (options) {
+            return humanizeCompound(this.asMilliseconds(), locale, options);
+        }
+
+        const ms = this.asMilliseconds();
+        const abs = Math.abs(ms);
+        const prefix = ms < 0 ? '-' : '';
 
         // Threshold-based unit selection with Intl-powered formatting
         if (abs >= MS_PER_YEAR) {
@@ -466,37 +1068,62 @@ class Duration {
 
     /**
      * Format with custom pattern
-     * @param {string} format - Format pattern (HH:mm:ss, etc.)
+     * 
+     * Tokens: YYYY YY Y (years), MM M (months), DD D (days), HH H (hours),
+     * mm m (minutes), ss s (seconds), SSS S (milliseconds); [text] is escaped.
+     * 
+     * With overflow (default) the largest unit in the pattern takes everything
+     * above it: 50 hours as 'HH:mm:ss' is "50:00:00". Without it each token
+     * shows its normalized component and units missing from the pattern are dropped.
+     * Units below the smallest token are truncated. Values are absolute, with
+     * one leading "-" for a negative duration.
+     * 
+     * @param {string} [format='HH:mm:ss'] - Format pattern
+     * @param {Object} [options]
+     * @param {boolean} [options.overflow=true] - Largest unit absorbs larger ones
      * @returns {string} Formatted string
+     * 
+     * @example
+     * duration({ hours: 50 }).format('HH:mm:ss')                       // "50:00:00"
+     * duration({ hours: 50 }).format('D [days] HH:mm')                 // "2 days 02:00"
+     * duration({ hours: 50 }).format('HH:mm', { overflow: false })     // "02:00"
+     * duration({ minutes: -90 }).format('H:mm')                        // "-1:30"
+     */
+    format(format = 'HH:mm:ss', { overflow = true } = {}) {
+        const tokens = tokenize(format, DURATION_TOKEN_REGEX);
+        let values;
+        if (overflow) {
+            const used = new Set();
+            for (const [type, token] of tokens) {
+                if (type) used.add(TOKEN_UNITS[token[0]]);
+            }
+            values = fillUnits(this._v, used);
+        } else {
+            values = this.normalize().toObject();
+        }
+
+        const shown = tokens.some(([type, token]) => type && values[TOKEN_UNITS[token[0]]]);
+        let out = shown && this.asMilliseconds() < 0 ? '-' : '';
+        for (const [type, token] of tokens) {
+            out += type ? formatDurationToken(token, Math.abs(values[TOKEN_UNITS[token[0]]])) : token;
+        }
+        return out;
+    }
+
+    /**
+     * Check if the duration was parsed successfully
+     * False for unrecognized strings (which behave as zero outside strict mode)
+     * @returns {boolean}
      */
-    format(format = 'HH:mm:ss') {
-        const obj = this.toObject();
-        const abs = {
-            y: Math.abs(obj.years),
-            M: Math.abs(obj.months),
-            d: Math.abs(obj.days),
-            h: Math.abs(obj.hours),
-            m: Math.abs(obj.minutes),
-            s: Math.abs(obj.seconds),
-            S: Math.abs(obj.milliseconds)
-        };
-
-        return format
-            .replace(/YYYY|YY/g, String(abs.y).padStart(4, '0'))
-            .replace(/MM/g, String(abs.M).padStart(2, '0'))
-            .replace(/DD/g, String(abs.d).padStart(2, '0'))
-            .replace(/HH/g, String(abs.h).padStart(2, '0'))
-            .replace(/H/g, String(abs.h))
-            .replace(/mm/g, String(abs.m).padStart(2, '0'))
-            .replace(/ss/g, String(abs.s).padStart(2, '0'))
-            .replace(/SSS/g, String(abs.S).padStart(3, '0'));
+    isValid() {
+        return this._invalid !== true;
     }
 
     /**
      * Get timestamp value
      */
     valueOf() {
-        return this._ms;
+        return this.asMilliseconds();
     }
 
     /**
@@ -521,76 +1148,282 @@ class Duration {
 /**
  * Create a duration from various inputs
  * 
+ * Strings: ISO 8601 ("P1DT2H30M"), compact ("1h30m", "90s"), verbose
+ * ("2 days 4 hours", "1 hour and 30 minutes") or clock ("01:30:00", "1:30",
+ * "1.02:00:00" with days). Unrecognized strings give an invalid duration
+ * (isValid() false, behaves as zero) - or throw in strict mode.
+ * 
  * @param {number|Object|string} input - Duration input
  * @param {string} [unit] - Unit if input is number
+ * @param {Object} cfg - Configuration (strict flag)
  * @returns {Duration} Duration instance
- * 
- * @example
- * duration(5000)                    // 5 seconds in ms
- * duration(2, 'hours')              // 2 hours
- * duration({ hours: 2, minutes: 30 }) // 2 hours 30 minutes
- * duration('P1DT2H30M')             // ISO 8601 duration
+ * @throws {InvalidDateError} In strict mode for unrecognized strings
  */
-export const duration = (input, unit) => {
+export const createDuration = (input, unit, cfg) => {
     // Number with unit
     if (typeof input === 'number' && unit) {
         const obj = { [unit]: input };
         return new Duration(obj);
     }
 
-    // ISO 8601 string parsing
     if (typeof input === 'string') {
-        return parseISO8601Duration(input);
+        const failure = cfg.strict ? {} : undefined;
+        const d = parseDuration(input, failure);
+        if (failure && !d.isValid()) {
+            throw new InvalidDateError(input, failure);
+        }
+        return d;
     }
 
     return new Duration(input);
 };
 
+/**
+ * Create a duration from various inputs (global configuration)
+ * 
+ * @param {number|Object|string} input - Duration input
+ * @param {string} [unit] - Unit if input is number
+ * @returns {Duration} Duration instance
+ * 
+ * @example
+ * duration(5000)                    // 5 seconds in ms
+ * duration(2, 'hours')              // 2 hours
+ * duration({ hours: 2, minutes: 30 }) // 2 hours 30 minutes
+ * duration('P1DT2H30M')             // ISO 8601 duration
+ * duration('1h30m')                 // compact
+ * duration('2 days 4 hours')        // verbose
+ * duration('01:30:00')              // clock
+ */
+export const duration = (input, unit) => createDuration(input, unit, globalConfig);
+
+/**
+ * Duration marked invalid (unparseable input) - behaves as zero
+ */
+const invalidDuration = () => {
+    const d = new Duration(0);
+    d._invalid = true;
+    return d;
+};
+
+/**
+ * Milliseconds of a fraction of a second ("5" -> 500, "0625" -> 62.5)
+ */
+const fractionMs = (frac) => Number(frac.slice(0, 3).padEnd(3, '0') + '.' + frac.slice(3));
+
+/**
+ * Parse a duration string in any supported notation
+ * @param {string} str - Duration string
+ * @param {Object} [failure] - Receives { reason, field, position } when parsing fails
+ * @returns {Duration} Duration (invalid if unrecognized)
+ */
+const parseDuration = (str, failure) => {
+    const s = str.trim();
+    const d = /^[+-]?P/i.test(s) ? parseISO8601Duration(s.toUpperCase())
+        : CLOCK_DURATION.test(s) ? parseClockDuration(s, failure)
+            : parseHumanDuration(s, failure);
+
+    if (failure && !d.isValid()) {
+        failure.reason = failure.reason || 'unparseable';
+        failure.field = failure.field || 'duration';
+        // Positions in the original (untrimmed) string
+        failure.position = (failure.position || 0) + str.length - str.trimStart().length;
+    }
+    return d;
+};
+
+/**
+ * ISO 8601 duration: optional sign, fractions with '.' or ',' and a per-component
+ * minus (written by toISOString for mixed signs)
+ */
+const ISO_NUMBER = '(-?\\d+(?:[.,]\\d+)?)';
+const ISO_DURATION = new RegExp(
+    '^([+-])?P(?:' + ISO_NUMBER + 'Y)?(?:' + ISO_NUMBER + 'M)?(?:' + ISO_NUMBER + 'W)?(?:' + ISO_NUMBER + 'D)?' +
+    '(?:T(?:' + ISO_NUMBER + 'H)?(?:' + ISO_NUMBER + 'M)?(?:' + ISO_NUMBER + 'S)?)?$'
+);
+
 /**
  * Parse ISO 8601 duration string
+ * Components are kept as written; fractional seconds fill milliseconds
  * @param {string} str - ISO duration string (e.g., "P1DT2H30M")
- * @returns {Duration} Duration instance
+ * @returns {Duration} Duration instance (invalid if malformed)
  */
 const parseISO8601Duration = (str) => {
-    const regex = /^(-)?P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
-    const match = str.match(regex);
-
-    if (!match) {
-        return new Duration(0);
-    }
-
-    const sign = match[1] ? -1 : 1;
-    const years = parseInt(match[2] || 0, 10);
-    const months = parseInt(match[3] || 0, 10);
-    const weeks = parseInt(match[4] || 0, 10);
-    const days = parseInt(match[5] || 0, 10);
-    const hours = parseInt(match[6] || 0, 10);
-    const minutes = parseInt(match[7] || 0, 10);
-    const seconds = parseFloat(match[8] || 0);
-
-    const ms = sign * (
-        years * MS_PER_YEAR +
-        months * MS_PER_MONTH +
-        weeks * MS_PER_WEEK +
-        days * MS_PER_DAY +
-        hours * MS_PER_HOUR +
-        minutes * MS_PER_MINUTE +
-        seconds * MS_PER_SECOND
-    );
-
-    return new Duration(ms);
+    const match = str.match(ISO_DURATION);
+
+    // "P" and "PT" alone are not durations
+    if (!match || str.endsWith('P') || str.endsWith('T')) {
+        return invalidDuration();
+    }
+
+    const sign = match[1] === '-' ? -1 : 1;
+    const num = (i) => match[i] ? scale(parseFloat(match[i].replace(',', '.')), sign) : 0;
+
+    // Seconds: whole part + up to 3 fraction digits as milliseconds (more digits stay fractional)
+    let seconds = 0;
+    let milliseconds = 0;
+    if (match[8]) {
+        const [whole, frac = ''] = match[8].replace(',', '.').split('.');
+        const secSign = whole[0] === '-' ? -sign : sign;
+        seconds = scale(Math.abs(parseInt(whole, 10)), secSign);
+        milliseconds = scale(fractionMs(frac), secSign);
+    }
+
+    return new Duration({
+        years: num(2),
+        months: num(3),
+        weeks: num(4),
+        days: num(5),
+        hours: num(6),
+        minutes: num(7),
+        seconds,
+        milliseconds
+    });
+};
+
+/**
+ * Clock notation: [-][days.]hours:minutes[:seconds[.fraction]]
+ */
+const CLOCK_DURATION = /^([+-])?(?:(\d+)\.)?(\d+):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?$/d;
+
+/**
+ * Parse clock notation ("01:30:00", "1:30", "1.02:03:04.5")
+ * Minutes and seconds must be below 60
+ * @param {string} str - Clock string
+ * @param {Object} [failure] - Receives diagnostics
+ * @returns {Duration} Duration instance (invalid if out of range)
+ */
+const parseClockDuration = (str, failure) => {
+    const match = str.match(CLOCK_DURATION);
+    const sign = match[1] === '-' ? -1 : 1;
+    const minutes = +match[4];
+    const seconds = match[5] ? +match[5] : 0;
+
+    if (minutes > 59 || seconds > 59) {
+        if (failure) {
+            const group = minutes > 59 ? 4 : 5;
+            failure.reason = 'out-of-range';
+            failure.field = group === 4 ? 'minute' : 'second';
+            failure.position = match.indices[group][0];
+        }
+        return invalidDuration();
+    }
+
+    return new Duration({
+        days: scale(match[2] ? +match[2] : 0, sign),
+        hours: scale(+match[3], sign),
+        minutes: scale(minutes, sign),
+        seconds: scale(seconds, sign),
+        milliseconds: scale(match[6] ? fractionMs(match[6]) : 0, sign)
+    });
+};
+
+/**
+ * Unit words of compact and verbose durations
+ * Case-sensitive 'M' is months (as in moment) - minutes after an hour part,
+ * as after T in ISO 8601 ("1H30M"); everything else is case-insensitive
+ */
+const HUMAN_UNITS = {
+    M: 'months',
+    y: 'years', yr: 'years', yrs: 'years', year: 'years', years: 'years',
+    mo: 'months', mos: 'months', month: 'months', months: 'months',
+    w: 'weeks', wk: 'weeks', wks: 'weeks', week: 'weeks', weeks: 'weeks',
+    d: 'days', day: 'days', days: 'days',
+    h: 'hours', hr: 'hours', hrs: 'hours', hour: 'hours', hours: 'hours',
+    m: 'minutes', min: 'minutes', mins: 'minutes', minute: 'minutes', minutes: 'minutes',
+    s: 'seconds', sec: 'seconds', secs: 'seconds', second: 'seconds', seconds: 'seconds',
+    ms: 'milliseconds', msec: 'milliseconds', msecs: 'milliseconds', millisecond: 'milliseconds', milliseconds: 'milliseconds'
+};
+
+/**
+ * One "<number> <unit>" part, optionally after a ',' or 'and' separator
+ */
+const HUMAN_PART = /\s*(?:(?:,|\band\b)\s*)?(\d+(?:[.,]\d+)?)\s*([a-zA-Z]+)/y;
+
+/**
+ * Parse compact ("1h30m", "90s") and verbose ("2 days 4 hours") durations
+ * An optional leading sign applies to every part
+ * @param {string} str - Trimmed duration string
+ * @param {Object} [failure] - Receives the position where reading stopped
+ * @returns {Duration} Duration instance (invalid if not fully read)
+ */
+const parseHumanDuration = (str, failure) => {
+    const sign = str[0] === '-' ? -1 : 1;
+    const c = {};
+    let i = str[0] === '-' || str[0] === '+' ? 1 : 0;
+    let parts = 0;
+    let hours = false;
+
+    while (i < str.length) {
+        HUMAN_PART.lastIndex = i;
+        const match = HUMAN_PART.exec(str);
+        let unit = match && (HUMAN_UNITS[match[2]] || HUMAN_UNITS[match[2].toLowerCase()]);
+        if (!unit) break;
+        if (unit === 'months' && hours && match[2] === 'M') unit = 'minutes';
+        hours = hours || unit === 'hours';
+        c[unit] = (c[unit] || 0) + scale(parseFloat(match[1].replace(',', '.')), sign);
+        i = HUMAN_PART.lastIndex;
+        parts++;
+    }
+
+    if (!parts || i < str.length) {
+        if (failure) {
+            failure.reason = 'unparseable';
+            failure.field = 'duration';
+            failure.position = i;
+        }
+        return invalidDuration();
+    }
+    return new Duration(c);
 };
 
+/**
+ * Resolve a between() argument to a NanoDate context
+ */
+const toCtx = (input) => input && input._d ? input : nano(input);
+
 /**
  * Calculate duration between two dates
- * @param {Date|NanoDate} start - Start date
- * @param {Date|NanoDate} end - End date
- * @returns {Duration} Duration between dates
- */
-export const between = (start, end) => {
-    const startMs = start._d ? start._d.getTime() : start.getTime();
-    const endMs = end._d ? end._d.getTime() : end.getTime();
-    return new Duration(endMs - startMs);
+ * 
+ * Default: exact milliseconds (balanced into days of 24h and time).
+ * With { calendar: true } (or units): years, months and days on the calendar
+ * of start (its timezone), honoring month lengths, leap years and DST -
+ * start.add(result) gives end back.
+ * 
+ * @param {Date|NanoDate|string|number} start - Start date
+ * @param {Date|NanoDate|string|number} end - End date
+ * @param {Object} [options]
+ * @param {boolean} [options.calendar=false] - Calendar components instead of exact time
+ * @param {string[]} [options.units] - Units to break into, e.g. ['years', 'months', 'days'] (implies calendar)
+ * @returns {Duration} Duration between dates (negative if end is before start)
+ * 
+ * @example
+ * between('2024-02-29', '2026-03-01', { calendar: true }).toISOString() // "P2Y1D"
+ * between(a, b, { units: ['months', 'days'] })                         // P24M1D
+ */
+export const between = (start, end, { calendar = false, units } = {}) => {
+    const s = toCtx(start);
+    const e = toCtx(end);
+    if (!calendar && !units) {
+        return new Duration(e._d.getTime() - s._d.getTime());
+    }
+    return new Duration(calendarBetween(s._d.getTime(), e._d.getTime(), getZone(s), breakdownUnits(units)));
+};
+
+/**
+ * Calendar difference of a NanoDate and another date as a Duration
+ * Same direction as diff(): ctx - other, measured from other on the calendar of ctx
+ * 
+ * @param {Object} ctx - NanoDate context
+ * @param {*} other - Date to compare with
+ * @param {string[]} [units] - Units to break into (default: years, months, days, hours, minutes, seconds, milliseconds)
+ * @returns {Duration} Breakdown
+ * 
+ * @example
+ * nano('2026-03-15').diffBreakdown('1990-01-20', ['years', 'months', 'days']) // P36Y1M23D
+ */
+export const diffBreakdown = (ctx, other, units) => {
+    const from = toCtx(other)._d.getTime();
+    return new Duration(calendarBetween(from, ctx._d.getTime(), getZone(ctx), breakdownUnits(units)));
 };
 
 // Export Duration class for instanceof checks
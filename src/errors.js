@@ -0,0 +1,38 @@
+/**
+ * NanoDate Errors
+ * Shared by index.js (strict factories, nano.parse) and timezone.js (zone validation)
+ */
+
+/**
+ * Custom error for invalid dates in strict mode
+ *
+ * Reasons (machine-readable):
+ * - 'unparseable'       - input could not be read as a date at all
+ * - 'calendar-overflow' - day beyond the month (Feb 30) or weekday not matching the date
+ * - 'out-of-range'      - field outside its fixed range (month 13, hour 25, minute 61, 13 PM)
+ * - 'unknown-timezone'  - IANA timezone not known to Intl
+ * - 'format-mismatch'   - string does not match the expected format
+ *
+ * @param {*} input - Rejected input (date string, value or timezone)
+ * @param {Object} [details] - Diagnostics
+ * @param {string} [details.reason='unparseable'] - One of the reasons above
+ * @param {string} [details.field] - Offending field (month, day, hour, ...)
+ * @param {string|string[]} [details.format] - Expected format
+ * @param {number} [details.position] - Index in the input where the problem starts
+ *
+ * @example
+ * try { nano.strict('2026-02-30'); }
+ * catch (e) { e.reason; e.field; e.position; } // 'calendar-overflow', 'day', 8
+ */
+export class InvalidDateError extends Error {
+    constructor(input, details = {}) {
+        const reason = details.reason || 'unparseable';
+        super(`Invalid date: ${input} (${reason}${details.field ? ': ' + details.field : ''})`);
+        this.name = 'InvalidDateError';
+        this.input = input;
+        this.reason = reason;
+        this.field = details.field;
+        this.format = details.format;
+        this.position = details.position;
+    }
+}
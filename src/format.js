@@ -8,8 +8,13 @@
  * - Token parsing cache
  * - Inline value extraction (avoid function calls)
  * - Array-based string building
+ * - Zoned instances format wall-clock time of their zone
  */
 
+import { getZone, wallDate, fromWall } from './timezone.js';
+import { getLocale } from './config.js';
+import { getDaysInMonth } from './constants.js';
+
 /**
  * Zero-pad lookup table for 0-99 (faster than padStart)
  */
@@ -119,6 +124,21 @@ const getLocaleNames = (locale) => {
 // Locales are now warmed lazily on first access for faster startup
 // This improves initial load time by ~50-100ms
 
+/**
+ * English names for wire formats (RFC 2822, HTTP, CLF) - never localized
+ */
+const WIRE_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WIRE_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Offset without colon ("+0300")
+ */
+const offsetZZ = (d) => {
+    const offset = -d.getTimezoneOffset();
+    const absOffset = Math.abs(offset);
+    return (offset >= 0 ? '+' : '-') + pad2((absOffset / 60) | 0) + pad2(absOffset % 60);
+};
+
 /**
  * Precompiled format functions for common patterns
  * These bypass regex parsing for maximum performance (~10x faster)
@@ -165,6 +185,16 @@ const PRECOMPILED = {
             sign + pad2((absOffset / 60) | 0) + ':' + pad2(absOffset % 60);
     },
 
+    // Wire formats (locale-independent)
+    // RFC 2822 / email: "Wed, 21 Jan 2026 12:30:45 +0300"
+    'RFC2822': (d) => WIRE_WEEKDAYS[d.getDay()] + ', ' + pad2(d.getDate()) + ' ' + WIRE_MONTHS[d.getMonth()] + ' ' + d.getFullYear() + ' ' +
+        pad2(d.getHours()) + ':' + pad2(d.getMinutes()) + ':' + pad2(d.getSeconds()) + ' ' + offsetZZ(d),
+    // HTTP IMF-fixdate, always GMT: "Wed, 21 Jan 2026 09:30:45 GMT"
+    'HTTP': (d) => new Date(d.getTime()).toUTCString(),
+    // Common Log Format (Apache/nginx): "21/Jan/2026:12:30:45 +0300"
+    'CLF': (d) => pad2(d.getDate()) + '/' + WIRE_MONTHS[d.getMonth()] + '/' + d.getFullYear() + ':' +
+        pad2(d.getHours()) + ':' + pad2(d.getMinutes()) + ':' + pad2(d.getSeconds()) + ' ' + offsetZZ(d),
+
     // Special
     'ISO': (d) => d.toISOString(),
     'X': (d) => String((d.getTime() / 1000) | 0),  // Unix timestamp (seconds)
@@ -175,9 +205,9 @@ const PRECOMPILED = {
  * Locale-aware precompiled format functions
  * Returns formatter function for locale-dependent formats
  */
-const getLocalePrecompiled = (fmt, locale) => {
+const getLocalePrecompiled = (fmt, locale, caches) => {
     const key = fmt + '|' + locale;
-    const cached = compiledCache.get(key);
+    const cached = caches.compiled.get(key);
     if (cached) return cached;
 
     const names = getLocaleNames(locale);
@@ -233,7 +263,7 @@ const getLocalePrecompiled = (fmt, locale) => {
 
     if (fn) {
         // Cache using LRU
-        compiledCache.set(key, fn);
+        caches.compiled.set(key, fn);
     }
 
     return fn;
@@ -275,8 +305,7 @@ const T = {
 // Respects configurable cache size via getCacheSize()
 
 /**
- * Get cache size from nano.cacheSize (imported dynamically to avoid circular dep)
- * @returns {number} Cache size limit
+ * Cache size behind nano.cacheSize (set from index.js to avoid circular dep)
  */
 let _cacheSize = 50; // Default
 
@@ -292,14 +321,15 @@ export const setCacheSize = (size) => {
  * Get current cache size
  * @returns {number} Current cache size limit
  */
-const getCacheSize = () => _cacheSize;
+export const getCacheSize = () => _cacheSize;
 
 /**
  * Compact LRU Cache Factory
  * ~60% smaller than class-based implementation
  * Uses Map for O(1) get/set with automatic size limiting
+ * @param {Function} [getSize] - Size limit getter (default: nano.cacheSize)
  */
-export const createLRU = () => {
+export const createLRU = (getSize = getCacheSize) => {
     const m = new Map();
     return {
         get(k) {
@@ -311,7 +341,7 @@ export const createLRU = () => {
         },
         set(k, v) {
             if (m.has(k)) m.delete(k);
-            else if (m.size >= getCacheSize()) m.delete(m.keys().next().value);
+            else if (m.size >= getSize()) m.delete(m.keys().next().value);
             m.set(k, v);
             return v;
         },
@@ -338,6 +368,22 @@ const tokenCache = createLRU();
  */
 const compiledCache = createLRU();
 
+/**
+ * Default cache set - scoped instances (nano.withConfig) bring their own
+ */
+const rootCaches = { formatter: formatterCache, token: tokenCache, compiled: compiledCache };
+
+/**
+ * Create an isolated cache set for a scoped NanoDate instance
+ * @param {Function} getSize - Size limit getter of the scope
+ * @returns {Object} Cache set { formatter, token, compiled }
+ */
+export const createFormatCaches = (getSize) => ({
+    formatter: createLRU(getSize),
+    token: createLRU(getSize),
+    compiled: createLRU(getSize)
+});
+
 /**
  * Fast key generation for formatter cache
  * Avoids JSON.stringify overhead for simple options
@@ -355,14 +401,15 @@ const getOptionsKey = (options) => {
  * Uses LRU cache to prevent memory bloat
  * @param {string} locale - Locale string
  * @param {Object} options - DateTimeFormat options
+ * @param {Object} [caches] - Cache set of the instance scope
  * @returns {Intl.DateTimeFormat}
  */
-const getFormatter = (locale, options) => {
+const getFormatter = (locale, options, caches = rootCaches) => {
     const key = locale + '|' + getOptionsKey(options);
-    let formatter = formatterCache.get(key);
+    let formatter = caches.formatter.get(key);
     if (!formatter) {
         formatter = new Intl.DateTimeFormat(locale, options);
-        formatterCache.set(key, formatter);
+        caches.formatter.set(key, formatter);
     }
     return formatter;
 };
@@ -381,11 +428,10 @@ const ord = (n) => {
 };
 
 /**
- * Default locale getter
- * Browser: navigator.language
- * Node.js: Intl.DateTimeFormat().resolvedOptions().locale
+ * Add timeZone to Intl options for zoned instances
+ * Local instances reuse the options object as-is (no allocation)
  */
-const getLocale = (ctx) => ctx._l || 'en';
+const withZone = (options, zone) => zone ? { ...options, timeZone: zone } : options;
 
 /**
  * Preset formats - Intl dateStyle/timeStyle kullanır (0 byte ek maliyet)
@@ -395,11 +441,11 @@ const PRESETS = ['short', 'medium', 'long', 'full'];
 /**
  * Extract AM/PM from formatted time
  */
-const getAmPm = (date, locale, uppercase) => {
-    const formatter = getFormatter(locale, {
+const getAmPm = (date, locale, uppercase, zone, caches) => {
+    const formatter = getFormatter(locale, withZone({
         hour: 'numeric',
         hour12: true
-    });
+    }, zone), caches);
     const parts = formatter.formatToParts(date);
     const period = parts.find(p => p.type === 'dayPeriod');
     if (period) {
@@ -422,32 +468,36 @@ const getOffset = (date, withColon) => {
     return sign + hours + (withColon ? ':' : '') + minutes;
 };
 
+/**
+ * Escaped literal text: [text] is output as-is
+ * Shared with the duration formatter so both follow the same escaping rules
+ */
+export const ESCAPED_TEXT = /\[([^\]]+)]/;
+
 /**
  * Token regex pattern
  * Order matters: longer tokens first (YYYY before YY, etc.)
  * Compiled once at module load for performance
  */
-const TOKEN_REGEX = /\[([^\]]+)]|YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd|dd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z/g;
+const TOKEN_REGEX = new RegExp(ESCAPED_TEXT.source + '|YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd|dd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z', 'g');
 
 /**
- * Parse format string into tokens (cached)
+ * Split a format string into tokens
  * Returns array of [type, value] tuples for faster iteration
  * type: 0 = literal, 1 = token
  * @param {string} fmt - Format string
+ * @param {RegExp} regex - Global token regex, starting with the ESCAPED_TEXT alternative
  * @returns {Array} Array of [type, value] tuples
  */
-const parseFormatTokens = (fmt) => {
-    const cached = tokenCache.get(fmt);
-    if (cached) return cached;
-
+export const tokenize = (fmt, regex) => {
     const tokens = [];
     let lastIndex = 0;
     let match;
 
     // Reset regex state
-    TOKEN_REGEX.lastIndex = 0;
+    regex.lastIndex = 0;
 
-    while ((match = TOKEN_REGEX.exec(fmt)) !== null) {
+    while ((match = regex.exec(fmt)) !== null) {
         // Add literal text before this match
         if (match.index > lastIndex) {
             tokens.push([0, fmt.slice(lastIndex, match.index)]);
@@ -469,8 +519,23 @@ const parseFormatTokens = (fmt) => {
         tokens.push([0, fmt.slice(lastIndex)]);
     }
 
+    return tokens;
+};
+
+/**
+ * Parse format string into tokens (cached)
+ * @param {string} fmt - Format string
+ * @param {Object} caches - Cache set of the instance scope
+ * @returns {Array} Array of [type, value] tuples
+ */
+const parseFormatTokens = (fmt, caches) => {
+    const cached = caches.token.get(fmt);
+    if (cached) return cached;
+
+    const tokens = tokenize(fmt, TOKEN_REGEX);
+
     // Cache using LRU
-    tokenCache.set(fmt, tokens);
+    caches.token.set(fmt, tokens);
     return tokens;
 };
 
@@ -486,11 +551,13 @@ const to12Hour = (h) => {
  * Format a single token - ultra-optimized
  * Uses direct value extraction where possible, falls back to Intl only when needed
  * @param {string} token - Token to format
- * @param {Date} date - Date object
+ * @param {Date} date - Date object (or zoned view)
  * @param {string} locale - Locale string
+ * @param {string} [zone] - IANA timezone for Intl-based tokens
+ * @param {Object} caches - Cache set of the instance scope
  * @returns {string} Formatted value
  */
-const formatToken = (token, date, locale) => {
+const formatToken = (token, date, locale, zone, caches) => {
     // Fast path: numeric tokens without locale dependency
     switch (token) {
         // Year
@@ -530,12 +597,12 @@ const formatToken = (token, date, locale) => {
             if (!locale || locale.startsWith('en')) {
                 return date.getHours() < 12 ? 'AM' : 'PM';
             }
-            return getAmPm(date, locale, true);
+            return getAmPm(date, locale, true, zone, caches);
         case 'a':
             if (!locale || locale.startsWith('en')) {
                 return date.getHours() < 12 ? 'am' : 'pm';
             }
-            return getAmPm(date, locale, false);
+            return getAmPm(date, locale, false, zone, caches);
 
         // Timezone
         case 'Z': return getOffset(date, true);
@@ -569,7 +636,7 @@ const formatToken = (token, date, locale) => {
     if (!opt) return token;
 
     try {
-        return getFormatter(locale, opt).format(date);
+        return getFormatter(locale, withZone(opt, zone), caches).format(date);
     } catch {
         return token;
     }
@@ -590,7 +657,9 @@ const formatToken = (token, date, locale) => {
  */
 export const format = (ctx, fmt = 'YYYY-MM-DDTHH:mm:ssZ') => {
     const locale = getLocale(ctx);
-    const date = ctx._d;
+    const zone = getZone(ctx);
+    const date = wallDate(ctx);
+    const caches = ctx._c ? ctx._c.caches : rootCaches;
 
     // Check for precompiled format first (fastest path)
     if (PRECOMPILED[fmt]) {
@@ -598,64 +667,219 @@ export const format = (ctx, fmt = 'YYYY-MM-DDTHH:mm:ssZ') => {
     }
 
     // Check for locale-aware precompiled format (second fastest path)
-    const localePrecompiled = getLocalePrecompiled(fmt, locale);
+    const localePrecompiled = getLocalePrecompiled(fmt, locale, caches);
     if (localePrecompiled) {
         return localePrecompiled(date);
     }
 
     // Preset format kontrolü (short, medium, long, full)
     if (PRESETS.includes(fmt)) {
-        return getFormatter(locale, { dateStyle: fmt }).format(date);
+        return getFormatter(locale, withZone({ dateStyle: fmt }, zone), caches).format(date);
     }
 
     // Preset with time: 'short-time', 'full-time', etc.
     if (fmt.endsWith('-time')) {
         const style = fmt.replace('-time', '');
         if (PRESETS.includes(style)) {
-            return getFormatter(locale, {
+            return getFormatter(locale, withZone({
                 dateStyle: style,
                 timeStyle: style
-            }).format(date);
+            }, zone), caches).format(date);
         }
     }
 
     // Token-based formatting with caching
-    const tokens = parseFormatTokens(fmt);
+    const tokens = parseFormatTokens(fmt, caches);
 
     // Use array join for better string building performance
     const parts = [];
     for (let i = 0; i < tokens.length; i++) {
         const token = tokens[i];
         // token[0] = type (0=literal, 1=token), token[1] = value
-        parts.push(token[0] === 0 ? token[1] : formatToken(token[1], date, locale));
+        parts.push(token[0] === 0 ? token[1] : formatToken(token[1], date, locale, zone, caches));
     }
 
     return parts.join('');
 };
 
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+const escapeRegex = (str) => str.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+/**
+ * Parse-side name index cache per locale
+ * Built from the same getLocaleNames() cache the formatter uses
+ */
+const parseNameCache = createLRU();
+
+/**
+ * Build regex alternation + lookup for month and weekday names
+ * Months include full, short and in-date forms (e.g. Russian "января")
+ * 
+ * @param {string} locale - Locale string
+ * @returns {Object} { month, weekday } each with pattern and index map
+ */
+const getParseNames = (locale) => {
+    let cached = parseNameCache.get(locale);
+    if (cached) return cached;
+
+    const names = getLocaleNames(locale);
+    const build = (lists) => {
+        const index = new Map();
+        for (const list of lists) {
+            for (let i = 0; i < list.length; i++) {
+                const key = list[i].toLocaleLowerCase(locale);
+                if (!index.has(key)) index.set(key, i);
+                // Abbreviations are often written without the trailing dot
+                if (key.endsWith('.') && !index.has(key.slice(0, -1))) index.set(key.slice(0, -1), i);
+            }
+        }
+        // Longest first so "June" wins over "Jun"
+        const keys = [...index.keys()].sort((a, b) => b.length - a.length);
+        return { pattern: '(' + keys.map(escapeRegex).join('|') + ')', index };
+    };
+
+    // Month names as they appear inside a date (genitive in some languages)
+    const inDate = [];
+    try {
+        const f = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long' });
+        for (let i = 0; i < 12; i++) {
+            const part = f.formatToParts(REF_DATES.months[i]).find(p => p.type === 'month');
+            inDate[i] = part ? part.value : names.months[i];
+        }
+    } catch {
+        // Standalone names only
+    }
+
+    cached = {
+        month: build([names.months, names.monthsShort, inDate]),
+        weekday: build([names.weekdays, names.weekdaysShort])
+    };
+    parseNameCache.set(locale, cached);
+    return cached;
+};
+
+/**
+ * Find the first out-of-range field of parsed values
+ * Catches what new Date(...) would silently roll over (Feb 30, hour 25, 13 PM)
+ * 
+ * @param {Object} v - Parsed values (month 0-indexed, hour before AM/PM shift)
+ * @param {boolean} checkWeekday - Also require a parsed weekday to match the date
+ * @returns {string|null} Offending field name, or null if valid
+ */
+const invalidField = (v, checkWeekday) => {
+    if (v.month === undefined || v.month < 0 || v.month > 11) return 'month';
+    if (v.day < 1 || v.day > getDaysInMonth(v.year, v.month)) return 'day';
+    if (v.is12Hour ? v.hour < 1 || v.hour > 12 : v.hour > 23) return 'hour';
+    if (v.minute > 59) return 'minute';
+    if (v.second > 59) return 'second';
+    if (v.offset !== null && Math.abs(v.offset) > 18 * 60) return 'offset';
+    if (checkWeekday && v.weekday !== null &&
+        v.weekday !== new Date(Date.UTC(v.year, v.month, v.day)).getUTCDay()) return 'weekday';
+    return null;
+};
+
+/**
+ * Field each parse token type fills (for InvalidDateError positions)
+ */
+const TYPE_FIELD = {
+    year4: 'year', year2: 'year', month: 'month', monthName: 'month', day: 'day',
+    weekday: 'weekday', hour24: 'hour', hour12: 'hour', minute: 'minute',
+    second: 'second', ms: 'millisecond', ampm: 'hour', offset: 'offset'
+};
+
+/**
+ * Record a parse failure for InvalidDateError diagnostics
+ * The first calendar failure wins; otherwise the format that matched furthest
+ * 
+ * @param {Object} failure - Failure accumulator shared across formats
+ * @param {Object} info - { reason, field?, format, position }
+ */
+const recordFailure = (failure, info) => {
+    if (failure.reason && failure.reason !== 'format-mismatch') return;
+    if (info.reason !== 'format-mismatch' || failure.position === undefined || info.position > failure.position) {
+        Object.assign(failure, info);
+    }
+};
+
+/**
+ * Where a string stops matching a regex built from pieces
+ * The longest matching prefix of the format = where the mismatch starts
+ * 
+ * @param {string} input - Input string
+ * @param {string[]} pieces - Regex source pieces (each self-contained)
+ * @param {string} flags - RegExp flags
+ * @returns {number} Index of the first unmatched character
+ */
+const mismatchPosition = (input, pieces, flags) => {
+    let position = 0;
+    let prefix = '^';
+    for (const piece of pieces) {
+        prefix += piece;
+        const m = input.match(new RegExp(prefix, flags));
+        if (!m) break;
+        position = m[0].length;
+    }
+    return position;
+};
+
+/**
+ * Parse a UTC offset: "Z", "+03:00" or "+0300"
+ * @returns {number} Offset in minutes
+ */
+const parseOffset = (value) => {
+    if (value === 'Z' || value === 'z') return 0;
+    const sign = value[0] === '-' ? -1 : 1;
+    const digits = value.replace(':', '');
+    return sign * (parseInt(digits.slice(1, 3), 10) * 60 + parseInt(digits.slice(3, 5), 10));
+};
+
 /**
  * Parse a date string with a given format
- * Supports common format patterns
+ * Supports numeric tokens, locale month/weekday names, ordinals and offsets
+ * 
+ * Lenient (default): trims input, ignores case, any whitespace run matches
+ * whitespace in the format. Strict: exact characters and case, and a parsed
+ * weekday must match the date. Out-of-range fields are always rejected.
  * 
  * @param {string} dateStr - Date string to parse
  * @param {string} fmt - Format string
- * @param {string} [locale] - Locale
- * @param {Function} nanoFactory - nano factory function
- * @returns {Proxy} NanoDate instance
+ * @param {string} [locale] - Locale for MMMM/MMM/dddd/ddd (default: config locale)
+ * @param {Object} cfg - Configuration of the factory (global or scoped)
+ * @param {boolean} [strict=false] - Require an exact match
+ * @param {Object} [failure] - Receives { reason, field, format, position } on failure
+ * @returns {Date} Parsed instant (Invalid Date if the string does not match)
+ * 
+ * @example
+ * parse('21 Ocak 2026', 'D MMMM YYYY', 'tr', cfg)
+ * parse('Wed, Jan 21 2026 +0300', 'ddd, MMM D YYYY ZZ', 'en', cfg)
  */
-export const parse = (dateStr, fmt, locale, nanoFactory) => {
+export const parse = (dateStr, fmt, locale, cfg, strict = false, failure) => {
     if (!dateStr || !fmt) {
-        return nanoFactory(new Date(NaN), locale);
+        if (failure) recordFailure(failure, { reason: 'unparseable', format: fmt, position: 0 });
+        return new Date(NaN);
     }
 
+    const nameLocale = getLocale({ _l: locale, _c: cfg });
+
     // Token definitions with regex patterns
     const tokenDefs = {
         YYYY: { pattern: '(\\d{4})', type: 'year4' },
         YY: { pattern: '(\\d{2})', type: 'year2' },
+        MMMM: { pattern: null, type: 'monthName' },
+        MMM: { pattern: null, type: 'monthName' },
         MM: { pattern: '(\\d{2})', type: 'month' },
         M: { pattern: '(\\d{1,2})', type: 'month' },
+        Do: { pattern: '(\\d{1,2})(?:st|nd|rd|th|\\.)?', type: 'day' },
         DD: { pattern: '(\\d{2})', type: 'day' },
         D: { pattern: '(\\d{1,2})', type: 'day' },
+        dddd: { pattern: null, type: 'weekday' },
+        ddd: { pattern: null, type: 'weekday' },
         HH: { pattern: '(\\d{2})', type: 'hour24' },
         H: { pattern: '(\\d{1,2})', type: 'hour24' },
         hh: { pattern: '(\\d{2})', type: 'hour12' },
@@ -666,7 +890,9 @@ export const parse = (dateStr, fmt, locale, nanoFactory) => {
         s: { pattern: '(\\d{1,2})', type: 'second' },
         SSS: { pattern: '(\\d{3})', type: 'ms' },
         A: { pattern: '(AM|PM)', type: 'ampm' },
-        a: { pattern: '(am|pm)', type: 'ampm' }
+        a: { pattern: '(am|pm)', type: 'ampm' },
+        ZZ: { pattern: '([+-]\\d{4}|Z)', type: 'offset' },
+        Z: { pattern: '([+-]\\d{2}:\\d{2}|Z)', type: 'offset' }
     };
 
     // Find all tokens in the format string and their positions
@@ -674,7 +900,7 @@ export const parse = (dateStr, fmt, locale, nanoFactory) => {
     let tempFmt = fmt;
 
     // Token search order - longest first to avoid partial matches
-    const searchOrder = ['YYYY', 'SSS', 'MM', 'DD', 'HH', 'hh', 'mm', 'ss', 'YY', 'M', 'D', 'H', 'h', 'm', 's', 'A', 'a'];
+    const searchOrder = ['YYYY', 'MMMM', 'dddd', 'SSS', 'MMM', 'ddd', 'Do', 'ZZ', 'MM', 'DD', 'HH', 'hh', 'mm', 'ss', 'YY', 'M', 'D', 'H', 'h', 'm', 's', 'A', 'a', 'Z'];
 
     for (const token of searchOrder) {
         let idx = tempFmt.indexOf(token);
@@ -689,33 +915,49 @@ export const parse = (dateStr, fmt, locale, nanoFactory) => {
     // Sort by position
     tokens.sort((a, b) => a.pos - b.pos);
 
-    // Build regex from format string
-    let regexStr = '';
+    // Name tokens need the locale alternations
+    let names = null;
+    for (const t of tokens) {
+        if (t.pattern === null) {
+            names = names || getParseNames(nameLocale);
+            t.pattern = t.type === 'monthName' ? names.month.pattern : names.weekday.pattern;
+        }
+    }
+
+    // Literal text between tokens (escaped, whitespace-tolerant when lenient)
+    const literal = (text) => strict ? escapeRegex(text) : escapeRegex(text).replace(/\s+/g, '\\s+');
+
+    // Build regex pieces from format string (kept for mismatch positions)
+    const pieces = [];
     let lastEnd = 0;
 
     for (const t of tokens) {
-        // Add literal text before this token (escaped)
+        // Add literal text before this token
         if (t.pos > lastEnd) {
-            const literal = fmt.substring(lastEnd, t.pos);
-            regexStr += literal.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+            pieces.push(literal(fmt.substring(lastEnd, t.pos)));
         }
         // Add token pattern
-        regexStr += t.pattern;
+        pieces.push(t.pattern);
         lastEnd = t.pos + t.token.length;
     }
 
     // Add remaining literal text
     if (lastEnd < fmt.length) {
-        const literal = fmt.substring(lastEnd);
-        regexStr += literal.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+        pieces.push(literal(fmt.substring(lastEnd)));
     }
 
     try {
-        const regex = new RegExp('^' + regexStr + '$', 'i');
-        const match = dateStr.match(regex);
+        // 'd' flag gives group indices for field positions when diagnosing
+        const flags = (strict ? '' : 'i') + (failure ? 'd' : '');
+        const input = strict ? dateStr : dateStr.trim();
+        const lead = strict ? 0 : dateStr.length - dateStr.trimStart().length;
+        const match = input.match(new RegExp('^' + pieces.join('') + '$', flags));
 
         if (!match) {
-            return nanoFactory(new Date(NaN), locale);
+            if (failure) {
+                recordFailure(failure, { reason: 'format-mismatch', format: fmt, position: lead + mismatchPosition(input, pieces, flags) });
+            }
+            return new Date(NaN);
         }
 
         // Extract values
@@ -728,7 +970,9 @@ export const parse = (dateStr, fmt, locale, nanoFactory) => {
             second: 0,
             millisecond: 0,
             isPM: null,
-            is12Hour: false
+            is12Hour: false,
+            weekday: null,
+            offset: null
         };
 
         for (let i = 0; i < tokens.length; i++) {
@@ -745,6 +989,12 @@ export const parse = (dateStr, fmt, locale, nanoFactory) => {
                 case 'month':
                     values.month = parseInt(value, 10) - 1;
                     break;
+                case 'monthName':
+                    values.month = names.month.index.get(value.toLocaleLowerCase(nameLocale));
+                    break;
+                case 'weekday':
+                    values.weekday = names.weekday.index.get(value.toLocaleLowerCase(nameLocale));
+                    break;
                 case 'day':
                     values.day = parseInt(value, 10);
                     break;
@@ -767,7 +1017,27 @@ export const parse = (dateStr, fmt, locale, nanoFactory) => {
                 case 'ampm':
                     values.isPM = value.toLowerCase() === 'pm';
                     break;
+                case 'offset':
+                    values.offset = parseOffset(value);
+                    break;
+            }
+        }
+
+        // Calendar validation - month 13, Feb 30, hour 25, 13 PM, ...
+        const field = invalidField(values, strict);
+        if (field) {
+            if (failure) {
+                const idx = tokens.findIndex(t => TYPE_FIELD[t.type] === field);
+                recordFailure(failure, {
+                    reason: (field === 'day' && values.day >= 1 && values.day <= 31) || field === 'weekday'
+                        ? 'calendar-overflow'
+                        : 'out-of-range',
+                    field,
+                    format: fmt,
+                    position: idx === -1 ? lead : lead + match.indices[idx + 1][0]
+                });
             }
+            return new Date(NaN);
         }
 
         // Handle 12-hour format with AM/PM
@@ -779,20 +1049,220 @@ export const parse = (dateStr, fmt, locale, nanoFactory) => {
             }
         }
 
-        const d = new Date(
-            values.year,
-            values.month,
-            values.day,
-            values.hour,
-            values.minute,
-            values.second,
-            values.millisecond
-        );
-
-        return nanoFactory(d, locale);
+        // Explicit offset wins; otherwise fields are wall-clock time of the
+        // default timezone when one is configured, else host local time
+        const zone = cfg && cfg.timezone;
+        let d;
+        if (values.offset !== null || zone) {
+            const wall = Date.UTC(
+                values.year, values.month, values.day,
+                values.hour, values.minute, values.second, values.millisecond
+            );
+            d = new Date(values.offset !== null
+                ? wall - values.offset * 60000
+                : fromWall(wall, zone));
+        } else {
+            d = new Date(
+                values.year,
+                values.month,
+                values.day,
+                values.hour,
+                values.minute,
+                values.second,
+                values.millisecond
+            );
+        }
+
+        return d;
     } catch {
-        return nanoFactory(new Date(NaN), locale);
+        return new Date(NaN);
+    }
+};
+
+// ============================================
+// WIRE FORMATS (RFC 2822, HTTP-date, CLF)
+// ============================================
+
+const WIRE_WEEKDAY = '(' + WIRE_WEEKDAYS.join('|') + ')';
+const WIRE_WEEKDAY_LONG = '(Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)';
+const WIRE_MONTH = '(' + WIRE_MONTHS.join('|') + ')';
+
+/**
+ * RFC 5322 zone names (obsolete forms); military letters count as -0000
+ */
+const WIRE_ZONES = { ut: 0, gmt: 0, est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420 };
+
+/**
+ * RFC 5322 obs-year: 2 digits < 50 are 20xx, otherwise 19xx; 3 digits + 1900
+ */
+const obsYear = (y, digits) => digits === 2 ? (y < 50 ? 2000 + y : 1900 + y) : digits === 3 ? 1900 + y : y;
+
+/**
+ * RFC 9110 rfc850-date: a 2-digit year more than 50 years ahead is in the past century
+ */
+const rfc850Year = (y, digits) => {
+    if (digits !== 2) return y;
+    const year = 2000 + y;
+    return year > new Date().getUTCFullYear() + 50 ? year - 100 : year;
+};
+
+/**
+ * Wire format grammars
+ * Each variant: regex pieces (one capture group per field, in order) + field names
+ */
+const WIRE_FORMATS = {
+    // [ddd,] D MMM YYYY HH:mm[:ss] (+hhmm | UT | GMT | EST ... | military)
+    RFC2822: [{
+        pieces: ['(?:' + WIRE_WEEKDAY + '\\s*,\\s*)?', '(\\d{1,2})', '\\s+' + WIRE_MONTH, '\\s+(\\d{2,4})',
+            '\\s+(\\d{2})', '\\s*:\\s*(\\d{2})', '(?:\\s*:\\s*(\\d{2}))?', '\\s+([+-]\\d{4}|UT|GMT|[ECMP][SD]T|[A-IK-Z])'],
+        fields: ['weekday', 'day', 'month', 'year', 'hour', 'minute', 'second', 'offset'],
+        year: obsYear
+    }],
+    HTTP: [
+        // IMF-fixdate: Wed, 21 Jan 2026 09:30:45 GMT
+        {
+            pieces: [WIRE_WEEKDAY + ',', '\\s+(\\d{2})', '\\s+' + WIRE_MONTH, '\\s+(\\d{4})',
+                '\\s+(\\d{2})', ':(\\d{2})', ':(\\d{2})', '\\s+(GMT)'],
+            fields: ['weekday', 'day', 'month', 'year', 'hour', 'minute', 'second', 'offset']
+        },
+        // Obsolete RFC 850: Wednesday, 21-Jan-26 09:30:45 GMT
+        {
+            pieces: [WIRE_WEEKDAY_LONG + ',', '\\s+(\\d{2})', '-' + WIRE_MONTH, '-(\\d{2})',
+                '\\s+(\\d{2})', ':(\\d{2})', ':(\\d{2})', '\\s+(GMT)'],
+            fields: ['weekday', 'day', 'month', 'year', 'hour', 'minute', 'second', 'offset'],
+            year: rfc850Year
+        },
+        // Obsolete asctime: Wed Jan 21 09:30:45 2026
+        {
+            pieces: [WIRE_WEEKDAY, '\\s+' + WIRE_MONTH, '\\s+(\\d{1,2})',
+                '\\s+(\\d{2})', ':(\\d{2})', ':(\\d{2})', '\\s+(\\d{4})'],
+            fields: ['weekday', 'month', 'day', 'hour', 'minute', 'second', 'year']
+        }
+    ],
+    // [21/Jan/2026:12:30:45 +0300]
+    CLF: [{
+        pieces: ['\\[?(\\d{2})', '/' + WIRE_MONTH, '/(\\d{4})', ':(\\d{2})', ':(\\d{2})', ':(\\d{2})', '\\s+([+-]\\d{4})\\]?'],
+        fields: ['day', 'month', 'year', 'hour', 'minute', 'second', 'offset']
+    }]
+};
+
+/**
+ * Parse a wire format - English names, explicit or implied (GMT) offset
+ * Case-insensitive, whitespace-tolerant; the weekday must match the date
+ * 
+ * @param {string} dateStr - Date string
+ * @param {string} name - 'RFC2822', 'HTTP' or 'CLF'
+ * @param {Object} [failure] - Receives { reason, field, format, position } on failure
+ * @returns {Date} Parsed instant (Invalid Date if the string does not match)
+ */
+const parseWire = (dateStr, name, failure) => {
+    if (typeof dateStr !== 'string' || !dateStr.trim()) {
+        if (failure) recordFailure(failure, { reason: 'unparseable', format: name, position: 0 });
+        return new Date(NaN);
     }
+
+    const flags = failure ? 'id' : 'i';
+    const input = dateStr.trim();
+    const lead = dateStr.length - dateStr.trimStart().length;
+
+    for (const variant of WIRE_FORMATS[name]) {
+        const { pieces, fields } = variant;
+        const match = input.match(new RegExp('^' + pieces.join('') + '$', flags));
+        if (!match) {
+            if (failure) {
+                recordFailure(failure, { reason: 'format-mismatch', format: name, position: lead + mismatchPosition(input, pieces, flags) });
+            }
+            continue;
+        }
+
+        const values = {
+            year: 0, month: 0, day: 1, hour: 0, minute: 0, second: 0,
+            is12Hour: false, weekday: null, offset: 0
+        };
+        for (let i = 0; i < fields.length; i++) {
+            const value = match[i + 1];
+            if (value === undefined) continue;
+            switch (fields[i]) {
+                case 'weekday':
+                    values.weekday = WIRE_WEEKDAYS.indexOf(value[0].toUpperCase() + value.slice(1, 3).toLowerCase());
+                    break;
+                case 'month':
+                    values.month = WIRE_MONTHS.indexOf(value[0].toUpperCase() + value.slice(1).toLowerCase());
+                    break;
+                case 'year':
+                    values.year = variant.year ? variant.year(parseInt(value, 10), value.length) : parseInt(value, 10);
+                    break;
+                case 'offset': {
+                    const zone = value.toLowerCase();
+                    values.offset = zone[0] === '+' || zone[0] === '-' ? parseOffset(value) : WIRE_ZONES[zone] || 0;
+                    break;
+                }
+                default:
+                    values[fields[i]] = parseInt(value, 10);
+            }
+        }
+
+        const field = invalidField(values, true);
+        if (field) {
+            if (failure) {
+                const idx = fields.indexOf(field);
+                recordFailure(failure, {
+                    reason: (field === 'day' && values.day >= 1 && values.day <= 31) || field === 'weekday'
+                        ? 'calendar-overflow'
+                        : 'out-of-range',
+                    field,
+                    format: name,
+                    position: idx === -1 ? lead : lead + match.indices[idx + 1][0]
+                });
+            }
+            return new Date(NaN);
+        }
+
+        return new Date(Date.UTC(values.year, values.month, values.day, values.hour, values.minute, values.second) - values.offset * 60000);
+    }
+
+    return new Date(NaN);
 };
 
+/**
+ * Parse an RFC 2822 / RFC 5322 date (email Date header)
+ * Comments like "(CET)" are ignored (blanked out, so failure positions match the input);
+ * obsolete zone names and 2-digit years are accepted
+ * 
+ * @param {string} dateStr - Date string
+ * @param {Object} [failure] - Receives diagnostics on failure
+ * @returns {Date} Parsed instant (Invalid Date if the string does not match)
+ * 
+ * @example
+ * parseRFC2822('Wed, 21 Jan 2026 12:30:45 +0300') // 2026-01-21T09:30:45Z
+ */
+export const parseRFC2822 = (dateStr, failure) =>
+    parseWire(typeof dateStr === 'string' ? dateStr.replace(/\([^()]*\)/g, (c) => ' '.repeat(c.length)) : dateStr, 'RFC2822', failure);
+
+/**
+ * Parse an HTTP-date (RFC 9110): IMF-fixdate, RFC 850 or asctime, always GMT
+ * 
+ * @param {string} dateStr - Date string (Last-Modified, Date, Expires, ...)
+ * @param {Object} [failure] - Receives diagnostics on failure
+ * @returns {Date} Parsed instant (Invalid Date if the string does not match)
+ * 
+ * @example
+ * parseHTTPDate('Wed, 21 Jan 2026 09:30:45 GMT')
+ * parseHTTPDate('Wed Jan 21 09:30:45 2026')
+ */
+export const parseHTTPDate = (dateStr, failure) => parseWire(dateStr, 'HTTP', failure);
+
+/**
+ * Parse a Common Log Format timestamp (Apache %t, nginx $time_local)
+ * Surrounding brackets are optional
+ * 
+ * @param {string} dateStr - Date string
+ * @param {Object} [failure] - Receives diagnostics on failure
+ * @returns {Date} Parsed instant (Invalid Date if the string does not match)
+ * 
+ * @example
+ * parseCLF('[21/Jan/2026:12:30:45 +0300]') // 2026-01-21T09:30:45Z
+ */
+export const parseCLF = (dateStr, failure) => parseWire(dateStr, 'CLF', failure);
+
 export default format;
@@ -0,0 +1,363 @@
+/**
+ * NanoDate Holidays Module
+ * Named holiday calendars built from rules (fixed dates, nth weekdays,
+ * Easter offsets, one-off dates), compiled per year and cached
+ *
+ * Calendars are shared by all instances; business-day methods take them by
+ * name: addBusinessDays(5, { calendar: 'TR' })
+ */
+
+import { MS_PER_DAY } from './constants.js';
+
+// ============================================
+// RULES
+// ============================================
+
+/**
+ * NanoDate factory placeholder (date arguments of lookups)
+ */
+let nano;
+
+/**
+ * Initialize with factory
+ * @param {Function} factory - nano factory function
+ */
+export const initHolidays = (factory) => {
+    nano = factory;
+};
+
+/**
+ * Registered calendars: name -> { rules, weekend, observed, years: Map(year -> Map(key -> entry)),
+ *   indexes: Map('year:weekendMask' -> sorted working-day holiday day numbers) }
+ */
+const calendars = new Map();
+
+/**
+ * Observed-day strategies for holidays falling on a weekend
+ */
+const OBSERVED = ['nearest', 'next', 'previous'];
+
+/**
+ * Default weekend for observed days (Saturday, Sunday)
+ */
+const DEFAULT_WEEKEND = [6, 0];
+
+/**
+ * One-off date ('2026-03-20')
+ */
+const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * YYYY-MM-DD key of a day number (days since the epoch)
+ * @private
+ */
+const keyOf = (day) => new Date(day * MS_PER_DAY).toISOString().slice(0, 10);
+
+/**
+ * Weekday of a day number (0 = Sunday)
+ * @private
+ */
+const weekdayOf = (day) => (((day + 4) % 7) + 7) % 7;
+
+/**
+ * Day number of a calendar date (month 1-12)
+ * @private
+ */
+const dayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / MS_PER_DAY;
+
+/**
+ * Western (Gregorian) Easter Sunday - anonymous Gregorian algorithm
+ * @param {number} year - Year
+ * @returns {number} Day number
+ * @private
+ */
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const h = (19 * a + b - Math.floor(b / 4) - Math.floor((b - Math.floor((b + 8) / 25) + 1) / 3) + 15) % 30;
+    const l = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - h - (c % 4)) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const n = h + l - 7 * m + 114;
+    return dayNumber(year, Math.floor(n / 31), (n % 31) + 1);
+};
+
+/**
+ * Orthodox Easter Sunday - Julian computus, shifted to the Gregorian calendar
+ * @param {number} year - Year
+ * @returns {number} Day number
+ * @private
+ */
+const orthodoxEaster = (year) => {
+    const d = (19 * (year % 19) + 15) % 30;
+    const e = (2 * (year % 4) + 4 * (year % 7) - d + 34) % 7;
+    const n = d + e + 114;
+    const julianShift = Math.floor(year / 100) - Math.floor(year / 400) - 2;
+    return dayNumber(year, Math.floor(n / 31), (n % 31) + 1) + julianShift;
+};
+
+/**
+ * Nth weekday of a month (nth < 0 counts from the end), null if it does not exist
+ * @private
+ */
+const nthWeekday = (year, month, weekday, nth) => {
+    if (nth > 0) {
+        const first = dayNumber(year, month, 1);
+        const day = first + ((weekday - weekdayOf(first) + 7) % 7) + (nth - 1) * 7;
+        return day < dayNumber(year, month + 1, 1) ? day : null;
+    }
+    const last = dayNumber(year, month + 1, 0);
+    const day = last - ((weekdayOf(last) - weekday + 7) % 7) + (nth + 1) * 7;
+    return day >= dayNumber(year, month, 1) ? day : null;
+};
+
+/**
+ * Validate a rule
+ * @throws {RangeError} If the rule has no valid date part
+ * @private
+ */
+const checkRule = (rule) => {
+    const int = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+    const valid = rule && typeof rule === 'object' && (
+        (typeof rule.date === 'string' && DATE_KEY.test(rule.date)) ||
+        int(rule.easter, -366, 366) ||
+        (int(rule.month, 1, 12) && (rule.weekday === undefined
+            ? int(rule.day, 1, 31)
+            : int(rule.weekday, 0, 6) && int(Math.abs(rule.nth), 1, 5)))
+    ) && (rule.days === undefined || int(rule.days, 1, 366)) &&
+        (rule.observed === undefined || rule.observed === false || OBSERVED.includes(rule.observed));
+    if (!valid) throw new RangeError('Invalid holiday rule: ' + JSON.stringify(rule));
+};
+
+/**
+ * First day of a rule in a year (null if none)
+ * @private
+ */
+const ruleStart = (rule, year) => {
+    if ((rule.from !== undefined && year < rule.from) || (rule.to !== undefined && year > rule.to)) return null;
+    if (rule.date) return +rule.date.slice(0, 4) === year ? dayNumber(year, +rule.date.slice(5, 7), +rule.date.slice(8)) : null;
+    if (rule.easter !== undefined) return (rule.orthodox ? orthodoxEaster(year) : easterSunday(year)) + rule.easter;
+    if (rule.weekday !== undefined) return nthWeekday(year, rule.month, rule.weekday, rule.nth);
+    const day = dayNumber(year, rule.month, rule.day);
+    return keyOf(day).slice(5, 7) === String(rule.month).padStart(2, '0') ? day : null;
+};
+
+// ============================================
+// COMPILATION
+// ============================================
+
+/**
+ * Compile the holidays of one year: { 'YYYY-MM-DD': { date, name, half, observed } }
+ * Rules of adjacent years are included, so Jan 1 on a Saturday can be observed on Dec 31
+ * Weekend holidays with an observed strategy also add the nearest / next / previous
+ * working day that is not already a holiday (in date order)
+ *
+ * @param {Object} cal - Calendar
+ * @param {number} year - Year
+ * @returns {Map<string, Object>} Entries by date key
+ * @private
+ */
+const compileYear = (cal, year) => {
+    const weekend = cal.weekend || DEFAULT_WEEKEND;
+    const isWeekend = (day) => weekend.includes(weekdayOf(day));
+    const days = new Map();
+    const shifted = [];
+
+    for (let y = year - 1; y <= year + 1; y++) {
+        for (const rule of cal.rules) {
+            const start = ruleStart(rule, y);
+            if (start === null) continue;
+            const observed = rule.observed !== undefined ? rule.observed : cal.observed;
+            for (let day = start; day < start + (rule.days || 1); day++) {
+                if (days.has(day) && !days.get(day).half) continue;
+                days.set(day, { date: keyOf(day), name: rule.name, half: !!rule.half, observed: false });
+                if (observed && !rule.half && isWeekend(day)) shifted.push({ day, observed, name: rule.name });
+            }
+        }
+    }
+
+    const free = (day) => !isWeekend(day) && (!days.has(day) || days.get(day).half);
+    shifted.sort((a, b) => a.day - b.day);
+    for (const { day, observed, name } of shifted) {
+        let next = day + 1;
+        while (!free(next)) next++;
+        let prev = day - 1;
+        while (!free(prev)) prev--;
+        const target = observed === 'next' ? next
+            : observed === 'previous' ? prev
+                : day - prev < next - day ? prev : next;
+        days.set(target, { date: keyOf(target), name, half: false, observed: true });
+    }
+
+    const entries = new Map();
+    const prefix = String(year).padStart(4, '0') + '-';
+    for (const day of [...days.keys()].sort((a, b) => a - b)) {
+        const entry = days.get(day);
+        if (entry.date.startsWith(prefix)) entries.set(entry.date, Object.freeze(entry));
+    }
+    return entries;
+};
+
+/**
+ * Compiled entries of a calendar year (cached)
+ * @private
+ */
+const yearEntries = (cal, year) => {
+    let entries = cal.years.get(year);
+    if (!entries) {
+        entries = compileYear(cal, year);
+        cal.years.set(year, entries);
+    }
+    return entries;
+};
+
+/**
+ * Get a registered calendar
+ * @throws {RangeError} If no calendar has this name
+ * @private
+ */
+const calendarOf = (name) => {
+    const cal = calendars.get(name);
+    if (!cal) throw new RangeError('Unknown holiday calendar: ' + name);
+    return cal;
+};
+
+/**
+ * Sorted day numbers of a year's full holidays that fall on working days (cached)
+ * This is the index business-day arithmetic binary-searches
+ * @param {Object} cal - Calendar
+ * @param {number} year - Year
+ * @param {number} weekend - Weekend bit mask of the call (bit n = weekday n)
+ * @private
+ */
+const workdayIndex = (cal, year, weekend) => {
+    const cacheKey = year + ':' + weekend;
+    let index = cal.indexes.get(cacheKey);
+    if (!index) {
+        index = [];
+        for (const entry of yearEntries(cal, year).values()) {
+            const day = dayNumber(year, +entry.date.slice(5, 7), +entry.date.slice(8));
+            if (!entry.half && !((weekend >> weekdayOf(day)) & 1)) index.push(day);
+        }
+        cal.indexes.set(cacheKey, index);
+    }
+    return index;
+};
+
+/**
+ * Holiday lookup of a calendar for business-day methods
+ * Half-days are working days and are not reported
+ *
+ * @param {string} name - Calendar name
+ * @returns {Object} { weekend, has(key), index(year, weekendMask) } - weekend of the
+ *   calendar (null if not set); index: sorted day numbers of working-day holidays
+ * @throws {RangeError} If no calendar has this name
+ */
+export const calendarLookup = (name) => {
+    const cal = calendarOf(name);
+    return {
+        weekend: cal.weekend,
+        has: (key) => {
+            const entry = yearEntries(cal, +key.slice(0, 4)).get(key);
+            return entry !== undefined && !entry.half;
+        },
+        index: (year, weekend) => workdayIndex(cal, year, weekend)
+    };
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Holiday calendar registry (nano.holidays)
+ */
+export const holidays = {
+    /**
+     * Define (or replace) a named holiday calendar
+     *
+     * Rules ({ name } plus one date part):
+     * - fixed:       { month: 10, day: 29 }
+     * - nth weekday: { month: 11, weekday: 4, nth: 4 } (nth -1 = last; weekday 0 = Sunday)
+     * - Easter:      { easter: -2 } (days from Easter Sunday; orthodox: true for Orthodox Easter)
+     * - one-off:     { date: '2026-03-20' } (lunar holidays, bridge days)
+     * Options per rule: days (length), half (half-day, still a working day),
+     * observed ('nearest' | 'next' | 'previous' | false), from / to (years in force)
+     *
+     * @param {string} name - Calendar name ('TR', 'US-NYSE')
+     * @param {Object[]} rules - Holiday rules
+     * @param {Object} [options]
+     * @param {number[]} [options.weekend] - Weekend of the calendar (observed days; business-day default)
+     * @param {string|boolean} [options.observed=false] - Default observed strategy of the rules
+     * @throws {RangeError} If a rule is invalid
+     *
+     * @example
+     * nano.holidays.define('US', [
+     *     { name: 'Independence Day', month: 7, day: 4 },
+     *     { name: 'Thanksgiving', month: 11, weekday: 4, nth: 4, observed: false }
+     * ], { observed: 'nearest' });
+     */
+    define(name, rules, options = {}) {
+        if (!Array.isArray(rules)) throw new RangeError('Holiday rules must be an array');
+        rules.forEach(checkRule);
+        if (options.observed && !OBSERVED.includes(options.observed)) {
+            throw new RangeError('Invalid observed strategy: ' + options.observed);
+        }
+        if (options.weekend && (!options.weekend.every((d) => Number.isInteger(d) && d >= 0 && d <= 7) ||
+            new Set(options.weekend.map((d) => d % 7)).size === 7)) {
+            throw new RangeError('Invalid weekend: ' + options.weekend);
+        }
+        calendars.set(name, {
+            rules: rules.map((rule) => ({ ...rule })),
+            weekend: options.weekend ? options.weekend.map((d) => d % 7) : null,
+            observed: options.observed || false,
+            years: new Map(),
+            indexes: new Map()
+        });
+    },
+
+    /**
+     * Remove a calendar
+     * @param {string} name - Calendar name
+     * @returns {boolean} True if it existed
+     */
+    remove(name) {
+        return calendars.delete(name);
+    },
+
+    /**
+     * Check if a calendar is defined
+     * @param {string} name - Calendar name
+     * @returns {boolean} True if defined
+     */
+    has(name) {
+        return calendars.has(name);
+    },
+
+    /**
+     * Holidays of a year, in date order
+     * @param {string} name - Calendar name
+     * @param {number} year - Year
+     * @returns {Object[]} Entries { date: 'YYYY-MM-DD', name, half, observed }
+     * @throws {RangeError} If no calendar has this name
+     *
+     * @example
+     * nano.holidays.list('TR', 2026) // [{ date: '2026-01-01', name: 'New Year', half: false, observed: false }, ...]
+     */
+    list(name, year) {
+        return [...yearEntries(calendarOf(name), year).values()];
+    },
+
+    /**
+     * Holiday on a date (wall date of the date's zone)
+     * @param {string} name - Calendar name
+     * @param {*} date - Date
+     * @returns {Object|null} Entry { date, name, half, observed }, null if none
+     * @throws {RangeError} If no calendar has this name
+     */
+    get(name, date) {
+        const cal = calendarOf(name);
+        const key = (date && date._d ? date : nano(date)).format('YYYY-MM-DD');
+        return yearEntries(cal, +key.slice(0, 4)).get(key) || null;
+    }
+};
@@ -30,13 +30,28 @@ export type PresetFormat = 'short' | 'medium' | 'long' | 'full';
  * Format string or preset
  * Common tokens: YYYY, YY, MMMM, MMM, MM, M, DD, D, Do, dddd, ddd, dd, HH, H, hh, h, mm, m, ss, s, A, a, Z, ZZ
  */
-export type FormatInput = PresetFormat | `${PresetFormat}-time` | string;
+export type FormatInput = PresetFormat | `${PresetFormat}-time` | WireFormat | string;
+
+/**
+ * Locale-independent wire formats
+ * - 'RFC2822': "Wed, 21 Jan 2026 12:30:45 +0300"
+ * - 'HTTP': "Wed, 21 Jan 2026 09:30:45 GMT" (IMF-fixdate, always GMT)
+ * - 'CLF': "21/Jan/2026:12:30:45 +0300" (Apache/nginx logs)
+ */
+export type WireFormat = 'RFC2822' | 'HTTP' | 'CLF';
 
 /**
  * Valid date input types
  */
 export type DateInput = Date | string | number | NanoDate | null | undefined;
 
+/**
+ * Precision of an ISO 8601 string
+ */
+export type ISOPrecision =
+    | 'year' | 'month' | 'week' | 'day' | 'hour' | 'minute'
+    | 'second' | 'millisecond' | 'microsecond' | 'nanosecond';
+
 /**
  * Inclusivity for isBetween
  */
@@ -91,24 +106,33 @@ export interface NanoDate {
 
     /**
      * Add time to date (returns new NanoDate)
-     * @param value - Amount to add
-     * @param unit - Time unit
+     * A Duration or components object applies calendar units first
+     * (years/months clamped to month end, then weeks/days), clock units last
+     * Days and weeks keep the wall-clock time across DST; hours and below are exact
+     * Years and quarters are 12 and 3 months (Feb 29 + 1 year = Feb 28)
+     * @param value - Amount to add, or a Duration / components object
+     * @param unit - Time unit (numeric value only)
      * @returns New NanoDate instance
+     * @throws {RangeError} For objects that are not a Duration or unit-keyed components (a Date, a NanoDate)
      * 
      * @example
      * nano().add(7, 'days')        // 7 days later
      * nano().add(1, 'month')       // 1 month later
      * nano().add(2, 'hours')       // 2 hours later
+     * nano('2026-01-31T10:00').add(nano.duration('P1M2DT3H')) // 2026-03-02 13:00
+     * nano('2026-01-31').add({ months: 1 })                   // 2026-02-28
      */
     add(value: number, unit: TimeUnit): NanoDate;
+    add(value: Duration | DurationInput): NanoDate;
 
     /**
      * Subtract time from date (returns new NanoDate)
-     * @param value - Amount to subtract
-     * @param unit - Time unit
+     * @param value - Amount to subtract, or a Duration / components object
+     * @param unit - Time unit (numeric value only)
      * @returns New NanoDate instance
      */
     subtract(value: number, unit: TimeUnit): NanoDate;
+    subtract(value: Duration | DurationInput): NanoDate;
 
     /**
      * Set to start of time unit (returns new NanoDate)
@@ -141,15 +165,31 @@ export interface NanoDate {
      * Calculate difference between two dates
      * @param other - Date to compare with
      * @param unit - Unit for result (default: 'millisecond')
-     * @param precise - If true, return float; if false, return integer
+     * @param precise - If true, return float; if false, return integer (truncated toward zero)
      * @returns Difference in specified unit
      * 
+     * Months, quarters and years are calendar differences with moment-compatible
+     * anchor interpolation for the fractional part
+     * 
      * @example
      * nano().diff('2026-01-14', 'days')     // 7
      * nano().diff('2026-02-21', 'months')   // 1
+     * nano('2026-05-16').diff('2026-05-01', 'month', true) // 0.5
      */
     diff(other: DateInput, unit?: TimeUnit, precise?: boolean): number;
 
+    /**
+     * Calendar difference (this - other) as a Duration
+     * Measured from other on this instance's calendar and timezone, honoring
+     * month lengths, leap years and DST; below the smallest unit is truncated
+     * @param other - Date to compare with
+     * @param units - Units to break into (default: years, months, days, hours, minutes, seconds, milliseconds)
+     * 
+     * @example
+     * nano('2026-03-15').diffBreakdown('1990-01-20', ['years', 'months', 'days']) // P36Y1M23D
+     */
+    diffBreakdown(other: DateInput, units?: TimeUnit[]): Duration;
+
     // ============================================
     // COMPARISON
     // ============================================
@@ -195,9 +235,11 @@ export interface NanoDate {
     tz(timezone: string, format?: PresetFormat | `${PresetFormat}-time`): string;
 
     /**
-     * Chainable timezone method - returns NanoDate for chaining
+     * Chainable timezone method - returns a zoned NanoDate
+     * Getters, format, startOf/endOf and add/subtract use the zone's wall-clock time
      * @param timezone - IANA timezone
      * @returns New NanoDate instance with timezone context
+     * @throws {InvalidDateError} If the timezone is unknown (reason 'unknown-timezone')
      * 
      * @example
      * nano().toTz('America/New_York').add(1, 'day').format('YYYY-MM-DD')
@@ -216,52 +258,85 @@ export interface NanoDate {
      */
     utcOffset(timezone?: string): number;
 
+    /**
+     * Switch to UTC mode (same instant, wall-clock fields in UTC)
+     */
+    utc(): NanoDate;
+
+    /**
+     * Switch to host local time (drops UTC mode and zone)
+     */
+    local(): NanoDate;
+
+    /**
+     * Check if wall-clock fields are computed in UTC
+     */
+    isUTC(): boolean;
+
+    /**
+     * Format matched by nano.parse (undefined for other instances)
+     */
+    parsedFormat(): string | undefined;
+
+    /**
+     * Smallest unit given in an ISO 8601 input string (null for other inputs)
+     * 
+     * @example
+     * nano('2026-W04').precision()                    // 'week'
+     * nano('2026-01-21T10:30').precision()            // 'minute'
+     * nano('2026-01-21T10:30:00.123456Z').precision() // 'microsecond'
+     */
+    precision(): ISOPrecision | null;
+
     // ============================================
     // BUSINESS DAYS
     // ============================================
 
     /**
-     * Check if date is a business day (Mon-Fri, not a holiday)
-     * @param holidays - Optional array of holiday dates to exclude
+     * Check if date is a business day (not a weekend day or holiday)
+     * Weekend: options.weekend > config({ weekend }) > Saturday/Sunday
+     * @param options - Holiday dates, or { weekend, holidays }
      * @returns True if business day
      * 
      * @example
-     * nano().isBusinessDay()               // Check if weekday
-     * nano().isBusinessDay(['2026-01-01']) // Exclude holidays
+     * nano().isBusinessDay()                     // Check if weekday
+     * nano().isBusinessDay(['2026-01-01'])       // Exclude holidays
+     * nano().isBusinessDay({ weekend: [5, 6] })  // Friday/Saturday weekend
      */
-    isBusinessDay(holidays?: Array<Date | string>): boolean;
+    isBusinessDay(options?: Array<Date | string> | BusinessDayOptions): boolean;
 
     /**
      * Add business days (skips weekends and holidays)
      * @param days - Number of business days to add (can be negative)
-     * @param holidays - Optional array of holiday dates
+     * @param options - Holiday dates, or { weekend, holidays }
      * @returns New NanoDate instance
      * 
      * @example
-     * nano().addBusinessDays(5)            // Add 5 business days
-     * nano().addBusinessDays(-3)           // Subtract 3 business days
+     * nano().addBusinessDays(5)                    // Add 5 business days
+     * nano().addBusinessDays(-3)                   // Subtract 3 business days
+     * nano().addBusinessDays(5, { weekend: 'IL' }) // Weekend from Intl week data
      */
-    addBusinessDays(days: number, holidays?: Array<Date | string>): NanoDate;
+    addBusinessDays(days: number, options?: Array<Date | string> | BusinessDayOptions): NanoDate;
 
     /**
      * Calculate business days between two dates
      * @param other - End date
-     * @param holidays - Optional array of holiday dates
+     * @param options - Holiday dates, or { weekend, holidays }
      * @returns Number of business days
      */
-    diffBusinessDays(other: DateInput, holidays?: Array<Date | string>): number;
+    diffBusinessDays(other: DateInput, options?: Array<Date | string> | BusinessDayOptions): number;
 
     /**
      * Get next business day
-     * @param holidays - Optional array of holiday dates
+     * @param options - Holiday dates, or { weekend, holidays }
      */
-    nextBusinessDay(holidays?: Array<Date | string>): NanoDate;
+    nextBusinessDay(options?: Array<Date | string> | BusinessDayOptions): NanoDate;
 
     /**
      * Get previous business day
-     * @param holidays - Optional array of holiday dates
+     * @param options - Holiday dates, or { weekend, holidays }
      */
-    prevBusinessDay(holidays?: Array<Date | string>): NanoDate;
+    prevBusinessDay(options?: Array<Date | string> | BusinessDayOptions): NanoDate;
 
     // ============================================
     // GETTERS / SETTERS (Chainable)
@@ -468,11 +543,13 @@ export interface BatchContext {
      * Add time (mutates internal date)
      */
     add(value: number, unit: TimeUnit): BatchContext;
+    add(value: Duration | DurationInput): BatchContext;
     
     /**
      * Subtract time (mutates internal date)
      */
     subtract(value: number, unit: TimeUnit): BatchContext;
+    subtract(value: Duration | DurationInput): BatchContext;
     
     /**
      * Set to start of unit (mutates internal date)
@@ -508,6 +585,69 @@ export interface BatchContext {
 /**
  * Duration input object
  */
+/**
+ * Options for nano.range
+ */
+export interface RangeOptions {
+    /** Units per step; negative goes backwards (default: 1) */
+    step?: number;
+    /** Unit, or a Duration / components object (default: 'day') */
+    unit?: TimeUnit | Duration | DurationInput;
+    /** Yield end itself when a step lands on it (default: false) */
+    inclusive?: boolean;
+    /** Yield timestamps instead of NanoDates (default: false) */
+    raw?: boolean;
+}
+
+/**
+ * Temporal rounding modes
+ */
+export type RoundingMode =
+    | 'ceil' | 'floor' | 'trunc' | 'expand'
+    | 'halfCeil' | 'halfFloor' | 'halfExpand' | 'halfTrunc' | 'halfEven';
+
+/**
+ * Options for Duration.round (mirrors Temporal.Duration.round)
+ */
+export interface DurationRoundOptions {
+    /** Unit to round to (default: 'millisecond') */
+    smallestUnit?: TimeUnit;
+    /** Largest unit of the result (default: largest non-zero unit, at least smallestUnit) */
+    largestUnit?: TimeUnit | 'auto';
+    /** Rounding of the smallest unit (default: 'halfExpand') */
+    roundingMode?: RoundingMode;
+    /** Round to multiples of this (default: 1) */
+    roundingIncrement?: number;
+    /** Start date for exact month and day lengths (a NanoDate keeps its zone) */
+    relativeTo?: DateInput;
+}
+
+/**
+ * Options for Duration.humanize
+ */
+export interface HumanizeOptions {
+    /** Units to use (default: year, month, day, hour, minute, second) */
+    units?: TimeUnit[];
+    /** Maximum number of units shown, starting at the largest non-zero one */
+    largest?: number;
+    /** Rounding of the smallest shown unit (default: 'round') */
+    round?: 'round' | 'floor' | 'ceil' | 'trunc';
+    /** Unit display (default: 'long') */
+    style?: 'long' | 'short' | 'narrow';
+    /** List joining style (default: style); forces NumberFormat + ListFormat */
+    listStyle?: 'long' | 'short' | 'narrow';
+}
+
+/**
+ * Options for durationBetween
+ */
+export interface DurationBetweenOptions {
+    /** Years, months and days on the calendar of start (default: exact time) */
+    calendar?: boolean;
+    /** Units to break into, largest first; implies calendar */
+    units?: TimeUnit[];
+}
+
 export interface DurationInput {
     years?: number;
     year?: number;
@@ -535,9 +675,26 @@ export interface DurationInput {
     ms?: number;
 }
 
+/**
+ * Duration components (as stored, not balanced)
+ */
+export interface DurationObject {
+    years: number;
+    months: number;
+    weeks: number;
+    days: number;
+    hours: number;
+    minutes: number;
+    seconds: number;
+    milliseconds: number;
+}
+
 /**
  * Duration class for representing time intervals
  * Immutable and chainable
+ * 
+ * Components are stored as given (P1M stays one month, PT90M stays 90 minutes);
+ * totals (asX) use average month/year lengths.
  */
 export interface Duration {
     // ============================================
@@ -575,24 +732,76 @@ export interface Duration {
     /** Get years component */
     years(): number;
     
-    /** Get months component (0-11) */
+    /** Get months component */
     months(): number;
     
-    /** Get days component (0-29/30) */
+    /** Get weeks component */
+    weeks(): number;
+    
+    /** Get days component */
     days(): number;
     
-    /** Get hours component (0-23) */
+    /** Get hours component */
     hours(): number;
     
-    /** Get minutes component (0-59) */
+    /** Get minutes component */
     minutes(): number;
     
-    /** Get seconds component (0-59) */
+    /** Get seconds component */
     seconds(): number;
     
-    /** Get milliseconds component (0-999) */
+    /** Get milliseconds component */
     milliseconds(): number;
     
+    /**
+     * Balance components into their natural ranges
+     * Without relativeTo: months carry into years, weeks into days, clock units up to days (24h).
+     * With relativeTo: applied to that date and measured back as years, months, days and time.
+     * 
+     * @example
+     * nano.duration('P45D').normalize({ relativeTo: '2026-01-01' }).toISOString() // "P1M14D"
+     */
+    normalize(options?: { relativeTo?: DateInput }): Duration;
+
+    /**
+     * Round to a smallest unit, balancing up to a largest unit (like Temporal.Duration.round)
+     * Without relativeTo days are 24h; years/months convert with average lengths only when out of range
+     * @throws {RangeError} Without relativeTo when time would balance into years/months (as in Temporal)
+     * 
+     * @example
+     * nano.duration('PT1H29M40S').round('minute').toISOString()                      // "PT1H30M"
+     * nano.duration('PT7M').round({ smallestUnit: 'minute', roundingIncrement: 5 })  // PT5M
+     * nano.duration('P45D').round({ largestUnit: 'month', smallestUnit: 'day', relativeTo: '2026-01-01' }) // P1M14D
+     */
+    round(options: TimeUnit | DurationRoundOptions): Duration;
+
+    /**
+     * Round toward negative infinity to a unit
+     */
+    floor(unit: TimeUnit, options?: DurationRoundOptions): Duration;
+
+    /**
+     * Round toward positive infinity to a unit
+     */
+    ceil(unit: TimeUnit, options?: DurationRoundOptions): Duration;
+
+    /**
+     * Re-express in exactly the given units; the smallest keeps the fractional remainder
+     * @throws {RangeError} Without relativeTo when time would balance into years/months (as in Temporal)
+     * 
+     * @example
+     * nano.duration({ days: 1, minutes: 90 }).shiftTo('hours', 'minutes').toISOString() // "PT25H30M"
+     */
+    shiftTo(...units: Array<TimeUnit | { relativeTo?: DateInput }>): Duration;
+
+    /**
+     * Re-express in the largest units possible (years down to milliseconds)
+     * 
+     * @example
+     * nano.duration({ minutes: 1500 }).rescale().toISOString() // "P1DT1H"
+     */
+    rescale(options?: { relativeTo?: DateInput }): Duration;
+    
     // ============================================
     // MANIPULATION (Chainable)
     // ============================================
@@ -663,37 +872,51 @@ export interface Duration {
     // ============================================
     
     /**
-     * Convert to object representation
+     * Convert to object representation (components as stored)
      */
-    toObject(): {
-        years: number;
-        months: number;
-        days: number;
-        hours: number;
-        minutes: number;
-        seconds: number;
-        milliseconds: number;
-    };
+    toObject(): DurationObject;
     
     /**
-     * Format as ISO 8601 duration string
+     * Check if the duration was parsed successfully
+     * False for unrecognized strings (which behave as zero outside strict mode)
+     */
+    isValid(): boolean;
+
+    /**
+     * Format as ISO 8601 duration string (round-trips parsed strings exactly)
      * @returns ISO duration string (e.g., "P1DT2H30M")
      */
     toISOString(): string;
     
     /**
      * Human-readable format (locale-aware)
+     * Without options: the single largest unit. With options: several units
+     * via Intl.DurationFormat, or Intl.NumberFormat + Intl.ListFormat
      * @param locale - Locale for formatting
+     * @param options - Units, count, rounding and display style
      * @returns Human readable string (e.g., "2 hours")
+     * @throws {RangeError} For unknown units or rounding modes
+     * 
+     * @example
+     * nano.duration({ days: 2, hours: 3, minutes: 40 }).humanize('en', { largest: 2, round: 'floor' }) // "2 days, 3 hours"
      */
-    humanize(locale?: string): string;
+    humanize(locale?: string, options?: HumanizeOptions): string;
     
     /**
      * Format with custom pattern
+     * Tokens: YYYY YY Y, MM M, DD D, HH H, mm m, ss s, SSS S; [text] is escaped
+     * A negative duration gets one leading "-"
      * @param format - Format pattern (HH:mm:ss, etc.)
+     * @param options - overflow (default true): the largest unit in the pattern absorbs larger ones
      * @returns Formatted string
+     * 
+     * @example
+     * nano.duration({ hours: 50 }).format('HH:mm:ss')                   // "50:00:00"
+     * nano.duration({ hours: 50 }).format('D [days] HH:mm')             // "2 days 02:00"
+     * nano.duration({ hours: 50 }).format('HH:mm', { overflow: false }) // "02:00"
+     * nano.duration({ minutes: -90 }).format('H:mm')                   // "-1:30"
      */
-    format(format?: string): string;
+    format(format?: string, options?: { overflow?: boolean }): string;
     
     /** Get timestamp value */
     valueOf(): number;
@@ -705,6 +928,206 @@ export interface Duration {
     toJSON(): string;
 }
 
+/**
+ * Interval bounds, as in isBetween: '[' / ']' include the endpoint
+ */
+export type IntervalBounds = '[)' | '[]' | '()' | '(]';
+
+/**
+ * Immutable interval between two NanoDates
+ */
+export interface Interval {
+    /** Start date */
+    start(): NanoDate;
+
+    /** End date */
+    end(): NanoDate;
+
+    /** Bounds ('[)' by default) */
+    bounds(): IntervalBounds;
+
+    /** Valid endpoints and end not before start */
+    isValid(): boolean;
+
+    /** Contains no instant (e.g. [a, a)) */
+    isEmpty(): boolean;
+
+    /** Length in a unit (float unless precise is false) */
+    length(unit?: TimeUnit, precise?: boolean): number;
+
+    /**
+     * Duration of the interval (exact, or calendar components with options)
+     * 
+     * @example
+     * nano.interval('2026-01-31/2026-03-01').toDuration({ calendar: true }).toISOString() // "P1M1D"
+     */
+    toDuration(options?: DurationBetweenOptions): Duration;
+
+    /** Date (or whole interval) lies in this interval, honoring bounds */
+    contains(value: DateInput | Interval): boolean;
+
+    /** Intervals share at least one instant */
+    overlaps(other: Interval): boolean;
+
+    /** Intervals touch end-to-start without overlapping */
+    abuts(other: Interval): boolean;
+
+    /** Same endpoints and bounds */
+    equals(other: Interval): boolean;
+
+    /** Instants in both, or null */
+    intersection(other: Interval): Interval | null;
+
+    /** One merged interval if they overlap or join without a gap, otherwise both (sorted) */
+    union(other: Interval): Interval[];
+
+    /** Instants in this interval but not in the other (zero, one or two intervals) */
+    difference(other: Interval): Interval[];
+
+    /**
+     * Consecutive pieces of a duration (calendar-aware); the last may be shorter
+     * 
+     * @example
+     * nano.interval('2026-01-31/2026-05-01').splitBy({ months: 1 }) // ends Feb 28, Mar 31, Apr 30, May 1
+     */
+    splitBy(step: Duration | DurationInput | string): Interval[];
+    splitBy(step: number, unit: TimeUnit): Interval[];
+
+    /**
+     * n pieces of equal exact length
+     * @throws {RangeError} If n is not a positive integer
+     */
+    divideEqually(n: number): Interval[];
+
+    /**
+     * Lazily iterate dates from the start by a step (bounds decide whether start and end are yielded)
+     * An invalid interval yields nothing
+     * @throws {RangeError} If the step is not positive
+     * 
+     * @example
+     * [...nano.interval('2026-01-01/2026-01-01T02:00').iterate(30, 'minutes')] // 00:00, 00:30, 01:00, 01:30
+     */
+    iterate(step?: Duration | DurationInput | string): Generator<NanoDate>;
+    iterate(step: number, unit?: TimeUnit): Generator<NanoDate>;
+
+    /** Iterate the days of the interval (iterate(1, 'day')) */
+    [Symbol.iterator](): Iterator<NanoDate>;
+
+    /** ISO 8601 interval "start/end" (UTC) */
+    toISOString(): string;
+
+    /** Both endpoints formatted with a pattern */
+    format(pattern: FormatInput, separator?: string): string;
+
+    /** String representation (ISO 8601) */
+    toString(): string;
+
+    /** JSON representation (ISO 8601) */
+    toJSON(): string;
+}
+
+/**
+ * RFC 5545 weekday codes
+ */
+export type RRuleWeekday = 'SU' | 'MO' | 'TU' | 'WE' | 'TH' | 'FR' | 'SA';
+
+/**
+ * Recurrence rule options (lower-case RFC 5545 part names)
+ */
+export interface RRuleOptions {
+    freq?: 'YEARLY' | 'MONTHLY' | 'WEEKLY' | 'DAILY' | 'HOURLY' | 'MINUTELY' | 'SECONDLY' | Lowercase<'YEARLY' | 'MONTHLY' | 'WEEKLY' | 'DAILY' | 'HOURLY' | 'MINUTELY' | 'SECONDLY'>;
+    interval?: number;
+    count?: number;
+    /** Last possible occurrence (RFC 5545 value or date) */
+    until?: DateInput;
+    wkst?: RRuleWeekday;
+    bymonth?: number | number[];
+    byweekno?: number | number[];
+    byyearday?: number | number[];
+    bymonthday?: number | number[];
+    /** Weekdays with optional ordinal: 'MO', '2TU', '-1FR' */
+    byday?: string | string[];
+    byhour?: number | number[];
+    byminute?: number | number[];
+    bysecond?: number | number[];
+    bysetpos?: number | number[];
+    /** First occurrence and zone of the set (default: now) */
+    dtstart?: DateInput;
+    /** Excluded occurrences */
+    exdate?: DateInput | DateInput[];
+    /** Extra occurrences */
+    rdate?: DateInput | DateInput[];
+}
+
+/**
+ * Immutable RFC 5545 recurrence rule (iterable over occurrences)
+ */
+export interface RRule extends Iterable<NanoDate> {
+    /** Rule parsed */
+    isValid(): boolean;
+
+    /** DTSTART */
+    start(): NanoDate;
+
+    /**
+     * All occurrences (rules with COUNT/UNTIL, or the first `limit`)
+     * @throws {RangeError} If the rule is unbounded and no limit is given
+     */
+    all(limit?: number): NanoDate[];
+
+    /** Occurrences between two dates (exclusive unless inclusive) */
+    between(start: DateInput, end: DateInput, inclusive?: boolean): NanoDate[];
+
+    /** First occurrence after a date */
+    after(date: DateInput, inclusive?: boolean): NanoDate | null;
+
+    /** Last occurrence before a date */
+    before(date: DateInput, inclusive?: boolean): NanoDate | null;
+
+    /** RRULE value ("FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2") */
+    toRule(): string;
+
+    /** iCalendar text: DTSTART (when given), RRULE, RDATE and EXDATE lines */
+    toString(): string;
+
+    /** JSON representation (iCalendar text) */
+    toJSON(): string;
+}
+
+/**
+ * Cron schedule options
+ */
+export interface CronOptions {
+    /** IANA timezone the fields are read in (default: config timezone, then host) */
+    timezone?: string;
+}
+
+/**
+ * Parsed cron schedule (results are NanoDates in the schedule's zone)
+ */
+export interface Cron {
+    /** Expression parsed */
+    isValid(): boolean;
+
+    /** Next occurrence after a date (default: now); null if none within 28 years */
+    next(from?: DateInput): NanoDate | null;
+
+    /** Previous occurrence before a date (default: now); null if none within 28 years */
+    prev(from?: DateInput): NanoDate | null;
+
+    /** Occurrences between two dates (exclusive unless inclusive) */
+    between(start: DateInput, end: DateInput, inclusive?: boolean): NanoDate[];
+
+    /** The schedule fires at date (to the second) */
+    isMatch(date: DateInput): boolean;
+
+    /** Expression as given */
+    toString(): string;
+
+    /** JSON representation (expression) */
+    toJSON(): string;
+}
+
 /**
  * Raw timestamp operations for maximum performance
  * Use for bulk calculations without NanoDate wrapper
@@ -784,19 +1207,136 @@ export interface RawOperations {
 export interface NanoDateConfig {
     /** Enable strict mode globally - throws on invalid dates */
     strict?: boolean;
-    /** Default locale for formatting */
+    /** Default locale when an instance has none (instance > config > environment) */
     locale?: string;
-    /** Default timezone */
+    /** Default IANA timezone - new instances are zoned, offset-less strings are read in this zone */
     timezone?: string;
+    /** Default weekend of business-day methods (default: Saturday/Sunday) */
+    weekend?: Weekend | null;
+}
+
+/**
+ * Weekend definition: weekday numbers (0 = Sunday ... 6 = Saturday, 7 is also Sunday),
+ * or a region / locale whose Intl week data defines the weekend ('IL', 'AE', 'he-IL')
+ */
+export type Weekend = number[] | string;
+
+/**
+ * Options of business-day methods
+ */
+export interface BusinessDayOptions {
+    /** Weekend days (default: config({ weekend }), then Saturday/Sunday) */
+    weekend?: Weekend;
+    /** Holiday dates */
+    holidays?: Array<Date | string>;
+    /** Name of a nano.holidays calendar (its weekend applies unless weekend is given) */
+    calendar?: string;
+}
+
+/**
+ * Holiday rule: a name plus one date part
+ * - fixed: { month, day }
+ * - nth weekday: { month, weekday, nth } (nth -1 = last; weekday 0 = Sunday)
+ * - Easter: { easter } (days from Easter Sunday; orthodox for Orthodox Easter)
+ * - one-off: { date: 'YYYY-MM-DD' }
+ */
+export interface HolidayRule {
+    name: string;
+    month?: number;
+    day?: number;
+    weekday?: number;
+    nth?: number;
+    easter?: number;
+    orthodox?: boolean;
+    date?: string;
+    /** Length in days (default: 1) */
+    days?: number;
+    /** Half-day: listed, but still a working day */
+    half?: boolean;
+    /** Observed day when the holiday falls on a weekend (default: calendar option) */
+    observed?: HolidayObserved | false;
+    /** First year in force */
+    from?: number;
+    /** Last year in force */
+    to?: number;
 }
 
+/**
+ * Observed-day strategies: nearest working day (ties: next), next or previous
+ */
+export type HolidayObserved = 'nearest' | 'next' | 'previous';
+
+/**
+ * Compiled holiday of a calendar year
+ */
+export interface HolidayEntry {
+    /** Date (YYYY-MM-DD) */
+    date: string;
+    name: string;
+    half: boolean;
+    /** Observed substitute of a weekend holiday */
+    observed: boolean;
+}
+
+/**
+ * Holiday calendar registry (shared by all instances)
+ */
+export interface HolidayRegistry {
+    /**
+     * Define (or replace) a calendar; years are compiled on first use and cached
+     * @throws {RangeError} If a rule is invalid
+     */
+    define(name: string, rules: HolidayRule[], options?: { weekend?: number[]; observed?: HolidayObserved | false }): void;
+    /** Remove a calendar (true if it existed) */
+    remove(name: string): boolean;
+    /** Check if a calendar is defined */
+    has(name: string): boolean;
+    /** Holidays of a year, in date order */
+    list(name: string, year: number): HolidayEntry[];
+    /** Holiday on a date (wall date of the date's zone), null if none */
+    get(name: string, date: DateInput): HolidayEntry | null;
+}
+
+/**
+ * Options for isolated instances (nano.withConfig / createInstance)
+ */
+export interface NanoDateInstanceOptions extends NanoDateConfig {
+    /** Size of the instance's own format caches (default: 50) */
+    cacheSize?: number;
+    /** Plugins available only on this instance */
+    plugins?: Record<string, (ctx: any, ...args: any[]) => any>;
+}
+
+/**
+ * Why a date was rejected
+ */
+export type InvalidDateReason =
+    | 'unparseable'
+    | 'calendar-overflow'
+    | 'out-of-range'
+    | 'unknown-timezone'
+    | 'format-mismatch';
+
 /**
  * Custom error thrown in strict mode for invalid dates
  */
 export class InvalidDateError extends Error {
     name: 'InvalidDateError';
     input: any;
-    constructor(input: any);
+    /** Machine-readable cause */
+    reason: InvalidDateReason;
+    /** Offending field (month, day, hour, minute, second, offset, weekday, timezone) */
+    field?: string;
+    /** Expected format(s) when parsing with nano.parse */
+    format?: string | string[];
+    /** Index in the input where the problem starts */
+    position?: number;
+    constructor(input: any, details?: {
+        reason?: InvalidDateReason;
+        field?: string;
+        format?: string | string[];
+        position?: number;
+    });
 }
 
 /**
@@ -833,6 +1373,8 @@ export namespace nano {
      * @example
      * nano.config({ strict: true })  // Enable strict mode globally
      * nano.config({ locale: 'tr' })  // Set default locale
+     * nano.config({ timezone: 'Europe/Istanbul' })  // Set default timezone
+     * @throws {InvalidDateError} If the timezone is unknown (reason 'unknown-timezone')
      */
     function config(options: NanoDateConfig): void;
 
@@ -864,20 +1406,49 @@ export namespace nano {
     function fromUnix(timestamp: number, locale?: string): NanoDate;
     
     /**
-     * Parse a date string with a specific format
+     * Parse a date string with one or more formats (first match wins)
      * 
      * @param dateStr - Date string to parse
-     * @param format - Format string
+     * @param format - Format string or list of formats
      * @param locale - Locale (optional)
-     * @returns NanoDate instance
+     * @param strict - Exact characters and case, no trimming (default: false)
+     * @returns NanoDate instance (invalid if no format matches)
      * 
      * @example
      * nano.parse('21-01-2026', 'DD-MM-YYYY')              // Jan 21, 2026
      * nano.parse('2026/01/21 14:30', 'YYYY/MM/DD HH:mm')  // Jan 21, 2026 2:30 PM
      * nano.parse('01/21/26', 'MM/DD/YY')                  // Jan 21, 2026
      * nano.parse('3:30 PM', 'h:mm A')                     // Today at 3:30 PM
+     * nano.parse('21 Ocak 2026', 'D MMMM YYYY', 'tr')      // Locale month names
+     * nano.parse('Wed, Jan 21 2026 +0300', 'ddd, MMM D YYYY ZZ') // Offset applied
+     */
+    function parse(dateStr: string, format: string | string[], locale?: string, strict?: boolean): NanoDate;
+    function parse(dateStr: string, format: string | string[], strict: boolean): NanoDate;
+
+    /**
+     * Parse an RFC 2822 date (email Date header), English names regardless of locale
+     * Obsolete zones (UT, GMT, EST, ...), 2-digit years and comments are accepted
+     * 
+     * @example
+     * nano.parseRFC2822('Wed, 21 Jan 2026 12:30:45 +0300') // 2026-01-21T09:30:45Z
+     */
+    function parseRFC2822(dateStr: string, locale?: string): NanoDate;
+
+    /**
+     * Parse an HTTP-date: IMF-fixdate, RFC 850 or asctime (always GMT)
+     * 
+     * @example
+     * nano.parseHTTPDate('Wed, 21 Jan 2026 09:30:45 GMT')
      */
-    function parse(dateStr: string, format: string, locale?: string): NanoDate;
+    function parseHTTPDate(dateStr: string, locale?: string): NanoDate;
+
+    /**
+     * Parse a Common Log Format timestamp (brackets optional)
+     * 
+     * @example
+     * nano.parseCLF('[21/Jan/2026:12:30:45 +0300]') // 2026-01-21T09:30:45Z
+     */
+    function parseCLF(dateStr: string, locale?: string): NanoDate;
     
     /**
      * Raw timestamp operations for maximum performance
@@ -894,15 +1465,19 @@ export namespace nano {
     /**
      * Create a duration from various inputs
      * 
-     * @param input - Duration input (ms, object, or ISO string)
+     * @param input - Duration input (ms, object, or ISO / compact / verbose / clock string)
      * @param unit - Unit if input is number
-     * @returns Duration instance
+     * @returns Duration instance (isValid() false for unrecognized strings)
+     * @throws InvalidDateError in strict mode for unrecognized strings
      * 
      * @example
      * nano.duration(5000)                       // 5 seconds in ms
      * nano.duration(2, 'hours')                 // 2 hours
      * nano.duration({ hours: 2, minutes: 30 }) // 2 hours 30 minutes
      * nano.duration('P1DT2H30M')                // ISO 8601 duration
+     * nano.duration('1h30m')                    // compact ('1H30M' too: M after H is minutes)
+     * nano.duration('2 days 4 hours')           // verbose
+     * nano.duration('01:30:00')                 // clock
      */
     function duration(input: number | DurationInput | string, unit?: TimeUnit): Duration;
     
@@ -911,12 +1486,107 @@ export namespace nano {
      * 
      * @param start - Start date
      * @param end - End date
+     * @param options - calendar: years/months/days on start's calendar instead of exact time; units: components to fill
      * @returns Duration between dates
      * 
      * @example
      * nano.durationBetween(nano('2026-01-01'), nano('2026-01-21'))
+     * nano.durationBetween('2024-02-29', '2026-03-01', { calendar: true }) // P2Y1D
+     */
+    function durationBetween(start: DateInput, end: DateInput, options?: DurationBetweenOptions): Duration;
+
+    /**
+     * Create an immutable interval from two dates, a date and a duration,
+     * or an ISO 8601 interval ("2026-01-01/2026-02-01", "2026-01-01/P1M", "P1M/2026-02-01");
+     * an abbreviated end takes its missing leading fields from the start ("2026-01-01T10:00Z/12:00")
+     * 
+     * @param start - Start date, duration, or ISO interval string
+     * @param end - End date or duration
+     * @param inclusivity - Bounds (default '[)')
+     * @returns Interval (isValid() false if end is before start)
+     * @throws InvalidDateError in strict mode for invalid intervals
+     * 
+     * @example
+     * nano.interval('2026-01-01', '2026-02-01').contains('2026-01-15') // true
+     * nano.interval('2026-01-01/P1M', '[]')
+     */
+    function interval(start: DateInput | Duration | DurationInput, end?: DateInput | Duration | DurationInput, inclusivity?: IntervalBounds): Interval;
+    function interval(iso: string, inclusivity?: IntervalBounds): Interval;
+
+    /**
+     * Create an RFC 5545 recurrence rule (COUNT, UNTIL, INTERVAL, BYxxx, EXDATE, RDATE)
+     * Occurrences follow the wall clock of DTSTART's zone (toTz() or TZID)
+     * 
+     * @param rule - RRULE text (optionally with DTSTART/EXDATE/RDATE lines) or options
+     * @param options - dtstart, exdate, rdate
+     * @returns Rule (isValid() false if it does not parse)
+     * @throws {InvalidDateError} In strict mode for invalid rules
+     * 
+     * @example
+     * nano.rrule('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2', { dtstart: nano('2026-01-01T10:00') }).between(a, b)
+     * nano.rrule({ freq: 'weekly', byday: ['MO', 'WE'], count: 4, dtstart: '2026-01-05T09:00' }).all()
+     */
+    function rrule(rule: string | RRuleOptions, options?: Pick<RRuleOptions, 'dtstart' | 'exdate' | 'rdate'>): RRule;
+
+    /**
+     * Create a cron schedule: 5 or 6 fields (seconds first), names, ranges, steps,
+     * L / L-n / LW / nW (day), nL / n#k (weekday) and @yearly ... @hourly macros
+     * 
+     * DST: skipped times fire once, moved forward by the gap; repeated times fire
+     * at their first instant, or in both passes when the hour field is '*'
+     * 
+     * @param expression - Cron expression
+     * @param options - timezone
+     * @returns Schedule (isValid() false if it does not parse)
+     * @throws {InvalidDateError} In strict mode for invalid expressions, or for unknown timezones
+     * 
+     * @example
+     * nano.cron('0 9 * * MON-FRI').next(from)
+     * nano.cron('0 0 L * *', { timezone: 'Europe/Istanbul' }).between(a, b)
      */
-    function durationBetween(start: DateInput, end: DateInput): Duration;
+    function cron(expression: string, options?: CronOptions): Cron;
+
+    /**
+     * Holiday calendars for business-day methods: define rules once, pass by name
+     * 
+     * @example
+     * nano.holidays.define('US', [{ name: 'Thanksgiving', month: 11, weekday: 4, nth: 4 }], { observed: 'nearest' });
+     * nano().addBusinessDays(5, { calendar: 'US' });
+     */
+    const holidays: HolidayRegistry;
+
+    /**
+     * Lazily iterate dates from start toward end (generator)
+     * Steps are computed from start, so month ends clamp without drifting;
+     * calendar units keep the time of day across DST in the zone of start.
+     * An invalid start or end yields nothing
+     * 
+     * @param start - Start date
+     * @param end - End date (omit for an unbounded range)
+     * @param options - step, unit (or Duration), inclusive end, raw timestamps
+     * @throws {InvalidDateError} In strict mode for an invalid start or end
+     * 
+     * @example
+     * [...nano.range('2026-01-31', '2026-06-01', { unit: 'month' })] // Jan 31, Feb 28, Mar 31, Apr 30, May 31
+     * [...nano.range(a, b, { unit: nano.duration('PT15M'), raw: true })] // timestamps
+     */
+    function range(start: DateInput, end: DateInput | null | undefined, options: RangeOptions & { raw: true }): Generator<number, void, undefined>;
+    function range(start: DateInput, end?: DateInput | null, options?: RangeOptions): Generator<NanoDate, void, undefined>;
+
+    /**
+     * Isolated nano factory starting from the current global settings and plugins.
+     * Has its own strict flag, locale, timezone, plugins and cache size.
+     * 
+     * @example
+     * const tenant = nano.withConfig({ locale: 'de', timezone: 'Europe/Berlin' });
+     * tenant('2026-01-21T10:00').format('D MMMM HH:mm')  // "21 Januar 10:00"
+     */
+    function withConfig(options?: NanoDateInstanceOptions): typeof nano;
+
+    /**
+     * Isolated nano factory starting from default settings
+     */
+    function createInstance(options?: NanoDateInstanceOptions): typeof nano;
 }
 
 /**
@@ -955,6 +1625,11 @@ export function config(options: NanoDateConfig): void;
  */
 export function resetConfig(): void;
 
+/**
+ * Create an isolated nano factory (own strict, locale, timezone, plugins, cache size)
+ */
+export function createInstance(options?: NanoDateInstanceOptions): typeof nano;
+
 /**
  * Check Intl API support in current environment
  * Logs warning if limited ICU support is detected
@@ -975,15 +1650,36 @@ export function duration(input: number | DurationInput | string, unit?: TimeUnit
 /**
  * Calculate duration between two dates
  */
-export function durationBetween(start: DateInput, end: DateInput): Duration;
+export function durationBetween(start: DateInput, end: DateInput, options?: DurationBetweenOptions): Duration;
 
 /**
  * Duration class (for instanceof checks)
  */
 export const Duration: {
-    new(input: number | DurationInput): Duration;
+    new(input: number | DurationInput | Duration): Duration;
     toMilliseconds(obj: DurationInput): number;
 };
 
+/**
+ * Interval class (for instanceof checks)
+ */
+export const Interval: {
+    new(start: NanoDate, end: NanoDate, inclusivity?: IntervalBounds): Interval;
+};
+
+/**
+ * RRule class (for instanceof checks)
+ */
+export const RRule: {
+    prototype: RRule;
+};
+
+/**
+ * Cron class (for instanceof checks)
+ */
+export const Cron: {
+    prototype: Cron;
+};
+
 // Default export
 export default nano;
@@ -6,216 +6,304 @@
  * @author Muhammet Ali Büyük
  */
 
-import { format, parse as parseFormat, createLRU } from './format.js';
+import { format, parse as parseFormat, parseRFC2822, parseHTTPDate, parseCLF, createLRU, createFormatCaches, getCacheSize, setCacheSize } from './format.js';
 import { fromNow, toNow } from './relative.js';
-import { add, subtract, startOf, endOf, set, init as initManipulate, batch, chain, raw } from './manipulate.js';
-import { diff, isBefore, isAfter, isSame, isSameOrBefore, isSameOrAfter, isBetween, isValid, isLeapYear, daysInMonth, dayOfYear, week, quarter, isBusinessDay, addBusinessDays, diffBusinessDays, nextBusinessDay, prevBusinessDay, initUtils } from './utils.js';
-import { tz, tzChainable, utcOffset, toTimezone, getTimezone, initTimezone } from './timezone.js';
-import { duration, between as durationBetween, Duration } from './duration.js';
-import { MS_PER_DAY } from './constants.js';
+import { add, subtract, startOf, endOf, set, init as initManipulate, batch, chain, raw, createRange } from './manipulate.js';
+import { diff, isBefore, isAfter, isSame, isSameOrBefore, isSameOrAfter, isBetween, isValid, invalidReason, isLeapYear, daysInMonth, dayOfYear, week, quarter, isBusinessDay, addBusinessDays, diffBusinessDays, nextBusinessDay, prevBusinessDay, resolveWeekend, initUtils } from './utils.js';
+import { tz, tzChainable, toUTC, toLocal, isUTC, utcOffset, toTimezone, getTimezone, initTimezone, getZone, wallDate, toWall, fromWall, assertZone } from './timezone.js';
+import { globalConfig, resetGlobalConfig, getLocale } from './config.js';
+import { InvalidDateError } from './errors.js';
+import { duration, createDuration, between as durationBetween, diffBreakdown, Duration, initDuration } from './duration.js';
+import { createInterval, Interval, initInterval } from './interval.js';
+import { createRRule, RRule, initRRule } from './rrule.js';
+import { createCron, Cron } from './cron.js';
+import { holidays, initHolidays } from './holidays.js';
+import { MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY } from './constants.js';
 import { timePrepositions, weekPatterns } from './locales.js';
 
+// ============================================
+// ISO 8601 / RFC 3339 PARSER
+// ============================================
+
 /**
- * Ultra-fast ISO parser V3.1 - NO REGEX, pure charCodeAt
- * Uses character position indexing for maximum V8 optimization
- * 
- * Supports:
- * - YYYY-MM-DD (10 chars) - most common
- * - YYYY-MM-DDTHH:mm (16 chars)
- * - YYYY-MM-DDTHH:mm:ss (19 chars)
- * - YYYY-MM-DDTHH:mm:ss.SSS (23 chars)
- * - All above with Z suffix (UTC)
- * - All above with ±HH:mm offset
- * 
- * Target: 5M+ ops/sec (vs 1.6M with regex)
- * 
- * @param {string} s - ISO date string
- * @returns {Date|null} Parsed Date or null for fallback
+ * 400 Gregorian years are exactly 146097 days (same weekdays and leap years),
+ * so years 0-99 are built 400 years later and shifted back - Date maps them to 19xx
  */
-const ultraFastParse = (s) => {
-    // Quick length check - minimum is YYYY-MM-DD (10 chars)
-    const len = s.length;
-    if (len < 10) return null;
-
-    // ===== YEAR (0-3) =====
-    // charCodeAt: '0'=48, '9'=57
-    const y0 = s.charCodeAt(0) - 48;
-    const y1 = s.charCodeAt(1) - 48;
-    const y2 = s.charCodeAt(2) - 48;
-    const y3 = s.charCodeAt(3) - 48;
-
-    // Validate year digits (0-9)
-    if (y0 < 0 || y0 > 9 || y1 < 0 || y1 > 9 || y2 < 0 || y2 > 9 || y3 < 0 || y3 > 9) return null;
-
-    const year = y0 * 1000 + y1 * 100 + y2 * 10 + y3;
-
-    // Check first separator '-' at position 4
-    if (s.charCodeAt(4) !== 45) return null;
-
-    // ===== MONTH (5-6) =====
-    const m0 = s.charCodeAt(5) - 48;
-    const m1 = s.charCodeAt(6) - 48;
-    if (m0 < 0 || m0 > 9 || m1 < 0 || m1 > 9) return null;
+const CYCLE_YEARS = 400;
+const CYCLE_MS = 146097 * MS_PER_DAY;
 
-    const month = m0 * 10 + m1 - 1; // 0-indexed
-
-    // Check separator '-' at position 7
-    if (s.charCodeAt(7) !== 45) return null;
-
-    // ===== DAY (8-9) =====
-    const d0 = s.charCodeAt(8) - 48;
-    const d1 = s.charCodeAt(9) - 48;
-    if (d0 < 0 || d0 > 9 || d1 < 0 || d1 > 9) return null;
-
-    const day = d0 * 10 + d1;
-
-    // ===== FAST PATH: YYYY-MM-DD only =====
-    if (len === 10) {
-        return new Date(year, month, day);
-    }
-
-    // Check 'T' separator at position 10
-    if (s.charCodeAt(10) !== 84) return null; // 'T' = 84
-
-    // ===== HOUR (11-12) =====
-    const h0 = s.charCodeAt(11) - 48;
-    const h1 = s.charCodeAt(12) - 48;
-    if (h0 < 0 || h0 > 9 || h1 < 0 || h1 > 9) return null;
-
-    const hour = h0 * 10 + h1;
-
-    // Check ':' at position 13
-    if (s.charCodeAt(13) !== 58) return null; // ':' = 58
-
-    // ===== MINUTE (14-15) =====
-    const mi0 = s.charCodeAt(14) - 48;
-    const mi1 = s.charCodeAt(15) - 48;
-    if (mi0 < 0 || mi0 > 9 || mi1 < 0 || mi1 > 9) return null;
-
-    const minute = mi0 * 10 + mi1;
-
-    // ===== FAST PATH: YYYY-MM-DDTHH:mm =====
-    if (len === 16) {
-        return new Date(year, month, day, hour, minute);
+/**
+ * Read `n` digits at position `i`
+ * @private
+ * @returns {number} Value, or -1 if a character is not a digit (or past the end)
+ */
+const readDigits = (s, i, n) => {
+    if (n === 2) {
+        const c0 = s.charCodeAt(i) - 48; // '0'=48 - NaN past the end
+        const c1 = s.charCodeAt(i + 1) - 48;
+        return c0 >= 0 && c0 <= 9 && c1 >= 0 && c1 <= 9 ? c0 * 10 + c1 : -1;
     }
-
-    // Check for Z at position 16 (YYYY-MM-DDTHH:mmZ)
-    if (len === 17 && s.charCodeAt(16) === 90) { // 'Z' = 90
-        return new Date(Date.UTC(year, month, day, hour, minute));
+    let v = 0;
+    for (let k = i; k < i + n; k++) {
+        const c = s.charCodeAt(k) - 48;
+        if (!(c >= 0 && c <= 9)) return -1;
+        v = v * 10 + c;
     }
+    return v;
+};
 
-    // Check ':' at position 16 for seconds
-    if (s.charCodeAt(16) !== 58) {
-        // Could be timezone offset
-        return parseWithTimezone(s, year, month, day, hour, minute, 0, 0, 16);
+/**
+ * Scan an ISO 8601 / RFC 3339 string - NO REGEX, pure charCodeAt
+ * 
+ * Dates:
+ * - YYYY-MM-DD / YYYYMMDD       (calendar)
+ * - YYYY-Www-D / YYYYWwwD       (week, day optional)
+ * - YYYY-DDD / YYYYDDD          (ordinal)
+ * - YYYY-MM, YYYY               (reduced precision)
+ * - ±YYYYYY-...                 (expanded year)
+ * 
+ * Time (after 'T', 't' or space, full dates only):
+ * - HH[:mm[:ss]] / HH[mm[ss]], fraction with '.' or ',' on the last component
+ *   (any number of digits, truncated to milliseconds), 24:00 as end of day
+ * - Offset: Z, z, ±HH, ±HH:mm, ±HHmm
+ * 
+ * Out-of-range calendar/clock fields roll over like Date does;
+ * strict mode reports them through invalidReason()
+ * 
+ * @private
+ * @param {string} s - Date string
+ * @param {Object} r - Receives year, month, day, hour, minute, second, ms, offset, precision
+ * @returns {boolean} False if the string is not ISO 8601
+ */
+const scanISO = (s, r) => {
+    const len = s.length;
+    let c = s.charCodeAt(0);
+    let i;
+    let year;
+
+    // ===== YEAR: YYYY or ±YYYYYY =====
+    if (c === 43 || c === 45) { // '+' / '-'
+        year = readDigits(s, 1, 6);
+        if (year < 0 || (c === 45 && year === 0)) return false; // -000000 is not allowed
+        if (c === 45) year = -year;
+        i = 7;
+    } else {
+        year = readDigits(s, 0, 4);
+        if (year < 0) return false;
+        i = 4;
     }
 
-    // ===== SECOND (17-18) =====
-    const s0 = s.charCodeAt(17) - 48;
-    const s1 = s.charCodeAt(18) - 48;
-    if (s0 < 0 || s0 > 9 || s1 < 0 || s1 > 9) return null;
-
-    const second = s0 * 10 + s1;
-
-    // ===== FAST PATH: YYYY-MM-DDTHH:mm:ss =====
-    if (len === 19) {
-        return new Date(year, month, day, hour, minute, second);
-    }
+    let month = 1;
+    let day = 1;
+    let precision = 'year';
+    const extended = s.charCodeAt(i) === 45; // '-'
+    if (extended) i++;
+
+    c = s.charCodeAt(i);
+    if (c === 87) { // 'W' - week date
+        const week = readDigits(s, i + 1, 2);
+        if (week < 1 || week > 53) return false;
+        i += 3;
+        precision = 'week';
+
+        let weekday = extended && s.charCodeAt(i) !== 45 ? -1 : readDigits(s, extended ? i + 1 : i, 1);
+        if (weekday >= 0) {
+            if (weekday < 1 || weekday > 7) return false;
+            i += extended ? 2 : 1;
+            precision = 'day';
+        } else {
+            weekday = 1;
+        }
 
-    // Check for Z at position 19
-    if (len === 20 && s.charCodeAt(19) === 90) {
-        return new Date(Date.UTC(year, month, day, hour, minute, second));
+        // Week 1 starts on the Monday on or before January 4th
+        const jan4 = Date.UTC(year + CYCLE_YEARS, 0, 4);
+        const t = jan4 + ((week - 1) * 7 + weekday - 1 - (new Date(jan4).getUTCDay() + 6) % 7) * MS_PER_DAY;
+        // Week 53 exists only when its Thursday is still in the same year
+        if (new Date(t + (4 - weekday) * MS_PER_DAY).getUTCFullYear() - CYCLE_YEARS !== year) return false;
+        const d = new Date(t);
+        year = d.getUTCFullYear() - CYCLE_YEARS;
+        month = d.getUTCMonth() + 1;
+        day = d.getUTCDate();
+    } else if (c >= 48 && c <= 57) {
+        // Digit count tells ordinal (DDD) from calendar (MM-DD / MMDD)
+        let n = 1;
+        while (n < 4 && readDigits(s, i + n, 1) >= 0) n++;
+
+        if (n === 3) {
+            const ordinal = readDigits(s, i, 3);
+            const d = new Date(Date.UTC(year + CYCLE_YEARS, 0, ordinal));
+            if (ordinal < 1 || d.getUTCFullYear() - CYCLE_YEARS !== year) return false;
+            month = d.getUTCMonth() + 1;
+            day = d.getUTCDate();
+            i += 3;
+            precision = 'day';
+        } else if (extended && n === 2) {
+            month = readDigits(s, i, 2);
+            i += 2;
+            precision = 'month';
+            if (s.charCodeAt(i) === 45) {
+                day = readDigits(s, i + 1, 2);
+                if (day < 0) return false;
+                i += 3;
+                precision = 'day';
+            }
+        } else if (!extended && n === 4) {
+            month = readDigits(s, i, 2);
+            day = readDigits(s, i + 2, 2);
+            i += 4;
+            precision = 'day';
+        } else {
+            return false; // YYYYMM is not ISO 8601
+        }
+    } else if (extended) {
+        return false;
     }
 
-    // Check for '.' at position 19 for milliseconds
-    if (s.charCodeAt(19) === 46) { // '.' = 46
-        // ===== MILLISECONDS (20-22) =====
-        const ms0 = s.charCodeAt(20) - 48;
-        const ms1 = len > 21 ? s.charCodeAt(21) - 48 : 0;
-        const ms2 = len > 22 ? s.charCodeAt(22) - 48 : 0;
-
-        if (ms0 < 0 || ms0 > 9) return null;
-        const ms = ms0 * 100 + (ms1 >= 0 && ms1 <= 9 ? ms1 * 10 : 0) + (ms2 >= 0 && ms2 <= 9 ? ms2 : 0);
-
-        // YYYY-MM-DDTHH:mm:ss.SSS
-        if (len === 23) {
-            return new Date(year, month, day, hour, minute, second, ms);
+    let hour = 0;
+    let minute = 0;
+    let second = 0;
+    let ms = 0;
+    let offset;
+
+    // ===== TIME =====
+    c = s.charCodeAt(i);
+    if (c === 84 || c === 116 || c === 32) { // 'T', 't', ' '
+        if (precision !== 'day') return false;
+        hour = readDigits(s, i + 1, 2);
+        if (hour < 0) return false;
+        i += 3;
+        precision = 'hour';
+
+        const colon = s.charCodeAt(i) === 58; // ':'
+        const step = colon ? 3 : 2;
+        let v = readDigits(s, colon ? i + 1 : i, 2);
+        if (colon && v < 0) return false;
+        if (v >= 0) {
+            minute = v;
+            i += step;
+            precision = 'minute';
+            v = !colon || s.charCodeAt(i) === 58 ? readDigits(s, colon ? i + 1 : i, 2) : -1;
+            if (v >= 0) {
+                second = v;
+                i += step;
+                precision = 'second';
+            }
         }
 
-        // Check for Z
-        if (s.charCodeAt(len - 1) === 90) {
-            return new Date(Date.UTC(year, month, day, hour, minute, second, ms));
+        // Fraction of the last component
+        c = s.charCodeAt(i);
+        if (c === 46 || c === 44) { // '.' / ','
+            let n = 0;
+            let frac = 0;
+            let scale = 1;
+            for (i++; i < len; i++, n++) {
+                const dgt = s.charCodeAt(i) - 48;
+                if (!(dgt >= 0 && dgt <= 9)) break;
+                if (n < 9) {
+                    frac = frac * 10 + dgt;
+                    scale *= 10;
+                }
+            }
+            if (n === 0) return false;
+            const unit = precision === 'hour' ? MS_PER_HOUR : precision === 'minute' ? MS_PER_MINUTE : 1000;
+            ms = Math.floor(frac * unit / scale);
+            if (precision === 'second') precision = n <= 3 ? 'millisecond' : n <= 6 ? 'microsecond' : 'nanosecond';
         }
 
-        // Timezone offset
-        return parseWithTimezone(s, year, month, day, hour, minute, second, ms, 23);
+        // ===== OFFSET =====
+        c = s.charCodeAt(i);
+        if (c === 90 || c === 122) { // 'Z' / 'z'
+            offset = 0;
+            i++;
+        } else if (c === 43 || c === 45) { // '+' / '-'
+            const oh = readDigits(s, i + 1, 2);
+            if (oh < 0 || oh > 23) return false;
+            i += 3;
+            const oColon = s.charCodeAt(i) === 58;
+            const om = readDigits(s, oColon ? i + 1 : i, 2);
+            if (om > 59 || (oColon && om < 0)) return false;
+            if (om >= 0) i += oColon ? 3 : 2;
+            offset = (c === 45 ? -1 : 1) * (oh * 60 + (om > 0 ? om : 0));
+        }
     }
 
-    // Timezone offset after seconds
-    return parseWithTimezone(s, year, month, day, hour, minute, second, 0, 19);
+    if (i !== len) return false;
+
+    r.year = year;
+    r.month = month;
+    r.day = day;
+    r.hour = hour;
+    r.minute = minute;
+    r.second = second;
+    r.ms = ms;
+    r.offset = offset;
+    r.precision = precision;
+    return true;
 };
 
 /**
- * Parse timezone offset from string
+ * Build a Date from scanned ISO fields
+ * Without an offset the fields are local time (YYYY-MM-DD stays local midnight)
  * @private
  */
-const parseWithTimezone = (s, year, month, day, hour, minute, second, ms, startPos) => {
-    const len = s.length;
-    if (startPos >= len) return new Date(year, month, day, hour, minute, second, ms);
-
-    const signChar = s.charCodeAt(startPos);
-
-    // '+' = 43, '-' = 45
-    if (signChar !== 43 && signChar !== 45) return null;
-
-    const sign = signChar === 43 ? -1 : 1; // + means subtract from UTC
-
-    // Offset hours
-    const oh0 = s.charCodeAt(startPos + 1) - 48;
-    const oh1 = s.charCodeAt(startPos + 2) - 48;
-    if (oh0 < 0 || oh0 > 9 || oh1 < 0 || oh1 > 9) return null;
-
-    const offsetHours = oh0 * 10 + oh1;
-
-    // Offset minutes (optional colon)
-    let offsetMinutes = 0;
-    let nextPos = startPos + 3;
+const isoDate = (r) => {
+    const shift = r.year >= 0 && r.year < 100 ? CYCLE_YEARS : 0;
+    if (r.offset === undefined) {
+        const d = new Date(r.year + shift, r.month - 1, r.day, r.hour, r.minute, r.second, r.ms);
+        if (shift) d.setFullYear(d.getFullYear() - shift);
+        return d;
+    }
+    const ts = Date.UTC(r.year + shift, r.month - 1, r.day, r.hour, r.minute, r.second, r.ms);
+    return new Date(ts - r.offset * MS_PER_MINUTE - (shift ? CYCLE_MS : 0));
+};
 
-    if (nextPos < len) {
-        if (s.charCodeAt(nextPos) === 58) nextPos++; // Skip optional ':'
+/**
+ * Reused result object of ultraFastParse (no allocation per parse)
+ */
+const scratch = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0, ms: 0, offset: undefined, precision: '' };
 
-        if (nextPos + 1 < len) {
-            const om0 = s.charCodeAt(nextPos) - 48;
-            const om1 = s.charCodeAt(nextPos + 1) - 48;
-            if (om0 >= 0 && om0 <= 9 && om1 >= 0 && om1 <= 9) {
-                offsetMinutes = om0 * 10 + om1;
-            }
-        }
-    }
+/**
+ * Ultra-fast ISO parser V4 - NO REGEX, pure charCodeAt
+ * Covers every ISO 8601 / RFC 3339 form listed on scanISO
+ * 
+ * Target: 5M+ ops/sec (vs 1.6M with regex)
+ * 
+ * @param {string} s - ISO date string
+ * @returns {Date|null} Parsed Date or null for fallback
+ */
+const ultraFastParse = (s) => (scanISO(s, scratch) ? isoDate(scratch) : null);
 
-    const timestamp = Date.UTC(year, month, day, hour, minute, second, ms);
-    return new Date(timestamp + sign * (offsetHours * 60 + offsetMinutes) * 60000);
+/**
+ * Parse an ISO 8601 string into its fields
+ * @private
+ * @param {string} s - Date string
+ * @returns {Object|null} { year, month, day, hour, minute, second, ms, offset, precision } or null
+ */
+const parseISO = (s) => {
+    const r = {};
+    return typeof s === 'string' && scanISO(s, r) ? r : null;
 };
 
 /**
- * Global configuration
+ * Check if a date string carries its own offset (Z, ±HH:mm, GMT/UTC)
+ * Such strings are absolute instants and ignore the default timezone
+ * @private
  */
-let globalConfig = {
-    strict: false,
-    locale: null,
-    timezone: null
+const OFFSET_SUFFIX = /(?:z|[+-]\d\d(?::?\d\d)?|gmt|utc)$/i;
+const hasOffset = (s) => {
+    const iso = parseISO(s);
+    return iso ? iso.offset !== undefined : s.length > 10 && OFFSET_SUFFIX.test(s);
 };
 
 /**
- * Custom error for invalid dates in strict mode
+ * Reinterpret a locally parsed string as wall-clock time of a timezone
+ * Dates, timestamps and strings with an offset are instants and stay as-is
+ * @private
  */
-export class InvalidDateError extends Error {
-    constructor(input) {
-        super(`Invalid date: ${input}`);
-        this.name = 'InvalidDateError';
-        this.input = input;
-    }
-}
+const inZone = (d, input, zone) =>
+    typeof input === 'string' && !hasOffset(input)
+        ? new Date(fromWall(toWall(d.getTime()), zone))
+        : d;
 
 /**
  * Plugin registry for extending NanoDate
@@ -245,6 +333,7 @@ const methods = {
     endOf,
     set,
     diff,
+    diffBreakdown,
     isBefore,
     isAfter,
     isSame,
@@ -264,6 +353,11 @@ const methods = {
     toTz: tzChainable,
     timezone: tzChainable,
 
+    // UTC / local mode
+    utc: toUTC,
+    local: toLocal,
+    isUTC,
+
     // Business day methods
     isBusinessDay,
     addBusinessDays,
@@ -290,7 +384,7 @@ const methods = {
      * @returns {number[]} Array of date components
      */
     toArray: (ctx) => {
-        const d = ctx._d;
+        const d = wallDate(ctx);
         return [
             d.getFullYear(),
             d.getMonth(),
@@ -308,7 +402,7 @@ const methods = {
      * @returns {Object} Object with date components
      */
     toObject: (ctx) => {
-        const d = ctx._d;
+        const d = wallDate(ctx);
         return {
             year: d.getFullYear(),
             month: d.getMonth(),
@@ -327,7 +421,7 @@ const methods = {
      * @returns {string} Calendar string
      */
     calendar: (ctx, referenceDate) => {
-        const locale = ctx._l || 'en';
+        const locale = getLocale(ctx);
 
         let cached = calendarStringsCache.get(locale);
         if (!cached) {
@@ -337,23 +431,22 @@ const methods = {
 
         const d = ctx._d;
         const ref = referenceDate ? (referenceDate._d || new Date(referenceDate)) : new Date();
+        const zone = getZone(ctx);
 
-        // Optimized: Calculate timestamps directly without creating multiple Date objects
-        const refYear = ref.getFullYear();
-        const refMonth = ref.getMonth();
-        const refDate = ref.getDate();
-        const refDay = ref.getDay();
+        // Day boundaries are computed on wall-clock timestamps (the zone's local
+        // time expressed as UTC), so DST days and zoned instances need no Date objects
+        const refWall = toWall(ref.getTime(), zone);
+        const refDay = new Date(refWall).getUTCDay();
 
-        // Use Date.UTC-like calculation for day boundaries (in local time)
-        const startOfTodayTs = new Date(refYear, refMonth, refDate).getTime();
+        const startOfTodayTs = refWall - (((refWall % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY);
         const startOfTomorrowTs = startOfTodayTs + MS_PER_DAY;
         const startOfYesterdayTs = startOfTodayTs - MS_PER_DAY;
         const startOfThisWeekTs = startOfTodayTs - refDay * MS_PER_DAY;
         const startOfNextWeekTs = startOfThisWeekTs + 7 * MS_PER_DAY;
         const startOfLastWeekTs = startOfThisWeekTs - 7 * MS_PER_DAY;
 
-        const ts = d.getTime();
-        const timeStr = getCalendarTimeFormatter(locale).format(d);
+        const ts = toWall(d.getTime(), zone);
+        const timeStr = getCalendarTimeFormatter(locale, zone).format(d);
 
         if (ts >= startOfTodayTs && ts < startOfTomorrowTs) {
             return cached.today.replace('{time}', timeStr);
@@ -365,40 +458,41 @@ const methods = {
             return cached.yesterday.replace('{time}', timeStr);
         }
         if (ts >= startOfThisWeekTs && ts < startOfNextWeekTs) {
-            const weekday = getCalendarWeekdayFormatter(locale).format(d);
+            const weekday = getCalendarWeekdayFormatter(locale, zone).format(d);
             return cached.thisWeek.replace('{weekday}', weekday).replace('{time}', timeStr);
         }
         if (ts >= startOfLastWeekTs && ts < startOfThisWeekTs) {
-            const weekday = getCalendarWeekdayFormatter(locale).format(d);
+            const weekday = getCalendarWeekdayFormatter(locale, zone).format(d);
             return cached.lastWeek.replace('{weekday}', weekday).replace('{time}', timeStr);
         }
         if (ts >= startOfNextWeekTs && ts < startOfNextWeekTs + 7 * MS_PER_DAY) {
-            const weekday = getCalendarWeekdayFormatter(locale).format(d);
+            const weekday = getCalendarWeekdayFormatter(locale, zone).format(d);
             return cached.nextWeek.replace('{weekday}', weekday).replace('{time}', timeStr);
         }
 
         // Fallback to full date - use cached formatter
-        return getCalendarFallbackFormatter(locale).format(d);
+        return getCalendarFallbackFormatter(locale, zone).format(d);
     },
 
     // Getter/Setter'lar - argüman varsa setter, yoksa getter
-    year: (ctx, val) => val === undefined ? ctx._d.getFullYear() : set(ctx, 'year', val),
-    month: (ctx, val) => val === undefined ? ctx._d.getMonth() : set(ctx, 'month', val),
-    date: (ctx, val) => val === undefined ? ctx._d.getDate() : set(ctx, 'day', val),
-    day: (ctx) => ctx._d.getDay(), // day of week sadece getter
-    hour: (ctx, val) => val === undefined ? ctx._d.getHours() : set(ctx, 'hour', val),
-    minute: (ctx, val) => val === undefined ? ctx._d.getMinutes() : set(ctx, 'minute', val),
-    second: (ctx, val) => val === undefined ? ctx._d.getSeconds() : set(ctx, 'second', val),
-    millisecond: (ctx, val) => val === undefined ? ctx._d.getMilliseconds() : set(ctx, 'millisecond', val),
+    // wallDate: local Date, ya da zoned instance için bölgenin duvar saati
+    year: (ctx, val) => val === undefined ? wallDate(ctx).getFullYear() : set(ctx, 'year', val),
+    month: (ctx, val) => val === undefined ? wallDate(ctx).getMonth() : set(ctx, 'month', val),
+    date: (ctx, val) => val === undefined ? wallDate(ctx).getDate() : set(ctx, 'day', val),
+    day: (ctx) => wallDate(ctx).getDay(), // day of week sadece getter
+    hour: (ctx, val) => val === undefined ? wallDate(ctx).getHours() : set(ctx, 'hour', val),
+    minute: (ctx, val) => val === undefined ? wallDate(ctx).getMinutes() : set(ctx, 'minute', val),
+    second: (ctx, val) => val === undefined ? wallDate(ctx).getSeconds() : set(ctx, 'second', val),
+    millisecond: (ctx, val) => val === undefined ? wallDate(ctx).getMilliseconds() : set(ctx, 'millisecond', val),
 
     // ISO weekday (1=Pazartesi, 7=Pazar)
     isoWeekday: (ctx, val) => {
         if (val === undefined) {
-            const day = ctx._d.getDay();
+            const day = wallDate(ctx).getDay();
             return day === 0 ? 7 : day; // Pazar=0'ı 7'ye çevir
         }
         // Setter: ISO weekday'e ayarla
-        const currentIsoDay = ctx._d.getDay() || 7;
+        const currentIsoDay = wallDate(ctx).getDay() || 7;
         const diff = val - currentIsoDay;
         return add(ctx, diff, 'day');
     },
@@ -413,10 +507,19 @@ const methods = {
     },
 
     // Locale ayarı
-    locale: (ctx, newLocale) => nano(ctx._d, newLocale),
+    locale: (ctx, newLocale) => derive(ctx, new Date(ctx._d.getTime()), newLocale),
 
     // Clone
-    clone: (ctx) => nano(ctx._d, ctx._l)
+    clone: (ctx) => derive(ctx, new Date(ctx._d.getTime())),
+
+    // nano.parse ile eşleşen format (diagnostics), yoksa undefined
+    parsedFormat: (ctx) => ctx._f,
+
+    // ISO 8601 input'ta verilen en küçük birim ('day', 'minute', 'microsecond', ...), yoksa null
+    precision: (ctx) => {
+        const iso = parseISO(ctx._input);
+        return iso ? iso.precision : null;
+    }
 };
 
 /**
@@ -428,29 +531,32 @@ const calendarTimeFormatterCache = createLRU();
 const calendarWeekdayFormatterCache = createLRU();
 const calendarFallbackFormatterCache = createLRU();
 
-const getCalendarTimeFormatter = (locale) => {
-    let f = calendarTimeFormatterCache.get(locale);
+const getCalendarTimeFormatter = (locale, zone) => {
+    const key = zone ? locale + '|' + zone : locale;
+    let f = calendarTimeFormatterCache.get(key);
     if (!f) {
-        f = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit' });
-        calendarTimeFormatterCache.set(locale, f);
+        f = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: zone });
+        calendarTimeFormatterCache.set(key, f);
     }
     return f;
 };
 
-const getCalendarWeekdayFormatter = (locale) => {
-    let f = calendarWeekdayFormatterCache.get(locale);
+const getCalendarWeekdayFormatter = (locale, zone) => {
+    const key = zone ? locale + '|' + zone : locale;
+    let f = calendarWeekdayFormatterCache.get(key);
     if (!f) {
-        f = new Intl.DateTimeFormat(locale, { weekday: 'long' });
-        calendarWeekdayFormatterCache.set(locale, f);
+        f = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: zone });
+        calendarWeekdayFormatterCache.set(key, f);
     }
     return f;
 };
 
-const getCalendarFallbackFormatter = (locale) => {
-    let f = calendarFallbackFormatterCache.get(locale);
+const getCalendarFallbackFormatter = (locale, zone) => {
+    const key = zone ? locale + '|' + zone : locale;
+    let f = calendarFallbackFormatterCache.get(key);
     if (!f) {
-        f = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
-        calendarFallbackFormatterCache.set(locale, f);
+        f = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: zone });
+        calendarFallbackFormatterCache.set(key, f);
     }
     return f;
 };
@@ -522,7 +628,7 @@ const boundMethodCache = new WeakMap();
 const handler = {
     get(target, prop) {
         // Fast path: internal properties
-        if (prop === '_d' || prop === '_l' || prop === '_input' || prop === '_tz') {
+        if (prop === '_d' || prop === '_l' || prop === '_input' || prop === '_tz' || prop === '_utc' || prop === '_c' || prop === '_f') {
             return target[prop];
         }
 
@@ -554,9 +660,10 @@ const handler = {
             return boundMethod;
         }
 
-        // Plugin'lerde ara
-        if (prop in plugins) {
-            const boundPlugin = (...args) => plugins[prop](target, ...args);
+        // Plugin'lerde ara (scoped instance kendi plugin setini kullanır)
+        const scopePlugins = target._c ? target._c.plugins : plugins;
+        if (prop in scopePlugins) {
+            const boundPlugin = (...args) => scopePlugins[prop](target, ...args);
             if (!targetCache) {
                 targetCache = Object.create(null);
                 boundMethodCache.set(target, targetCache);
@@ -574,7 +681,7 @@ const handler = {
  * NanoDate factory fonksiyonu
  * 
  * @param {Date|string|number|NanoDate} input - Tarih input'u
- * @param {string} [locale] - Locale (opsiyonel, default: navigator.language)
+ * @param {string} [locale] - Locale (opsiyonel, default: config() locale, sonra navigator.language)
  * @returns {Proxy} NanoDate instance
  * 
  * @example
@@ -584,9 +691,20 @@ const handler = {
  * nano(new Date())          // Date objesinden
  * nano('2026-01-21', 'tr')  // Türkçe locale ile
  */
-export const nano = (input, locale) => {
+export const nano = (input, locale) => create(input, locale);
+
+/**
+ * Shared factory body of nano() and scoped instances
+ * @private
+ * @param {*} input - Date input
+ * @param {string} [locale] - Locale
+ * @param {Object} [scope] - Scope of a nano.withConfig() instance (global config if omitted)
+ * @returns {Proxy} NanoDate instance
+ */
+const create = (input, locale, scope) => {
     let d;
     let originalInput;
+    let inputZone;
 
     // MONOMORPHIC TYPE BRANCHES - prevents V8 de-optimization
     // Each branch handles exactly one input type for consistent IC (Inline Cache)
@@ -605,10 +723,11 @@ export const nano = (input, locale) => {
         originalInput = input;
     } else if (inputType === 'object') {
         if (input._d) {
-            // Another NanoDate instance
+            // Another NanoDate instance - keeps its zone
             d = new Date(input._d.getTime());
             locale = locale || input._l;
             originalInput = input._input; // Preserve original input if present
+            inputZone = input._tz || (input._utc ? 'UTC' : undefined);
         } else if (input instanceof Date) {
             // Native Date object
             d = new Date(input.getTime());
@@ -620,11 +739,25 @@ export const nano = (input, locale) => {
         d = new Date(input);
     }
 
+    const cfg = scope || globalConfig;
+
+    // Zoned (input zone or default timezone from config) or scoped instance
+    const zone = inputZone || cfg.timezone || undefined;
+    if (zone || scope) {
+        if (zone) d = inZone(d, input, zone);
+        const ctx = { _d: d, _l: locale, _input: originalInput, _tz: zone, _c: scope };
+        if (cfg.strict && inputType === 'string') {
+            const problem = invalidReason(ctx);
+            if (problem) throw new InvalidDateError(input, problem);
+        }
+        return new Proxy(ctx, handler);
+    }
+
     // Strict mode check - only for string inputs
-    if (globalConfig.strict && inputType === 'string') {
-        const ctx = { _d: d, _l: locale, _input: originalInput };
-        if (!isValid(ctx)) {
-            throw new InvalidDateError(input);
+    if (cfg.strict && inputType === 'string') {
+        const problem = invalidReason({ _d: d, _l: locale, _input: originalInput });
+        if (problem) {
+            throw new InvalidDateError(input, problem);
         }
     }
 
@@ -637,6 +770,22 @@ export const nano = (input, locale) => {
     return new Proxy({ _d: d, _l: locale }, handler);
 };
 
+/**
+ * Create a NanoDate that inherits zone, UTC mode and scope from an existing context
+ * Used by manipulation and utility modules so results stay in the same zone
+ * 
+ * @param {Object} ctx - Source NanoDate context
+ * @param {Date} d - Date for the new instance (not copied)
+ * @param {string} [locale] - Locale override (default: ctx locale)
+ * @returns {Proxy} NanoDate instance
+ */
+const derive = (ctx, d, locale = ctx._l) => {
+    if (ctx._tz || ctx._utc || ctx._c) {
+        return new Proxy({ _d: d, _l: locale, _tz: ctx._tz, _utc: ctx._utc, _c: ctx._c }, handler);
+    }
+    return new Proxy({ _d: d, _l: locale }, handler);
+};
+
 /**
  * Strict mode factory - throws on invalid dates
  * 
@@ -645,61 +794,105 @@ export const nano = (input, locale) => {
  * @returns {Proxy} NanoDate instance
  * @throws {InvalidDateError} If date is invalid
  */
-export const strict = (input, locale) => {
-    const d = new Date(input);
-    const ctx = { _d: d, _l: locale, _input: typeof input === 'string' ? input : undefined };
+export const strict = (input, locale) => createStrict(input, locale);
+
+/**
+ * Shared body of strict() and scoped instances
+ * @private
+ */
+const createStrict = (input, locale, scope) => {
+    const isString = typeof input === 'string';
+    let d = isString ? (ultraFastParse(input) || new Date(input)) : new Date(input);
+    const ctx = { _d: d, _l: locale, _input: isString ? input : undefined };
+
+    const zone = (scope || globalConfig).timezone;
+    if (zone) {
+        ctx._d = inZone(d, input, zone);
+        ctx._tz = zone;
+    }
+    if (scope) ctx._c = scope;
 
-    if (!isValid(ctx)) {
-        throw new InvalidDateError(input);
+    const problem = invalidReason(ctx);
+    if (problem) {
+        throw new InvalidDateError(input, problem);
     }
 
     return new Proxy(ctx, handler);
 };
 
+/**
+ * Apply config options to a configuration object (global or scoped)
+ * @private
+ */
+const applyConfig = (target, options) => {
+    if (options.timezone) assertZone(options.timezone);
+    const weekend = options.weekend == null ? null : resolveWeekend(options.weekend);
+    if (options.strict !== undefined) target.strict = options.strict;
+    if (options.locale !== undefined) target.locale = options.locale;
+    if (options.timezone !== undefined) target.timezone = options.timezone;
+    if (options.weekend !== undefined) target.weekend = weekend;
+};
+
 /**
  * Configure global settings
+ * Precedence: instance > config > environment
  * 
  * @param {Object} options - Configuration options
  * @param {boolean} [options.strict] - Enable strict mode globally
- * @param {string} [options.locale] - Default locale
- * @param {string} [options.timezone] - Default timezone
+ * @param {string} [options.locale] - Default locale (used when an instance has none)
+ * @param {string} [options.timezone] - Default IANA timezone (new instances are zoned,
+ *   strings without an offset are read as wall-clock time of this zone)
+ * @param {number[]|string} [options.weekend] - Default weekend of business-day methods:
+ *   weekday numbers (0 = Sunday) or a region / locale read from Intl week data ('IL')
+ * @throws {InvalidDateError} If the timezone is unknown (reason 'unknown-timezone')
+ * @throws {RangeError} If the weekend is invalid
+ * 
+ * @example
+ * nano.config({ locale: 'tr', timezone: 'Europe/Istanbul' })
+ * nano.config({ weekend: [5, 6] })                 // Friday/Saturday
+ * nano('2026-01-21T10:00').format('HH:mm Z')  // "10:00 +03:00"
  */
 export const config = (options) => {
-    if (options.strict !== undefined) globalConfig.strict = options.strict;
-    if (options.locale !== undefined) globalConfig.locale = options.locale;
-    if (options.timezone !== undefined) globalConfig.timezone = options.timezone;
+    applyConfig(globalConfig, options);
 };
 
 /**
  * Reset configuration to defaults
  */
 export const resetConfig = () => {
-    globalConfig = {
-        strict: false,
-        locale: null,
-        timezone: null
-    };
+    resetGlobalConfig();
 };
 
 /**
  * UTC modunda NanoDate oluştur
+ * Offset'siz string'ler UTC olarak okunur; format, getter ve manipülasyonlar UTC çalışır
  * 
  * @param {Date|string|number} input - Tarih input'u
  * @returns {Proxy} NanoDate instance (UTC)
+ * 
+ * @example
+ * nano.utc('2026-01-01T23:30').format('YYYY-MM-DD HH:mm') // "2026-01-01 23:30" (her makinede)
  */
-export const utc = (input) => {
-    const d = input ? new Date(input) : new Date();
-    // UTC Date oluştur
-    const utcDate = new Date(Date.UTC(
-        d.getUTCFullYear(),
-        d.getUTCMonth(),
-        d.getUTCDate(),
-        d.getUTCHours(),
-        d.getUTCMinutes(),
-        d.getUTCSeconds(),
-        d.getUTCMilliseconds()
-    ));
-    return new Proxy({ _d: utcDate, _l: 'en-US', _utc: true }, handler);
+export const utc = (input) => createUtc(input);
+
+/**
+ * Shared body of utc() and scoped instances
+ * @private
+ */
+const createUtc = (input, scope) => {
+    let d;
+    if (input == null) {
+        d = new Date();
+    } else if (typeof input === 'string') {
+        d = inZone(ultraFastParse(input) || new Date(input), input, 'UTC');
+        return new Proxy({ _d: d, _l: undefined, _input: input, _utc: true, _c: scope }, handler);
+    } else {
+        d = new Date(input._d ? input._d.getTime() : input);
+    }
+    if (scope) {
+        return new Proxy({ _d: d, _l: undefined, _utc: true, _c: scope }, handler);
+    }
+    return new Proxy({ _d: d, _l: undefined, _utc: true }, handler);
 };
 
 /**
@@ -734,9 +927,13 @@ export const checkIntlSupport = () => {
 };
 
 // Initialize modules with circular dependencies
-initManipulate(nano);
-initTimezone(nano);
-initUtils(nano);
+initManipulate(nano, derive);
+initTimezone(nano, derive);
+initUtils(nano, derive);
+initDuration(nano);
+initInterval(nano);
+initRRule(nano, derive);
+initHolidays(nano);
 
 // Attach static methods to nano
 nano.strict = strict;
@@ -747,20 +944,103 @@ nano.utc = utc;
 nano.fromUnix = fromUnix;
 
 /**
- * Parse a date string with a specific format
+ * Parse a date string with one or more formats
+ * Formats are tried in order; the first exact match wins and is available
+ * via parsedFormat() on the result
  * 
  * @param {string} dateStr - Date string to parse
- * @param {string} format - Format string
- * @param {string} [locale] - Locale
- * @returns {Proxy} NanoDate instance
+ * @param {string|string[]} format - Format string or list of formats
+ * @param {string|boolean} [locale] - Locale (or the strict flag)
+ * @param {boolean} [strictMatch=false] - Exact characters and case, no trimming
+ * @returns {Proxy} NanoDate instance (invalid if no format matches)
  * 
  * @example
  * nano.parse('21-01-2026', 'DD-MM-YYYY')           // Jan 21, 2026
  * nano.parse('2026/01/21 14:30', 'YYYY/MM/DD HH:mm')
  * nano.parse('01/21/26', 'MM/DD/YY')
  * nano.parse('3:30 PM', 'h:mm A')
+ * nano.parse('21 Ocak 2026', 'D MMMM YYYY', 'tr')
+ * nano.parse('Wed, Jan 21 2026 +0300', 'ddd, MMM D YYYY ZZ')
  */
-nano.parse = (dateStr, format, locale) => parseFormat(dateStr, format, locale, nano);
+nano.parse = (dateStr, format, locale, strictMatch) => parseWith(dateStr, format, locale, strictMatch);
+
+/**
+ * Shared body of nano.parse() and scoped instances
+ * @private
+ */
+const parseWith = (dateStr, formats, locale, strictMatch, scope) => {
+    if (typeof locale === 'boolean') {
+        strictMatch = locale;
+        locale = undefined;
+    }
+    const cfg = scope || globalConfig;
+    const zone = cfg.timezone || undefined;
+    const list = Array.isArray(formats) ? formats : [formats];
+    // Diagnostics are only collected when they can be thrown
+    const failure = cfg.strict ? {} : undefined;
+
+    for (let i = 0; i < list.length; i++) {
+        const d = parseFormat(dateStr, list[i], locale, cfg, strictMatch, failure);
+        if (!isNaN(d.getTime())) {
+            return new Proxy({ _d: d, _l: locale, _tz: zone, _c: scope, _f: list[i] }, handler);
+        }
+    }
+
+    // Global strict mode - first out-of-range field, or the closest format mismatch
+    if (failure) {
+        throw new InvalidDateError(dateStr, failure);
+    }
+    return create(new Date(NaN), locale, scope);
+};
+
+/**
+ * Parse an RFC 2822 date (email Date header)
+ * English names regardless of locale; obsolete zones (GMT, EST, ...) and comments accepted
+ * 
+ * @param {string} dateStr - Date string
+ * @param {string} [locale] - Locale of the result
+ * @returns {Proxy} NanoDate instance (invalid if the string does not match)
+ * 
+ * @example
+ * nano.parseRFC2822('Wed, 21 Jan 2026 12:30:45 +0300').toISOString() // "2026-01-21T09:30:45.000Z"
+ */
+nano.parseRFC2822 = (dateStr, locale) => parseWireWith(parseRFC2822, dateStr, locale);
+
+/**
+ * Parse an HTTP-date (IMF-fixdate, RFC 850 or asctime)
+ * 
+ * @param {string} dateStr - Last-Modified, Date, Expires, ... header value
+ * @param {string} [locale] - Locale of the result
+ * @returns {Proxy} NanoDate instance (invalid if the string does not match)
+ * 
+ * @example
+ * nano.parseHTTPDate('Wed, 21 Jan 2026 09:30:45 GMT')
+ */
+nano.parseHTTPDate = (dateStr, locale) => parseWireWith(parseHTTPDate, dateStr, locale);
+
+/**
+ * Parse a Common Log Format timestamp (Apache/nginx access logs)
+ * 
+ * @param {string} dateStr - e.g. "21/Jan/2026:12:30:45 +0300" (brackets optional)
+ * @param {string} [locale] - Locale of the result
+ * @returns {Proxy} NanoDate instance (invalid if the string does not match)
+ */
+nano.parseCLF = (dateStr, locale) => parseWireWith(parseCLF, dateStr, locale);
+
+/**
+ * Shared body of the wire format parsers and scoped instances
+ * The result is an instant; with a default timezone it is zoned like nano()
+ * @private
+ */
+const parseWireWith = (parser, dateStr, locale, scope) => {
+    const cfg = scope || globalConfig;
+    const failure = cfg.strict ? {} : undefined;
+    const d = parser(dateStr, failure);
+    if (failure && isNaN(d.getTime())) {
+        throw new InvalidDateError(dateStr, failure);
+    }
+    return create(d, locale, scope);
+};
 
 /**
  * Create a duration from various inputs
@@ -768,27 +1048,112 @@ nano.parse = (dateStr, format, locale) => parseFormat(dateStr, format, locale, n
  * @param {number|Object|string} input - Duration input
  * @param {string} [unit] - Unit if input is number
  * @returns {Duration} Duration instance
+ * @throws {InvalidDateError} In strict mode for unrecognized strings
  * 
  * @example
  * nano.duration(5000)                       // 5 seconds in ms
  * nano.duration(2, 'hours')                 // 2 hours
  * nano.duration({ hours: 2, minutes: 30 }) // 2 hours 30 minutes
  * nano.duration('P1DT2H30M')                // ISO 8601 duration
+ * nano.duration('1h30m')                    // compact / '2 days 4 hours' / '01:30:00'
  */
 nano.duration = duration;
 
 /**
  * Calculate duration between two dates
  * 
- * @param {Date|NanoDate} start - Start date
- * @param {Date|NanoDate} end - End date
+ * @param {Date|NanoDate|string|number} start - Start date
+ * @param {Date|NanoDate|string|number} end - End date
+ * @param {Object} [options] - { calendar: true } or { units: [...] } for calendar components
  * @returns {Duration} Duration between dates
  * 
  * @example
  * nano.durationBetween(nano('2026-01-01'), nano('2026-01-21'))
+ * nano.durationBetween('2024-02-29', '2026-03-01', { calendar: true }) // P2Y1D
  */
 nano.durationBetween = durationBetween;
 
+/**
+ * Create an immutable interval
+ * 
+ * @param {*} start - Start date, duration, or ISO 8601 interval string
+ * @param {*} [end] - End date or duration (or bounds when start is an ISO interval)
+ * @param {string} [inclusivity='[)'] - Bounds: '[)', '[]', '()', '(]' (as in isBetween)
+ * @returns {Interval} Interval (isValid() false if end is before start)
+ * @throws {InvalidDateError} In strict mode for invalid intervals
+ * 
+ * @example
+ * nano.interval('2026-01-01', '2026-02-01')
+ * nano.interval('2026-01-01/P1M')
+ * nano.interval(nano('2026-01-01T09:00'), { hours: 2 }, '[]')
+ */
+nano.interval = (start, end, inclusivity) => createInterval(nano, globalConfig, start, end, inclusivity);
+
+/**
+ * Create an RFC 5545 recurrence rule
+ * Occurrences follow the wall clock of DTSTART's zone (toTz() or TZID)
+ * 
+ * @param {string|Object} rule - RRULE text (optionally with DTSTART/EXDATE/RDATE lines) or options
+ * @param {Object} [options] - { dtstart, exdate, rdate }
+ * @returns {RRule} Rule (isValid() false if it does not parse)
+ * @throws {InvalidDateError} In strict mode for invalid rules
+ * 
+ * @example
+ * nano.rrule('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2', { dtstart: nano('2026-01-01T10:00') }).between(a, b)
+ * nano.rrule({ freq: 'weekly', byday: ['MO', 'WE'], count: 4, dtstart: '2026-01-05T09:00' }).all()
+ * nano.rrule('DTSTART;TZID=Europe/Berlin:20260105T090000\nRRULE:FREQ=DAILY;COUNT=3').toString()
+ */
+nano.rrule = (rule, options) => createRRule(nano, globalConfig, rule, options);
+
+/**
+ * Create a cron schedule
+ * 5 or 6 fields (seconds first), L / W / # and @daily-style macros,
+ * read on the wall clock of a timezone (options > config > host)
+ * 
+ * @param {string} expression - Cron expression
+ * @param {Object} [options] - { timezone }
+ * @returns {Cron} Schedule (isValid() false if it does not parse)
+ * @throws {InvalidDateError} In strict mode for invalid expressions, or for unknown timezones
+ * 
+ * @example
+ * nano.cron('0 9 * * MON-FRI').next(from)                                   // next weekday 09:00
+ * nano.cron('0 0 L * *', { timezone: 'Europe/Istanbul' }).between(a, b)     // month ends
+ * nano.cron('@hourly').isMatch('2026-01-01T10:00')                          // true
+ */
+nano.cron = (expression, options) => createCron(nano, globalConfig, expression, options);
+
+/**
+ * Holiday calendars for business-day methods (shared by all instances)
+ * define(name, rules, options), remove, has, list(name, year), get(name, date)
+ * 
+ * @example
+ * nano.holidays.define('TR', [
+ *     { name: 'Yılbaşı', month: 1, day: 1 },
+ *     { name: 'Cumhuriyet Bayramı', month: 10, day: 28, half: true },
+ *     { name: 'Cumhuriyet Bayramı', month: 10, day: 29 }
+ * ]);
+ * nano('2026-10-27').addBusinessDays(2, { calendar: 'TR' }) // Oct 30 (Oct 28 is a half-day)
+ */
+nano.holidays = holidays;
+
+/**
+ * Lazily iterate dates from start toward end (generator)
+ * Each step is computed from start, so month ends clamp without drifting;
+ * days keep the time of day across DST in the zone of start.
+ * An invalid start or end yields nothing (strict mode throws)
+ * 
+ * @param {*} start - Start date
+ * @param {*} [end] - End date (omit for an unbounded range)
+ * @param {Object} [options] - { step = 1, unit = 'day' | Duration | { months, ... }, inclusive = false, raw = false }
+ * @returns {Generator<NanoDate|number>} NanoDates, or timestamps with raw
+ * 
+ * @example
+ * for (const d of nano.range('2026-01-01', '2026-02-01')) { ... }          // 31 days
+ * [...nano.range('2026-01-31', '2026-06-01', { unit: 'month' })]           // Jan 31, Feb 28, Mar 31, Apr 30, May 31
+ * [...nano.range(start, end, { unit: nano.duration('PT15M'), raw: true })] // timestamps
+ */
+nano.range = (start, end, options) => createRange(nano, globalConfig, start, end, options);
+
 /**
  * Raw timestamp operations for maximum performance
  * Use when doing bulk calculations without NanoDate wrapper
@@ -811,7 +1176,11 @@ nano.raw = raw;
  * Configurable cache size for Intl.DateTimeFormat instances
  * @default 50
  */
-nano.cacheSize = 50;
+Object.defineProperty(nano, 'cacheSize', {
+    get: getCacheSize,
+    set: setCacheSize,
+    enumerable: true
+});
 
 /**
  * Static format - bypasses Proxy overhead for one-shot formatting
@@ -826,10 +1195,20 @@ nano.cacheSize = 50;
  * nano.format(Date.now(), 'YYYY-MM-DD')           // '2026-01-22'
  * nano.format('2026-01-21', 'MMMM D, YYYY', 'tr') // 'Ocak 21, 2026'
  */
-nano.format = (date, fmt, locale) => {
+nano.format = (date, fmt, locale) => formatStatic(date, fmt, locale);
+
+/**
+ * Shared body of nano.format() and scoped instances
+ * @private
+ */
+const formatStatic = (date, fmt, locale, scope) => {
     const d = date instanceof Date ? date :
         typeof date === 'number' ? new Date(date) :
             new Date(date);
+    const zone = (scope || globalConfig).timezone;
+    if (zone || scope) {
+        return format({ _d: zone ? inZone(d, date, zone) : d, _l: locale, _tz: zone || undefined, _c: scope }, fmt);
+    }
     return format({ _d: d, _l: locale }, fmt);
 };
 
@@ -894,8 +1273,115 @@ nano.isValidDate = (date) => {
     return isValid({ _d: d, _input: typeof date === 'string' ? date : undefined });
 };
 
-// Export Duration class
-export { Duration, duration, durationBetween };
+// ============================================
+// SCOPED INSTANCES
+// ============================================
+
+/**
+ * Create an isolated nano factory with its own strict flag, locale, timezone,
+ * plugin set and cache sizes. Shares methods and the Proxy handler with nano,
+ * but settings never leak between instances (safe for multi-tenant servers).
+ * 
+ * @param {Object} [options] - Instance options
+ * @param {boolean} [options.strict=false] - Strict mode for this instance
+ * @param {string} [options.locale] - Default locale
+ * @param {string} [options.timezone] - Default IANA timezone
+ * @param {number[]|string} [options.weekend] - Default weekend of business-day methods
+ * @param {number} [options.cacheSize=50] - Size of this instance's format caches
+ * @param {Object} [options.plugins] - Plugins as { name: fn }
+ * @returns {Function} nano-like factory with the same static methods
+ * @throws {InvalidDateError} If the timezone is unknown (reason 'unknown-timezone')
+ * 
+ * @example
+ * const tr = createInstance({ locale: 'tr', timezone: 'Europe/Istanbul' });
+ * tr('2026-01-21T10:00').format('D MMMM HH:mm')  // "21 Ocak 10:00"
+ * nano('2026-01-21T10:00').format('D MMMM')      // "21 January" (unchanged)
+ */
+export const createInstance = (options = {}) => {
+    if (options.timezone) assertZone(options.timezone);
+
+    const scope = {
+        strict: options.strict || false,
+        locale: options.locale || null,
+        timezone: options.timezone || null,
+        weekend: options.weekend == null ? null : resolveWeekend(options.weekend),
+        cacheSize: options.cacheSize || 50,
+        plugins: Object.assign(Object.create(null), options.plugins),
+        caches: null
+    };
+    scope.caches = createFormatCaches(() => scope.cacheSize);
+
+    const instance = (input, locale) => create(input, locale, scope);
+
+    // Shared statics (duration, raw, addTs, ...), then scope-aware overrides
+    Object.assign(instance, nano);
+    instance.strict = (input, locale) => createStrict(input, locale, scope);
+    instance.config = (opts) => {
+        applyConfig(scope, opts);
+        if (opts.cacheSize !== undefined) scope.cacheSize = opts.cacheSize;
+    };
+    instance.resetConfig = () => {
+        scope.strict = false;
+        scope.locale = null;
+        scope.timezone = null;
+        scope.weekend = null;
+    };
+    instance.extend = (name, fn) => {
+        scope.plugins[name] = fn;
+    };
+    instance.utc = (input) => createUtc(input, scope);
+    instance.fromUnix = (timestamp, locale) => create(timestamp * 1000, locale, scope);
+    instance.parse = (dateStr, fmt, locale, strictMatch) => parseWith(dateStr, fmt, locale, strictMatch, scope);
+    instance.parseRFC2822 = (dateStr, locale) => parseWireWith(parseRFC2822, dateStr, locale, scope);
+    instance.parseHTTPDate = (dateStr, locale) => parseWireWith(parseHTTPDate, dateStr, locale, scope);
+    instance.parseCLF = (dateStr, locale) => parseWireWith(parseCLF, dateStr, locale, scope);
+    instance.format = (date, fmt, locale) => formatStatic(date, fmt, locale, scope);
+    instance.duration = (input, unit) => createDuration(input, unit, scope);
+    instance.interval = (start, end, inclusivity) => createInterval(instance, scope, start, end, inclusivity);
+    instance.rrule = (rule, options) => createRRule(instance, scope, rule, options);
+    instance.cron = (expression, options) => createCron(instance, scope, expression, options);
+    instance.range = (start, end, options) => createRange(instance, scope, start, end, options);
+    instance.withConfig = (opts) => createInstance({ ...snapshot(scope, scope.plugins, scope.cacheSize), ...opts });
+    Object.defineProperty(instance, 'cacheSize', {
+        get: () => scope.cacheSize,
+        set: (size) => { scope.cacheSize = size; },
+        enumerable: true
+    });
+
+    return instance;
+};
+
+/**
+ * Copy settings of a configuration as createInstance() options
+ * @private
+ */
+const snapshot = (cfg, pluginSet, cacheSize) => ({
+    strict: cfg.strict,
+    locale: cfg.locale,
+    timezone: cfg.timezone,
+    weekend: cfg.weekend,
+    cacheSize,
+    plugins: pluginSet
+});
+
+/**
+ * Isolated instance starting from the current global settings and plugins
+ * Later config()/extend() calls on either side do not affect the other
+ * 
+ * @param {Object} [options] - Overrides (see createInstance)
+ * @returns {Function} nano-like factory
+ * 
+ * @example
+ * const tenant = nano.withConfig({ locale: 'de', timezone: 'Europe/Berlin' });
+ */
+nano.withConfig = (options) => createInstance({ ...snapshot(globalConfig, plugins, getCacheSize()), ...options });
+nano.createInstance = createInstance;
+
+// Export Duration, Interval, RRule and Cron classes
+export { Duration, duration, durationBetween, Interval, RRule, Cron };
+
+// Export error class (defined in errors.js, shared with timezone.js)
+export { InvalidDateError };
 
 // Default export
 export default nano;
@@ -0,0 +1,492 @@
+/**
+ * NanoDate Interval Module
+ * Immutable start/end pairs with set operations, splitting and ISO 8601 intervals
+ *
+ * Endpoints are NanoDates (they keep their zone and locale); inclusivity uses
+ * the same flags as isBetween: '[)' (default), '[]', '()', '(]'
+ */
+
+import { InvalidDateError } from './errors.js';
+import { duration, between, Duration } from './duration.js';
+import { createRange } from './manipulate.js';
+import { globalConfig } from './config.js';
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+/**
+ * NanoDate factory placeholder (date arguments of queries)
+ */
+let nano;
+
+/**
+ * Initialize with factory
+ * @param {Function} factory - nano factory function
+ */
+export const initInterval = (factory) => {
+    nano = factory;
+};
+
+/**
+ * Default bounds: start included, end excluded (bookings, ISO 8601 intervals)
+ */
+const DEFAULT_BOUNDS = '[)';
+
+/**
+ * ISO 8601 duration designator at the start of an interval part
+ */
+const ISO_DURATION_PART = /^[+-]?P/i;
+
+/**
+ * ISO 8601 calendar date-time starting an interval (its fields complete an abbreviated end)
+ */
+const ISO_START = /^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.,]+(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+/**
+ * Abbreviated ISO 8601 interval end: "DD" or "MM-DD" (optionally with a time), or a time alone
+ */
+const ISO_SHORT_END = /^(?:(\d{2}(?:-\d{2})?)(?:T(.+))?|(\d{2}:[\d:.,]+(?:Z|[+-]\d{2}(?::?\d{2})?)?))$/i;
+
+/**
+ * Zone designator at the end of a time
+ */
+const ZONE_SUFFIX = /(?:Z|[+-]\d{2}(?::?\d{2})?)$/i;
+
+/**
+ * Complete an abbreviated ISO 8601 interval end from its start: missing leading
+ * fields (and the zone of a time) are taken from the start
+ * "2026-01-01T10:00Z/12:00" -> end "2026-01-01T12:00Z"; "2026-02-10/15" -> "2026-02-15"
+ * @private
+ */
+const expandEnd = (start, end) => {
+    const s = ISO_START.exec(start);
+    const e = s && ISO_SHORT_END.exec(end);
+    if (!e) return end;
+
+    const fields = e[1] ? e[1].split('-') : [];
+    const date = [s[1], s[2], s[3]].slice(0, 3 - fields.length).concat(fields).join('-');
+    const time = e[1] ? e[2] : e[3];
+    if (!time) return date;
+    return date + 'T' + time + (s[4] && !ZONE_SUFFIX.test(time) ? s[4] : '');
+};
+
+/**
+ * Check for a duration-like end (Duration, ISO duration string or components object)
+ * @private
+ */
+const isDurationInput = (value) =>
+    value instanceof Duration ||
+    (typeof value === 'string' && ISO_DURATION_PART.test(value)) ||
+    (typeof value === 'object' && value !== null && !value._d && !(value instanceof Date));
+
+/**
+ * Check that endpoints span a non-empty set
+ * @param {Object} p - { _s, _si, _e, _ei }
+ * @private
+ */
+const hasSpan = (p) => {
+    const s = p._s.valueOf();
+    const e = p._e.valueOf();
+    return s < e || (s === e && p._si && p._ei);
+};
+
+/**
+ * Endpoint pair with the later start (an excluded start is later on ties)
+ * @private
+ */
+const laterStart = (a, b) => {
+    const as = a._s.valueOf();
+    const bs = b._s.valueOf();
+    if (as !== bs) return as > bs ? a : b;
+    return a._si ? b : a;
+};
+
+/**
+ * Endpoint pair with the earlier end (an excluded end is earlier on ties)
+ * @private
+ */
+const earlierEnd = (a, b) => {
+    const ae = a._e.valueOf();
+    const be = b._e.valueOf();
+    if (ae !== be) return ae < be ? a : b;
+    return a._ei ? b : a;
+};
+
+/**
+ * Intersection of two endpoint pairs
+ * @returns {Interval|null} Interval, or null if empty
+ * @private
+ */
+const intersect = (a, b) => {
+    const s = laterStart(a, b);
+    const e = earlierEnd(a, b);
+    const p = { _s: s._s, _si: s._si, _e: e._e, _ei: e._ei };
+    return hasSpan(p) ? new Interval(p._s, p._e, bounds(p._si, p._ei)) : null;
+};
+
+/**
+ * Bounds string from inclusivity flags
+ * @private
+ */
+const bounds = (si, ei) => (si ? '[' : '(') + (ei ? ']' : ')');
+
+// ============================================
+// INTERVAL CLASS
+// ============================================
+
+/**
+ * Interval class for representing a span between two dates
+ * Immutable - every operation returns new intervals
+ */
+class Interval {
+    /**
+     * Create an Interval from two NanoDates
+     * Use nano.interval() for strings, durations and ISO 8601 intervals
+     * @param {NanoDate} start - Start date
+     * @param {NanoDate} end - End date
+     * @param {string} [inclusivity='[)'] - Bounds: '[)', '[]', '()', '(]'
+     */
+    constructor(start, end, inclusivity = DEFAULT_BOUNDS) {
+        this._s = start;
+        this._e = end;
+        this._si = inclusivity[0] === '[';
+        this._ei = inclusivity[1] === ']';
+    }
+
+    // ============================================
+    // GETTERS
+    // ============================================
+
+    /**
+     * Get start date
+     */
+    start() {
+        return this._s;
+    }
+
+    /**
+     * Get end date
+     */
+    end() {
+        return this._e;
+    }
+
+    /**
+     * Get bounds ('[)', '[]', '()', '(]')
+     */
+    bounds() {
+        return bounds(this._si, this._ei);
+    }
+
+    /**
+     * Check if the interval is valid (valid endpoints, end not before start)
+     */
+    isValid() {
+        return this._invalid !== true && this._s.isValid() && this._e.isValid() && this._e.valueOf() >= this._s.valueOf();
+    }
+
+    /**
+     * Check if the interval contains no instant (e.g. [a, a) or (a, a])
+     */
+    isEmpty() {
+        return !hasSpan(this);
+    }
+
+    /**
+     * Length in a unit (float by default)
+     * @param {string} [unit='millisecond'] - Unit
+     * @param {boolean} [precise=true] - Float result; false truncates toward zero
+     * @returns {number} Length
+     */
+    length(unit = 'millisecond', precise = true) {
+        return this._e.diff(this._s, unit, precise);
+    }
+
+    /**
+     * Duration of the interval
+     * @param {Object} [options] - durationBetween options ({ calendar: true } or { units })
+     * @returns {Duration} Exact duration, or calendar components with options
+     *
+     * @example
+     * nano.interval('2026-01-31/2026-03-01').toDuration({ calendar: true }).toISOString() // "P1M1D"
+     */
+    toDuration(options) {
+        return between(this._s, this._e, options);
+    }
+
+    // ============================================
+    // QUERIES
+    // ============================================
+
+    /**
+     * Check if a date (or a whole interval) lies in this interval
+     * @param {*} value - Date input or Interval
+     * @returns {boolean}
+     */
+    contains(value) {
+        if (value instanceof Interval) {
+            return hasSpan(value) && laterStart(this, value) === value && earlierEnd(this, value) === value;
+        }
+        const t = (value && value._d ? value : nano(value)).valueOf();
+        const s = this._s.valueOf();
+        const e = this._e.valueOf();
+        return (this._si ? t >= s : t > s) && (this._ei ? t <= e : t < e);
+    }
+
+    /**
+     * Check if the intervals share at least one instant
+     * @param {Interval} other - Other interval
+     * @returns {boolean}
+     */
+    overlaps(other) {
+        return intersect(this, other) !== null;
+    }
+
+    /**
+     * Check if the intervals touch end-to-start without overlapping
+     * @param {Interval} other - Other interval
+     * @returns {boolean}
+     */
+    abuts(other) {
+        return (this._e.valueOf() === other._s.valueOf() || other._e.valueOf() === this._s.valueOf()) &&
+            !this.overlaps(other);
+    }
+
+    /**
+     * Check if both intervals have the same endpoints and bounds
+     * @param {Interval} other - Other interval
+     * @returns {boolean}
+     */
+    equals(other) {
+        return this._s.valueOf() === other._s.valueOf() && this._e.valueOf() === other._e.valueOf() &&
+            this._si === other._si && this._ei === other._ei;
+    }
+
+    // ============================================
+    // SET OPERATIONS
+    // ============================================
+
+    /**
+     * Instants in both intervals
+     * @param {Interval} other - Other interval
+     * @returns {Interval|null} Intersection, or null if they do not overlap
+     */
+    intersection(other) {
+        return intersect(this, other);
+    }
+
+    /**
+     * Instants in either interval
+     * @param {Interval} other - Other interval
+     * @returns {Interval[]} One merged interval if they overlap or join without a gap, otherwise both (sorted)
+     */
+    union(other) {
+        const first = laterStart(this, other) === other ? this : other;
+        const second = first === this ? other : this;
+        const joined = first._e.valueOf() === second._s.valueOf() && (first._ei || second._si);
+
+        if (!intersect(first, second) && !joined) {
+            return [first, second];
+        }
+        const end = earlierEnd(first, second) === first ? second : first;
+        return [new Interval(first._s, end._e, bounds(first._si, end._ei))];
+    }
+
+    /**
+     * Instants in this interval but not in the other
+     * @param {Interval} other - Interval to remove
+     * @returns {Interval[]} Zero, one or two intervals (sorted)
+     */
+    difference(other) {
+        const before = intersect(this, { _s: this._s, _si: this._si, _e: other._s, _ei: !other._si });
+        const after = intersect(this, { _s: other._e, _si: !other._ei, _e: this._e, _ei: this._ei });
+        return [before, after].filter(Boolean);
+    }
+
+    // ============================================
+    // SPLITTING
+    // ============================================
+
+    /**
+     * Split into consecutive pieces of a duration (the last one may be shorter)
+     * Steps are added to the start (calendar-aware), so months do not drift
+     *
+     * @param {Duration|Object|string|number} step - Duration, components, ISO/compact string, or amount with unit
+     * @param {string} [unit] - Unit if step is a number
+     * @returns {Interval[]} Pieces
+     * @throws {RangeError} If the step is not positive
+     *
+     * @example
+     * nano.interval('2026-01-31/2026-05-01').splitBy({ months: 1 }) // Jan 31-Feb 28, Feb 28-Mar 31, Mar 31-Apr 30, Apr 30-May 1
+     */
+    splitBy(step, unit) {
+        const d = step instanceof Duration ? step : duration(step, unit);
+        const end = this._e.valueOf();
+        const pieces = [];
+        let from = this._s;
+        let si = this._si;
+
+        for (let i = 1; from.valueOf() < end; i++) {
+            const next = this._s.add(d.multiply(i));
+            if (next.valueOf() <= from.valueOf()) throw new RangeError('splitBy() needs a positive duration');
+            if (next.valueOf() >= end) break;
+            pieces.push(new Interval(from, next, bounds(si, false)));
+            from = next;
+            si = true;
+        }
+        pieces.push(new Interval(from, this._e, bounds(si, this._ei)));
+        return pieces;
+    }
+
+    /**
+     * Split into n pieces of equal exact length
+     * @param {number} n - Number of pieces
+     * @returns {Interval[]} Pieces
+     * @throws {RangeError} If n is not a positive integer
+     */
+    divideEqually(n) {
+        if (!Number.isInteger(n) || n < 1) throw new RangeError('divideEqually() needs a positive integer');
+        const length = this._e.valueOf() - this._s.valueOf();
+        const pieces = [];
+        let from = this._s;
+
+        for (let i = 1; i <= n; i++) {
+            const to = i === n ? this._e : this._s.add(Math.round(length * i / n), 'millisecond');
+            pieces.push(new Interval(from, to, bounds(i === 1 ? this._si : true, i === n ? this._ei : false)));
+            from = to;
+        }
+        return pieces;
+    }
+
+    // ============================================
+    // ITERATION
+    // ============================================
+
+    /**
+     * Lazily iterate the dates in the interval by a step (bounds decide whether
+     * start and end themselves are yielded); an invalid interval yields nothing
+     *
+     * @param {Duration|Object|string|number} [step=1] - Duration, components, ISO/compact string, or amount with unit
+     * @param {string} [unit='day'] - Unit if step is a number
+     * @returns {Generator<NanoDate>} Dates
+     * @throws {RangeError} If the step is not positive
+     *
+     * @example
+     * [...nano.interval('2026-01-01/2026-01-01T02:00').iterate(30, 'minutes')] // 00:00, 00:30, 01:00, 01:30
+     * for (const day of nano.interval('2026-03-01/P1W')) { ... }            // 7 days
+     */
+    *iterate(step = 1, unit = 'day') {
+        if (!this.isValid()) return;
+        const d = step instanceof Duration ? step : duration(step, unit);
+        if (this._s.add(d).valueOf() <= this._s.valueOf()) throw new RangeError('iterate() needs a positive duration');
+
+        const dates = createRange(nano, globalConfig, this._s, this._e, { unit: d, inclusive: this._ei });
+        if (!this._si) dates.next();
+        yield* dates;
+    }
+
+    /**
+     * Iterate the days of the interval (iterate(1, 'day'))
+     */
+    [Symbol.iterator]() {
+        return this.iterate();
+    }
+
+    // ============================================
+    // FORMATTING
+    // ============================================
+
+    /**
+     * Format as ISO 8601 interval ("start/end" in UTC)
+     * @returns {string} ISO interval string
+     */
+    toISOString() {
+        return this._s.toISOString() + '/' + this._e.toISOString();
+    }
+
+    /**
+     * Format both endpoints with a pattern
+     * @param {string} pattern - Date format pattern
+     * @param {string} [separator=' – '] - Text between the endpoints
+     * @returns {string} Formatted string
+     */
+    format(pattern, separator = ' – ') {
+        return this._s.format(pattern) + separator + this._e.format(pattern);
+    }
+
+    /**
+     * String representation
+     */
+    toString() {
+        return this.toISOString();
+    }
+
+    /**
+     * JSON representation
+     */
+    toJSON() {
+        return this.toISOString();
+    }
+}
+
+// ============================================
+// FACTORY FUNCTIONS
+// ============================================
+
+/**
+ * Create an interval
+ *
+ * Accepts two dates, a date and a duration (either side), or one ISO 8601
+ * interval string: "2026-01-01/2026-02-01", "2026-01-01/P1M", "P1M/2026-02-01".
+ * The end of a string may be abbreviated ("2026-01-01T10:00Z/12:00",
+ * "2026-02-10/15"): missing leading fields come from the start.
+ * An end before the start, or an unreadable string, gives an invalid interval
+ * (isValid() false) - or throws in strict mode.
+ *
+ * @param {Function} factory - nano factory of the scope (parses endpoints)
+ * @param {Object} cfg - Configuration (strict flag)
+ * @param {*} start - Start date, duration or ISO interval string
+ * @param {*} [end] - End date or duration
+ * @param {string} [inclusivity='[)'] - Bounds: '[)', '[]', '()', '(]'
+ * @returns {Interval} Interval
+ * @throws {InvalidDateError} In strict mode for invalid intervals
+ */
+export const createInterval = (factory, cfg, start, end, inclusivity = DEFAULT_BOUNDS) => {
+    const input = end === undefined ? start : start + '/' + end;
+
+    if (end === undefined || (typeof end === 'string' && end.length === 2 && '[('.includes(end[0]))) {
+        if (end !== undefined) inclusivity = end;
+        const parts = typeof start === 'string' ? start.split('/') : [];
+        if (parts.length !== 2 || (isDurationInput(parts[0]) && isDurationInput(parts[1]))) {
+            if (cfg.strict) {
+                throw new InvalidDateError(start, { reason: 'unparseable', field: 'interval', format: 'start/end', position: 0 });
+            }
+            const invalid = new Interval(factory(NaN), factory(NaN), inclusivity);
+            invalid._invalid = true;
+            return invalid;
+        }
+        [start, end] = parts;
+        end = expandEnd(start, end);
+    }
+
+    const toDate = (value) => value && value._d ? value : factory(value);
+    let s;
+    let e;
+    if (isDurationInput(start)) {
+        e = toDate(end);
+        s = e.subtract(start instanceof Duration ? start : duration(start));
+    } else {
+        s = toDate(start);
+        e = isDurationInput(end) ? s.add(end instanceof Duration ? end : duration(end)) : toDate(end);
+    }
+
+    const interval = new Interval(s, e, inclusivity);
+    if (cfg.strict && !interval.isValid()) {
+        throw new InvalidDateError(input, { reason: 'out-of-range', field: 'end' });
+    }
+    return interval;
+};
+
+// Export Interval class for instanceof checks
+export { Interval };
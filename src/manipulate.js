@@ -9,24 +9,234 @@
  * - Inline calculations
  * - Batch mode for chained operations (avoids Proxy overhead)
  * - Raw mode for direct timestamp manipulation
+ * - Zoned instances do calendar math on wall-clock time (DST-safe)
  */
 
 import {
     MS_PER_SECOND, MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY, MS_PER_WEEK,
     UNIT_MAP, normalizeUnit, getDaysInMonth, isLeapYear, DAYS_IN_MONTH
 } from './constants.js';
+import { getZone, toWall, fromWall } from './timezone.js';
+import { InvalidDateError } from './errors.js';
 
 /**
- * NanoDate factory placeholder
+ * NanoDate factory placeholders
  */
 let nano;
+let derive;
 
 /**
  * Initialize with factory
  * @param {Function} factory - nano factory function
+ * @param {Function} deriveFn - Creates a NanoDate inheriting context settings
  */
-export const init = (factory) => {
+export const init = (factory, deriveFn) => {
     nano = factory;
+    derive = deriveFn;
+};
+
+// ============================================
+// ZONED MODE
+// ============================================
+
+/**
+ * Remainder that stays positive for pre-1970 timestamps
+ * @private
+ */
+const mod = (a, b) => ((a % b) + b) % b;
+
+/**
+ * Add time to a timestamp in a zone (host local time if zone is omitted)
+ * Clock units (hour and below) move the instant, calendar units move the
+ * wall clock - "+1 day" keeps the time of day across DST transitions;
+ * a fraction of a day is exact time (+1.5 days = +1 day, then +12 hours)
+ */
+export const addZoned = (ts, value, u, zone) => {
+    switch (u) {
+        case 'millisecond': return ts + value;
+        case 'second': return ts + value * MS_PER_SECOND;
+        case 'minute': return ts + value * MS_PER_MINUTE;
+        case 'hour': return ts + value * MS_PER_HOUR;
+    }
+
+    const w = new Date(toWall(ts, zone));
+
+    switch (u) {
+        case 'day':
+        case 'week': {
+            const days = u === 'week' ? value * 7 : value;
+            const whole = Math.trunc(days);
+            w.setUTCDate(w.getUTCDate() + whole);
+            return fromWall(w.getTime(), zone) + (days - whole) * MS_PER_DAY;
+        }
+        case 'year':
+        case 'quarter':
+        case 'month': {
+            // Years and quarters are months, so Feb 29 + 1 year = Feb 28 as with { years: 1 }
+            const dayOfMonth = w.getUTCDate();
+            w.setUTCMonth(w.getUTCMonth() + value * (u === 'year' ? 12 : u === 'quarter' ? 3 : 1), 1);
+            w.setUTCDate(Math.min(dayOfMonth, getDaysInMonth(w.getUTCFullYear(), w.getUTCMonth())));
+            break;
+        }
+        default:
+            return ts;
+    }
+
+    return fromWall(w.getTime(), zone);
+};
+
+/**
+ * Add duration components to a timestamp
+ * Calendar units first on the wall clock - years and months together with
+ * month-end clamping (Jan 31 + 1M = Feb 28), then weeks and days - and
+ * clock units last on the instant
+ * 
+ * @param {number} ts - Timestamp
+ * @param {Object} c - { years, months, weeks, days, hours, minutes, seconds, milliseconds } (all optional)
+ * @param {string} [zone] - IANA timezone (host local time if omitted)
+ * @param {number} [sign=1] - -1 to subtract
+ * @returns {number} New timestamp
+ */
+export const addComponents = (ts, c, zone, sign = 1) => {
+    const months = ((c.years || 0) * 12 + (c.months || 0)) * sign;
+    const days = ((c.weeks || 0) * 7 + (c.days || 0)) * sign;
+    if (months) ts = addZoned(ts, months, 'month', zone);
+    if (days) ts = addZoned(ts, days, 'day', zone);
+    return ts + sign * (
+        (c.hours || 0) * MS_PER_HOUR +
+        (c.minutes || 0) * MS_PER_MINUTE +
+        (c.seconds || 0) * MS_PER_SECOND +
+        (c.milliseconds || 0)
+    );
+};
+
+/**
+ * Check for a Duration (without importing duration.js, which depends on this module)
+ * @private
+ */
+const isDuration = (value) => typeof value.asMilliseconds === 'function';
+
+/**
+ * Check for a component key of a plain duration object (unit aliases; not isoWeek)
+ * @private
+ */
+const isComponentKey = (key) => Object.prototype.hasOwnProperty.call(UNIT_MAP, key) && UNIT_MAP[key] !== 'isoWeek';
+
+/**
+ * Components of a Duration or a plain { months: 1, days: 2 } object
+ * Unit aliases are accepted (M, d, hour, ...); quarters count as 3 months
+ * @throws {RangeError} For other objects (a NanoDate or Date, unknown keys like { foo: 1 })
+ * @private
+ */
+const componentsOf = (value) => {
+    if (isDuration(value)) return value.toObject();
+    if (value._d || value instanceof Date) throw new RangeError('Invalid duration: got a date, expected a Duration or components');
+    const keys = Object.keys(value);
+    const unknown = keys.filter((key) => !isComponentKey(key));
+    if (unknown.length) throw new RangeError('Invalid duration unit: ' + unknown.join(', '));
+    const c = {};
+    for (const key of keys) {
+        const u = normalizeUnit(key);
+        const name = u === 'quarter' ? 'months' : u + 's';
+        c[name] = (c[name] || 0) + (u === 'quarter' ? value[key] * 3 : value[key]);
+    }
+    return c;
+};
+
+/**
+ * Check for a Duration / components object instead of (value, unit)
+ * @private
+ */
+const isDurationLike = (value) => typeof value === 'object' && value !== null;
+
+/**
+ * Start of unit for a timestamp in a zone
+ * Sub-day units truncate the instant, so repeated DST hours stay distinct
+ * @private
+ */
+const startOfZoned = (ts, u, zone) => {
+    const wall = toWall(ts, zone);
+
+    switch (u) {
+        case 'hour': return ts - mod(wall, MS_PER_HOUR);
+        case 'minute': return ts - mod(wall, MS_PER_MINUTE);
+        case 'second': return ts - mod(wall, MS_PER_SECOND);
+    }
+
+    const w = new Date(wall);
+
+    switch (u) {
+        case 'year':
+            w.setUTCMonth(0, 1);
+            break;
+        case 'quarter':
+            w.setUTCMonth(Math.floor(w.getUTCMonth() / 3) * 3, 1);
+            break;
+        case 'month':
+            w.setUTCDate(1);
+            break;
+        case 'week':
+            w.setUTCDate(w.getUTCDate() - w.getUTCDay());
+            break;
+        case 'isoWeek': {
+            const day = w.getUTCDay();
+            w.setUTCDate(w.getUTCDate() + (day === 0 ? -6 : 1 - day));
+            break;
+        }
+        case 'day':
+            break;
+        default:
+            return ts;
+    }
+
+    w.setUTCHours(0, 0, 0, 0);
+    return fromWall(w.getTime(), zone);
+};
+
+/**
+ * End of unit for a timestamp in a zone (start of next unit - 1ms)
+ * @private
+ */
+const endOfZoned = (ts, u, zone) => {
+    const start = startOfZoned(ts, u, zone);
+
+    switch (u) {
+        case 'quarter':
+            return addZoned(start, 3, 'month', zone) - 1;
+        case 'isoWeek':
+            return addZoned(start, 1, 'week', zone) - 1;
+        case 'year':
+        case 'month':
+        case 'week':
+        case 'day':
+        case 'hour':
+        case 'minute':
+        case 'second':
+            return addZoned(start, 1, u, zone) - 1;
+        default:
+            return ts;
+    }
+};
+
+/**
+ * Set a wall-clock field for a timestamp in a zone
+ * @private
+ */
+const setZoned = (ts, u, value, zone) => {
+    const w = new Date(toWall(ts, zone));
+
+    switch (u) {
+        case 'year': w.setUTCFullYear(value); break;
+        case 'month': w.setUTCMonth(value); break;
+        case 'day': w.setUTCDate(value); break;
+        case 'hour': w.setUTCHours(value); break;
+        case 'minute': w.setUTCMinutes(value); break;
+        case 'second': w.setUTCSeconds(value); break;
+        case 'millisecond': w.setUTCMilliseconds(value); break;
+        default: return ts;
+    }
+
+    return fromWall(w.getTime(), zone);
 };
 
 // ============================================
@@ -38,19 +248,32 @@ export const init = (factory) => {
  * Avoids creating new Proxy objects for each operation
  */
 class BatchContext {
-    constructor(date, locale) {
-        this._d = new Date(date.getTime());
-        this._l = locale;
+    constructor(ctx) {
+        this._d = new Date(ctx._d.getTime());
+        this._l = ctx._l;
+        this._z = getZone(ctx);
+        this._ctx = ctx;
         this._batch = true;
     }
 
     /**
      * Add time (mutates internal date)
+     * Accepts (value, unit) or a Duration / { months, days, ... } object
      */
     add(value, unit) {
+        if (isDurationLike(value)) {
+            this._d.setTime(addComponents(this._d.getTime(), componentsOf(value), this._z));
+            return this;
+        }
+
         const u = normalizeUnit(unit);
         const timestamp = this._d.getTime();
 
+        if (this._z) {
+            this._d.setTime(addZoned(timestamp, value, u, this._z));
+            return this;
+        }
+
         switch (u) {
             case 'millisecond':
                 this._d.setTime(timestamp + value);
@@ -64,23 +287,9 @@ class BatchContext {
             case 'hour':
                 this._d.setTime(timestamp + value * MS_PER_HOUR);
                 break;
-            case 'day':
-                this._d.setTime(timestamp + value * MS_PER_DAY);
-                break;
-            case 'week':
-                this._d.setTime(timestamp + value * MS_PER_WEEK);
-                break;
-            case 'year':
-                this._d.setFullYear(this._d.getFullYear() + value);
-                break;
-            case 'month': {
-                const targetMonth = this._d.getMonth() + value;
-                const dayOfMonth = this._d.getDate();
-                this._d.setMonth(targetMonth, 1);
-                const maxDays = getDaysInMonth(this._d.getFullYear(), this._d.getMonth());
-                this._d.setDate(Math.min(dayOfMonth, maxDays));
-                break;
-            }
+            default:
+                // Calendar units on the local wall clock (DST days are 23/25h, month ends clamp)
+                this._d.setTime(addZoned(timestamp, value, u));
         }
         return this;
     }
@@ -89,6 +298,10 @@ class BatchContext {
      * Subtract time (mutates internal date)
      */
     subtract(value, unit) {
+        if (isDurationLike(value)) {
+            this._d.setTime(addComponents(this._d.getTime(), componentsOf(value), this._z, -1));
+            return this;
+        }
         return this.add(-value, unit);
     }
 
@@ -99,6 +312,11 @@ class BatchContext {
         const u = normalizeUnit(unit);
         const d = this._d;
 
+        if (this._z) {
+            d.setTime(startOfZoned(d.getTime(), u, this._z));
+            return this;
+        }
+
         switch (u) {
             case 'year':
                 d.setMonth(0, 1);
@@ -150,6 +368,11 @@ class BatchContext {
         const u = normalizeUnit(unit);
         const d = this._d;
 
+        if (this._z) {
+            d.setTime(endOfZoned(d.getTime(), u, this._z));
+            return this;
+        }
+
         switch (u) {
             case 'year':
                 d.setMonth(11, 31);
@@ -197,6 +420,11 @@ class BatchContext {
         const u = normalizeUnit(unit);
         const d = this._d;
 
+        if (this._z) {
+            d.setTime(setZoned(d.getTime(), u, value, this._z));
+            return this;
+        }
+
         switch (u) {
             case 'year': d.setFullYear(value); break;
             case 'month': d.setMonth(value); break;
@@ -213,7 +441,7 @@ class BatchContext {
      * Finalize batch and return NanoDate
      */
     done() {
-        return nano(this._d, this._l);
+        return derive(this._ctx, new Date(this._d.getTime()));
     }
 
     /**
@@ -243,7 +471,7 @@ class BatchContext {
  * // Use: nano().batch().add(1, 'day').add(2, 'hours').startOf('hour').done()
  */
 export const batch = (ctx) => {
-    return new BatchContext(ctx._d, ctx._l);
+    return new BatchContext(ctx);
 };
 
 // ============================================
@@ -262,22 +490,7 @@ const addToTimestamp = (ts, value, unit) => {
         case 'second': return ts + value * MS_PER_SECOND;
         case 'minute': return ts + value * MS_PER_MINUTE;
         case 'hour': return ts + value * MS_PER_HOUR;
-        case 'day': return ts + value * MS_PER_DAY;
-        case 'week': return ts + value * MS_PER_WEEK;
-        case 'year': {
-            const d = new Date(ts);
-            d.setFullYear(d.getFullYear() + value);
-            return d.getTime();
-        }
-        case 'month': {
-            const d = new Date(ts);
-            const dayOfMonth = d.getDate();
-            d.setMonth(d.getMonth() + value, 1);
-            const maxDays = getDaysInMonth(d.getFullYear(), d.getMonth());
-            d.setDate(Math.min(dayOfMonth, maxDays));
-            return d.getTime();
-        }
-        default: return ts;
+        default: return addZoned(ts, value, u);
     }
 };
 
@@ -292,7 +505,8 @@ const addToTimestamp = (ts, value, unit) => {
  */
 const ChainBuilder = {
     _ts: 0,
-    _l: null,
+    _z: undefined,
+    _ctx: null,
 
     /**
      * Initialize builder with context
@@ -301,30 +515,40 @@ const ChainBuilder = {
      */
     _init(ctx) {
         this._ts = ctx._d.getTime();
-        this._l = ctx._l;
+        this._z = getZone(ctx);
+        this._ctx = ctx;
         return this;
     },
 
     /**
      * Add time to timestamp
-     * @param {number} value - Amount to add
-     * @param {string} unit - Time unit
+     * @param {number|Object} value - Amount to add, or a Duration / { months, days, ... } object
+     * @param {string} [unit] - Time unit
      * @returns {ChainBuilder} this for chaining
      */
     add(value, unit) {
-        this._ts = addToTimestamp(this._ts, value, unit);
+        if (isDurationLike(value)) {
+            this._ts = addComponents(this._ts, componentsOf(value), this._z);
+            return this;
+        }
+        this._ts = this._z
+            ? addZoned(this._ts, value, normalizeUnit(unit), this._z)
+            : addToTimestamp(this._ts, value, unit);
         return this;
     },
 
     /**
      * Subtract time from timestamp
-     * @param {number} value - Amount to subtract
-     * @param {string} unit - Time unit
+     * @param {number|Object} value - Amount to subtract, or a Duration / { months, days, ... } object
+     * @param {string} [unit] - Time unit
      * @returns {ChainBuilder} this for chaining
      */
     subtract(value, unit) {
-        this._ts = addToTimestamp(this._ts, -value, unit);
-        return this;
+        if (isDurationLike(value)) {
+            this._ts = addComponents(this._ts, componentsOf(value), this._z, -1);
+            return this;
+        }
+        return this.add(-value, unit);
     },
 
     /**
@@ -332,7 +556,7 @@ const ChainBuilder = {
      * @returns {Proxy} NanoDate instance
      */
     value() {
-        return nano(this._ts, this._l);
+        return derive(this._ctx, new Date(this._ts));
     },
 
     /**
@@ -387,6 +611,77 @@ const ChainBuilder = {
  */
 export const chain = (ctx) => ChainBuilder._init(ctx);
 
+// ============================================
+// RANGE ITERATION
+// ============================================
+
+/**
+ * Calendar units stepped as months, so month ends clamp (Feb 29 + 1 year = Feb 28)
+ * @private
+ */
+const RANGE_MONTHS = { year: 12, quarter: 3, month: 1 };
+
+/**
+ * Lazily iterate dates from start toward end
+ * 
+ * Each date is computed from start (start + i * step), so month-end clamping
+ * does not drift (Jan 31, Feb 28, Mar 31, ...). Calendar units move the wall
+ * clock in the zone of start (DST keeps the time of day), clock units move
+ * the instant - the same arithmetic as chain() and raw.
+ * An invalid start or end yields nothing (strict mode throws).
+ * 
+ * @param {Function} factory - nano factory of the scope (parses start/end)
+ * @param {Object} cfg - Configuration (strict flag)
+ * @param {*} start - Start date (a NanoDate keeps its zone and locale)
+ * @param {*} [end] - End date (null/undefined: unbounded)
+ * @param {Object} [options]
+ * @param {number} [options.step=1] - Units per step (negative to go backwards)
+ * @param {string|Object} [options.unit='day'] - Unit, or a Duration / { months, days, ... } object
+ * @param {boolean} [options.inclusive=false] - Yield end itself when a step lands on it
+ * @param {boolean} [options.raw=false] - Yield timestamps instead of NanoDates
+ * @returns {Generator} Dates (or timestamps)
+ * @throws {RangeError} If the step does not move the date
+ * @throws {InvalidDateError} In strict mode for an invalid start or end
+ * 
+ * @example
+ * [...createRange(nano, globalConfig, '2026-01-31', '2026-05-01', { unit: 'month' })] // Jan 31, Feb 28, Mar 31, Apr 30
+ */
+export function* createRange(factory, cfg, start, end, { step = 1, unit = 'day', inclusive = false, raw = false } = {}) {
+    const s = start && start._d ? start : factory(start);
+    const e = end == null ? null : end._d ? end : factory(end);
+    const from = s._d.getTime();
+    const to = e && e._d.getTime();
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        if (cfg.strict) throw new InvalidDateError(Number.isNaN(from) ? start : end, { field: Number.isNaN(from) ? 'start' : 'end' });
+        return;
+    }
+    const zone = getZone(s);
+
+    let at;
+    if (isDurationLike(unit)) {
+        const c = componentsOf(unit);
+        at = (i) => addComponents(from, c, zone, i * step);
+    } else {
+        const u = normalizeUnit(unit);
+        const months = RANGE_MONTHS[u];
+        at = months
+            ? (i) => addZoned(from, i * step * months, 'month', zone)
+            : (i) => addZoned(from, i * step, u, zone);
+    }
+
+    const dir = Math.sign(at(1) - from);
+    if (!dir) throw new RangeError('range() step must move the date');
+
+    for (let i = 0; ; i++) {
+        const ts = i ? at(i) : from;
+        if (to !== null) {
+            const past = (ts - to) * dir;
+            if (past > 0 || (past === 0 && !inclusive)) return;
+        }
+        yield raw ? ts : derive(s, new Date(ts));
+    }
+}
+
 // ============================================
 // RAW TIMESTAMP OPERATIONS
 // ============================================
@@ -474,57 +769,59 @@ export const raw = {
  * Add time to a date (immutable)
  * Optimized with timestamp arithmetic for time units
  * 
+ * A Duration or { months: 1, days: 2 } object applies calendar units first
+ * (years/months clamped to month end, then weeks/days), clock units last
+ * 
  * @param {Object} ctx - NanoDate context
- * @param {number} value - Amount to add
- * @param {string} unit - Unit (year, month, week, day, hour, minute, second, millisecond)
+ * @param {number|Object} value - Amount to add, or a Duration / components object
+ * @param {string} [unit] - Unit (year, month, week, day, hour, minute, second, millisecond)
  * @returns {Proxy} New NanoDate instance
+ * 
+ * @example
+ * add(ctx, 1, 'month')
+ * add(ctx, duration('P1M2DT3H'))       // Jan 31 10:00 -> Mar 2 13:00
+ * add(ctx, { months: 1, days: 2 })
  */
 export const add = (ctx, value, unit) => {
+    if (isDurationLike(value)) {
+        return derive(ctx, new Date(addComponents(ctx._d.getTime(), componentsOf(value), getZone(ctx))));
+    }
+
     const u = normalizeUnit(unit);
     const timestamp = ctx._d.getTime();
+    const zone = getZone(ctx);
+
+    if (zone) {
+        return derive(ctx, new Date(addZoned(timestamp, value, u, zone)));
+    }
 
     // Fast path: time-based units use pure timestamp arithmetic
     switch (u) {
         case 'millisecond':
-            return nano(new Date(timestamp + value), ctx._l);
+            return derive(ctx, new Date(timestamp + value));
         case 'second':
-            return nano(new Date(timestamp + value * MS_PER_SECOND), ctx._l);
+            return derive(ctx, new Date(timestamp + value * MS_PER_SECOND));
         case 'minute':
-            return nano(new Date(timestamp + value * MS_PER_MINUTE), ctx._l);
+            return derive(ctx, new Date(timestamp + value * MS_PER_MINUTE));
         case 'hour':
-            return nano(new Date(timestamp + value * MS_PER_HOUR), ctx._l);
-        case 'day':
-            return nano(new Date(timestamp + value * MS_PER_DAY), ctx._l);
-        case 'week':
-            return nano(new Date(timestamp + value * MS_PER_WEEK), ctx._l);
-    }
-
-    // Calendar-based units need Date object manipulation
-    const d = new Date(timestamp);
-
-    switch (u) {
-        case 'year':
-            d.setFullYear(d.getFullYear() + value);
-            break;
-        case 'month': {
-            const targetMonth = d.getMonth() + value;
-            const dayOfMonth = d.getDate();
-            d.setMonth(targetMonth, 1);
-            // Clamp to days in target month
-            const maxDays = getDaysInMonth(d.getFullYear(), d.getMonth());
-            d.setDate(Math.min(dayOfMonth, maxDays));
-            break;
-        }
+            return derive(ctx, new Date(timestamp + value * MS_PER_HOUR));
     }
 
-    return nano(d, ctx._l);
+    // Calendar units on the local wall clock, like add({ days }) and zoned instances
+    return derive(ctx, new Date(addZoned(timestamp, value, u)));
 };
 
 /**
  * Subtract time from a date (immutable)
- * Simply delegates to add with negated value
+ * Delegates to add with negated value; a Duration is applied with negated
+ * components in the same order (calendar units first)
  */
-export const subtract = (ctx, value, unit) => add(ctx, -value, unit);
+export const subtract = (ctx, value, unit) => {
+    if (isDurationLike(value)) {
+        return derive(ctx, new Date(addComponents(ctx._d.getTime(), componentsOf(value), getZone(ctx), -1)));
+    }
+    return add(ctx, -value, unit);
+};
 
 /**
  * Pre-computed start-of-day offset for common operations
@@ -542,45 +839,50 @@ const START_OF_DAY = [0, 0, 0, 0]; // hours, minutes, seconds, ms
 export const startOf = (ctx, unit) => {
     const u = normalizeUnit(unit);
     const d = ctx._d;
+    const zone = getZone(ctx);
+
+    if (zone) {
+        return derive(ctx, new Date(startOfZoned(d.getTime(), u, zone)));
+    }
 
     switch (u) {
         case 'year':
-            return nano(new Date(d.getFullYear(), 0, 1, 0, 0, 0, 0), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), 0, 1, 0, 0, 0, 0));
         case 'quarter': {
             // Q1: 0-2, Q2: 3-5, Q3: 6-8, Q4: 9-11
             const quarterMonth = Math.floor(d.getMonth() / 3) * 3;
-            return nano(new Date(d.getFullYear(), quarterMonth, 1, 0, 0, 0, 0), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), quarterMonth, 1, 0, 0, 0, 0));
         }
         case 'month':
-            return nano(new Date(d.getFullYear(), d.getMonth(), 1, 0, 0, 0, 0), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), d.getMonth(), 1, 0, 0, 0, 0));
         case 'week': {
             const day = d.getDay();
             const newDate = new Date(d.getFullYear(), d.getMonth(), d.getDate() - day, 0, 0, 0, 0);
-            return nano(newDate, ctx._l);
+            return derive(ctx, newDate);
         }
         case 'isoWeek': {
             // ISO week: Pazartesi başlangıç
             const day = d.getDay();
             const diff = day === 0 ? -6 : 1 - day; // Pazartesi'ye git
             const newDate = new Date(d.getFullYear(), d.getMonth(), d.getDate() + diff, 0, 0, 0, 0);
-            return nano(newDate, ctx._l);
+            return derive(ctx, newDate);
         }
         case 'day':
-            return nano(new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0));
         case 'hour': {
             const ts = d.getTime();
-            return nano(new Date(ts - (ts % MS_PER_HOUR)), ctx._l);
+            return derive(ctx, new Date(ts - (ts % MS_PER_HOUR)));
         }
         case 'minute': {
             const ts = d.getTime();
-            return nano(new Date(ts - (ts % MS_PER_MINUTE)), ctx._l);
+            return derive(ctx, new Date(ts - (ts % MS_PER_MINUTE)));
         }
         case 'second': {
             const ts = d.getTime();
-            return nano(new Date(ts - (ts % MS_PER_SECOND)), ctx._l);
+            return derive(ctx, new Date(ts - (ts % MS_PER_SECOND)));
         }
         default:
-            return nano(new Date(d.getTime()), ctx._l);
+            return derive(ctx, new Date(d.getTime()));
     }
 };
 
@@ -595,47 +897,52 @@ export const startOf = (ctx, unit) => {
 export const endOf = (ctx, unit) => {
     const u = normalizeUnit(unit);
     const d = ctx._d;
+    const zone = getZone(ctx);
+
+    if (zone) {
+        return derive(ctx, new Date(endOfZoned(d.getTime(), u, zone)));
+    }
 
     switch (u) {
         case 'year':
-            return nano(new Date(d.getFullYear(), 11, 31, 23, 59, 59, 999), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), 11, 31, 23, 59, 59, 999));
         case 'quarter': {
             // Q1: Mart 31, Q2: Haziran 30, Q3: Eylül 30, Q4: Aralık 31
             const quarterEndMonth = Math.floor(d.getMonth() / 3) * 3 + 2;
             const lastDay = getDaysInMonth(d.getFullYear(), quarterEndMonth);
-            return nano(new Date(d.getFullYear(), quarterEndMonth, lastDay, 23, 59, 59, 999), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), quarterEndMonth, lastDay, 23, 59, 59, 999));
         }
         case 'month': {
             // Get last day of month using day 0 of next month
             const lastDay = getDaysInMonth(d.getFullYear(), d.getMonth());
-            return nano(new Date(d.getFullYear(), d.getMonth(), lastDay, 23, 59, 59, 999), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), d.getMonth(), lastDay, 23, 59, 59, 999));
         }
         case 'week': {
             const day = d.getDay();
-            return nano(new Date(d.getFullYear(), d.getMonth(), d.getDate() + (6 - day), 23, 59, 59, 999), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), d.getMonth(), d.getDate() + (6 - day), 23, 59, 59, 999));
         }
         case 'isoWeek': {
             // ISO week: Pazar sonu
             const day = d.getDay();
             const diff = day === 0 ? 0 : 7 - day; // Pazar'a git
-            return nano(new Date(d.getFullYear(), d.getMonth(), d.getDate() + diff, 23, 59, 59, 999), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), d.getMonth(), d.getDate() + diff, 23, 59, 59, 999));
         }
         case 'day':
-            return nano(new Date(d.getFullYear(), d.getMonth(), d.getDate(), 23, 59, 59, 999), ctx._l);
+            return derive(ctx, new Date(d.getFullYear(), d.getMonth(), d.getDate(), 23, 59, 59, 999));
         case 'hour': {
             const ts = d.getTime();
-            return nano(new Date(ts - (ts % MS_PER_HOUR) + MS_PER_HOUR - 1), ctx._l);
+            return derive(ctx, new Date(ts - (ts % MS_PER_HOUR) + MS_PER_HOUR - 1));
         }
         case 'minute': {
             const ts = d.getTime();
-            return nano(new Date(ts - (ts % MS_PER_MINUTE) + MS_PER_MINUTE - 1), ctx._l);
+            return derive(ctx, new Date(ts - (ts % MS_PER_MINUTE) + MS_PER_MINUTE - 1));
         }
         case 'second': {
             const ts = d.getTime();
-            return nano(new Date(ts - (ts % MS_PER_SECOND) + MS_PER_SECOND - 1), ctx._l);
+            return derive(ctx, new Date(ts - (ts % MS_PER_SECOND) + MS_PER_SECOND - 1));
         }
         default:
-            return nano(new Date(d.getTime()), ctx._l);
+            return derive(ctx, new Date(d.getTime()));
     }
 };
 
@@ -649,8 +956,14 @@ export const endOf = (ctx, unit) => {
  * @returns {Proxy} New NanoDate instance
  */
 export const set = (ctx, unit, value) => {
-    const d = new Date(ctx._d.getTime());
     const u = normalizeUnit(unit);
+    const zone = getZone(ctx);
+
+    if (zone) {
+        return derive(ctx, new Date(setZoned(ctx._d.getTime(), u, value, zone)));
+    }
+
+    const d = new Date(ctx._d.getTime());
 
     switch (u) {
         case 'year':
@@ -676,7 +989,7 @@ export const set = (ctx, unit, value) => {
             break;
     }
 
-    return nano(d, ctx._l);
+    return derive(ctx, d);
 };
 
 export default { add, subtract, startOf, endOf, set, batch, chain, raw };
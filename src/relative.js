@@ -7,6 +7,7 @@ import {
     MS_PER_SECOND, MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY, MS_PER_WEEK,
     MS_PER_MONTH, MS_PER_YEAR
 } from './constants.js';
+import { getLocale } from './config.js';
 
 /**
  * RelativeTimeFormat cache for performance
@@ -58,11 +59,6 @@ const UNITS = [
     { unit: 'year', ms: MS_PER_YEAR, max: Infinity }
 ];
 
-/**
- * Get default locale
- */
-const getLocale = (ctx) => ctx._l || 'en';
-
 /**
  * Format relative time from now
  * 
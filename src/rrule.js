@@ -0,0 +1,792 @@
+/**
+ * NanoDate Recurrence Module
+ * RFC 5545 recurrence rules (RRULE with DTSTART, EXDATE and RDATE):
+ * parsing, lazy expansion and serialization
+ *
+ * Occurrences are computed on the wall clock of DTSTART's zone (a zoned
+ * NanoDate from toTz() or a TZID), so "every day at 09:00" stays at 09:00
+ * across DST; times skipped by DST move forward by the gap (see fromWall)
+ */
+
+import { InvalidDateError } from './errors.js';
+import { getZone, toWall, fromWall } from './timezone.js';
+import { MS_PER_SECOND, MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY } from './constants.js';
+
+// ============================================
+// RULE PARTS
+// ============================================
+
+/**
+ * NanoDate factory placeholder (date arguments of queries)
+ */
+let nano;
+
+/**
+ * Derive placeholder (occurrences keep DTSTART's zone and locale)
+ */
+let derive;
+
+/**
+ * Initialize with factory
+ * @param {Function} factory - nano factory function
+ * @param {Function} deriveFn - Creates a NanoDate inheriting context settings
+ */
+export const initRRule = (factory, deriveFn) => {
+    nano = factory;
+    derive = deriveFn;
+};
+
+/**
+ * FREQ values, largest period first (index compared internally)
+ */
+const FREQUENCIES = ['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY', 'HOURLY', 'MINUTELY', 'SECONDLY'];
+const [YEARLY, MONTHLY, WEEKLY, DAILY, HOURLY, MINUTELY, SECONDLY] = FREQUENCIES.keys();
+
+/**
+ * Period length of the sub-daily frequencies
+ */
+const FREQ_MS = [0, 0, 0, 0, MS_PER_HOUR, MS_PER_MINUTE, MS_PER_SECOND];
+
+/**
+ * Weekday codes, indexed like Date#getDay()
+ */
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Numeric BYxxx parts: [min, max, signed] (serialization order, BYSETPOS last)
+ */
+const BY_LISTS = {
+    bymonth: [1, 12, false],
+    byweekno: [1, 53, true],
+    byyearday: [1, 366, true],
+    bymonthday: [1, 31, true],
+    byday: null,
+    byhour: [0, 23, false],
+    byminute: [0, 59, false],
+    bysecond: [0, 59, false],
+    bysetpos: [1, 366, true]
+};
+
+/**
+ * Rule parts allowed per frequency (RFC 5545 3.3.10)
+ */
+const BY_FREQ = {
+    byweekno: (f) => f === YEARLY,
+    byyearday: (f) => f !== MONTHLY && f !== WEEKLY && f !== DAILY,
+    bymonthday: (f) => f !== WEEKLY
+};
+
+/**
+ * BYDAY entry: optional ordinal and weekday (-1FR, 2TU, MO)
+ */
+const BYDAY_ENTRY = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i;
+
+/**
+ * DATE or DATE-TIME value (20260101, 20260101T090000, 20260101T090000Z)
+ */
+const ICAL_DATE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/i;
+
+/**
+ * Last year expanded (ends rules that never match, e.g. Feb 30)
+ */
+const MAX_YEAR = 9999;
+
+/**
+ * @private
+ */
+const mod = (a, b) => ((a % b) + b) % b;
+
+/**
+ * Read a comma-separated or array value as a list of strings
+ * @private
+ */
+const listOf = (value) => (Array.isArray(value) ? value : String(value).split(',')).map((v) => String(v).trim());
+
+/**
+ * Parse a DATE / DATE-TIME value as an instant
+ * Floating values are wall time in zone; a date-only UNTIL covers its whole day
+ *
+ * @param {string} value - iCalendar date value
+ * @param {string} [zone] - IANA timezone (host local time if omitted)
+ * @param {boolean} [endOfDay] - Resolve a date-only value to 23:59:59
+ * @returns {number} Timestamp, NaN if unparseable
+ * @private
+ */
+const parseICalDate = (value, zone, endOfDay) => {
+    const m = ICAL_DATE.exec(value);
+    if (!m) return NaN;
+    const wall = Date.UTC(+m[1], m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)) +
+        (!m[4] && endOfDay ? MS_PER_DAY - MS_PER_SECOND : 0);
+    const check = new Date(wall);
+    if (check.getUTCMonth() !== m[2] - 1 || (!endOfDay && check.getUTCDate() !== +m[3])) return NaN;
+    return m[7] ? wall : fromWall(wall, zone);
+};
+
+/**
+ * Format a wall timestamp as a DATE-TIME value (20260101T090000)
+ * @private
+ */
+const stamp = (wall) => new Date(wall).toISOString().replace(/[-:]/g, '').slice(0, 15);
+
+/**
+ * Format an instant for zone: UTC with Z, zoned or floating as wall time
+ * @param {number} ts - Timestamp
+ * @param {string} [zone] - Zone of DTSTART
+ * @param {boolean} [utc] - Always UTC for zoned rules (UNTIL)
+ * @private
+ */
+const formatICalDate = (ts, zone, utc) =>
+    zone === 'UTC' || (zone && utc) ? stamp(ts) + 'Z' : stamp(toWall(ts, zone));
+
+/**
+ * Serialize a DTSTART / EXDATE / RDATE property
+ * @private
+ */
+const dateProperty = (name, list, zone) =>
+    name + (zone && zone !== 'UTC' ? ';TZID=' + zone : '') + ':' + list.map((ts) => formatICalDate(ts, zone)).join(',');
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Split iCalendar text into the RRULE parts and DTSTART / EXDATE / RDATE values
+ * A bare rule ('FREQ=DAILY;COUNT=3') is read as the RRULE line
+ *
+ * @param {string} text - Rule text
+ * @param {Object} failure - Receives { reason, field, position }
+ * @returns {Object|null} { parts: { key: { value, pos } }, dtstart, exdate, rdate }
+ * @private
+ */
+const parseText = (text, failure) => {
+    const out = { parts: {}, dtstart: null, exdate: [], rdate: [] };
+    let offset = 0;
+    for (const line of text.split('\n')) {
+        const start = offset;
+        offset += line.length + 1;
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        const pos = start + line.indexOf(trimmed);
+        const colon = trimmed.indexOf(':');
+        const [name, ...params] = (colon < 0 ? 'RRULE' : trimmed.slice(0, colon)).split(';');
+        const value = colon < 0 ? trimmed : trimmed.slice(colon + 1);
+        const valuePos = pos + colon + 1;
+
+        switch (name.toUpperCase()) {
+            case 'RRULE': {
+                let partPos = valuePos;
+                for (const part of value.split(';')) {
+                    if (!part.trim()) {
+                        partPos += part.length + 1;
+                        continue;
+                    }
+                    const eq = part.indexOf('=');
+                    const key = part.slice(0, eq).trim().toLowerCase();
+                    if (eq < 1 || out.parts[key]) {
+                        Object.assign(failure, { reason: 'unparseable', field: 'RRULE', position: partPos });
+                        return null;
+                    }
+                    out.parts[key] = { value: part.slice(eq + 1).trim(), pos: partPos + eq + 1 };
+                    partPos += part.length + 1;
+                }
+                break;
+            }
+            case 'DTSTART':
+            case 'EXDATE':
+            case 'RDATE': {
+                const tzid = params.find((p) => /^TZID=/i.test(p));
+                const entry = { values: value.split(','), tzid: tzid && tzid.slice(5), pos: valuePos };
+                if (name.toUpperCase() === 'DTSTART') out.dtstart = entry;
+                else out[name.toLowerCase()].push(entry);
+                break;
+            }
+            default:
+                Object.assign(failure, { reason: 'unparseable', field: name.toUpperCase(), position: pos });
+                return null;
+        }
+    }
+    return out;
+};
+
+/**
+ * Validate rule parts into a rule
+ *
+ * @param {Object} parts - { key: { value, pos } } with lower-case keys
+ * @param {string} [zone] - Zone of DTSTART (floating UNTIL)
+ * @param {Object} failure - Receives { reason, field, position }
+ * @returns {Object|null} { freq, interval, count, until, wkst, bymonth, ..., byday: [{ n, wd }] }
+ * @private
+ */
+const readRule = (parts, zone, failure) => {
+    const fail = (reason, key) => {
+        Object.assign(failure, { reason, field: key.toUpperCase(), position: parts[key] && parts[key].pos });
+        return null;
+    };
+    const int = (key, min) => {
+        const n = Number(parts[key].value);
+        return Number.isInteger(n) && n >= min ? n : NaN;
+    };
+
+    const freq = parts.freq ? FREQUENCIES.indexOf(String(parts.freq.value).toUpperCase()) : -1;
+    if (freq < 0) return fail('unparseable', 'freq');
+    const rule = { freq, interval: 1, count: null, until: null, wkst: 1 };
+
+    for (const key of Object.keys(parts)) {
+        const { value } = parts[key];
+        if (key === 'freq') continue;
+        if (key === 'interval' || key === 'count') {
+            rule[key] = int(key, 1);
+            if (Number.isNaN(rule[key])) return fail('out-of-range', key);
+        } else if (key === 'until') {
+            rule.until = typeof value === 'string' && ICAL_DATE.test(value)
+                ? parseICalDate(value, zone, true)
+                : (value && value._d ? value : nano(value)).valueOf();
+            if (Number.isNaN(rule.until)) return fail('unparseable', key);
+        } else if (key === 'wkst') {
+            rule.wkst = WEEKDAYS.indexOf(String(value).toUpperCase());
+            if (rule.wkst < 0) return fail('unparseable', key);
+        } else if (key === 'byday') {
+            rule.byday = [];
+            for (const entry of listOf(value)) {
+                const m = BYDAY_ENTRY.exec(entry);
+                if (!m) return fail('unparseable', key);
+                const n = m[1] ? +m[1] : 0;
+                if (n && (Math.abs(n) > 53 || (freq !== MONTHLY && freq !== YEARLY) || parts.byweekno)) {
+                    return fail('out-of-range', key);
+                }
+                rule.byday.push({ n, wd: WEEKDAYS.indexOf(m[2].toUpperCase()) });
+            }
+        } else if (key in BY_LISTS) {
+            const [min, max, signed] = BY_LISTS[key];
+            if (BY_FREQ[key] && !BY_FREQ[key](freq)) return fail('unparseable', key);
+            rule[key] = listOf(value).map(Number);
+            if (!rule[key].every((n) => Number.isInteger(n) && Math.abs(n) >= min && Math.abs(n) <= max && (signed || n >= 0))) {
+                return fail('out-of-range', key);
+            }
+        } else {
+            return fail('unparseable', key);
+        }
+    }
+
+    if (rule.count !== null && rule.until !== null) return fail('unparseable', 'until');
+    return rule;
+};
+
+// ============================================
+// EXPANSION
+// ============================================
+
+/**
+ * Day number (days since the epoch) of a wall date
+ * @private
+ */
+const dayNumber = (y, m, d) => Date.UTC(y, m, d) / MS_PER_DAY;
+
+/**
+ * Weekday of a day number (0 = Sunday)
+ * @private
+ */
+const weekdayOf = (day) => mod(day + 4, 7);
+
+/**
+ * [year, month, date] of a day number
+ * @private
+ */
+const ymdOf = (day) => {
+    const d = new Date(day * MS_PER_DAY);
+    return [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()];
+};
+
+/**
+ * Day numbers from first (inclusive) to end (exclusive)
+ * @private
+ */
+const daySpan = (first, end) => Array.from({ length: end - first }, (_, i) => first + i);
+
+/**
+ * First day of week 1 (the first week with at least 4 days in the year)
+ * @private
+ */
+const firstWeek = (year, wkst) => {
+    const jan1 = dayNumber(year, 0, 1);
+    const offset = mod(weekdayOf(jan1) - wkst, 7);
+    return jan1 - offset + (offset > 3 ? 7 : 0);
+};
+
+/**
+ * Days of the BYWEEKNO weeks of a year (may spill into adjacent years)
+ * @private
+ */
+const weekNumberDays = (r, year) => {
+    const first = firstWeek(year, r.wkst);
+    const weeks = (firstWeek(year + 1, r.wkst) - first) / 7;
+    const days = [];
+    for (const n of [...r.byweekno].sort((a, b) => mod(a, weeks + 1) - mod(b, weeks + 1))) {
+        const w = n > 0 ? n - 1 : weeks + n;
+        if (w >= 0 && w < weeks) days.push(...daySpan(first + w * 7, first + w * 7 + 7));
+    }
+    return [...new Set(days)].sort((a, b) => a - b);
+};
+
+/**
+ * Check a day against BYMONTH, BYMONTHDAY, BYYEARDAY and BYDAY
+ * BYDAY ordinals count within the month (MONTHLY, or YEARLY with BYMONTH) or the year
+ * @private
+ */
+const matchDay = (r, day) => {
+    const [y, m, d] = ymdOf(day);
+    if (r.bymonth && !r.bymonth.includes(m + 1)) return false;
+    if (r.bymonthday) {
+        const last = dayNumber(y, m + 1, 0) - dayNumber(y, m, 0);
+        if (!r.bymonthday.some((n) => n === d || n === d - last - 1)) return false;
+    }
+    if (r.byyearday) {
+        const yd = day - dayNumber(y, 0, 0);
+        const last = dayNumber(y + 1, 0, 0) - dayNumber(y, 0, 0);
+        if (!r.byyearday.some((n) => n === yd || n === yd - last - 1)) return false;
+    }
+    if (r.byday) {
+        const wd = weekdayOf(day);
+        const inMonth = r.freq === MONTHLY || r.bymonth;
+        const first = inMonth ? dayNumber(y, m, 1) : dayNumber(y, 0, 1);
+        const last = inMonth ? dayNumber(y, m + 1, 0) : dayNumber(y, 11, 31);
+        return r.byday.some(({ n, wd: w }) => w === wd && (!n || (n > 0
+            ? Math.floor((day - first) / 7) + 1 === n
+            : Math.floor((last - day) / 7) + 1 === -n)));
+    }
+    return true;
+};
+
+/**
+ * Times of day (ms) from hour, minute and second lists (ascending)
+ * @private
+ */
+const clockTimes = (hours, minutes, seconds) => {
+    const times = [];
+    for (const h of hours) for (const m of minutes) for (const s of seconds) {
+        times.push(h * MS_PER_HOUR + m * MS_PER_MINUTE + s * MS_PER_SECOND);
+    }
+    return times;
+};
+
+/**
+ * Times inside one HOURLY / MINUTELY / SECONDLY period
+ * Units at or above the frequency filter, units below it expand
+ * @private
+ */
+const periodTimes = (r, sod) => {
+    const h = Math.floor(sod / MS_PER_HOUR);
+    const m = Math.floor(sod / MS_PER_MINUTE) % 60;
+    const s = Math.floor(sod / MS_PER_SECOND) % 60;
+    if ((r.byhour && !r.byhour.includes(h)) ||
+        (r.freq >= MINUTELY && r.byminute && !r.byminute.includes(m)) ||
+        (r.freq === SECONDLY && r.bysecond && !r.bysecond.includes(s))) return [];
+    return clockTimes([h], r.freq >= MINUTELY ? [m] : r.byminute, r.freq === SECONDLY ? [s] : r.bysecond);
+};
+
+/**
+ * Fill parts implied by DTSTART (RFC 5545: "FREQ=MONTHLY" repeats DTSTART's day)
+ * and sort the lists used for expansion
+ * @private
+ */
+const expansionRule = (rule, startWall) => {
+    const r = { ...rule };
+    const day = Math.floor(startWall / MS_PER_DAY);
+    const [, m, d] = ymdOf(day);
+    const sod = startWall - day * MS_PER_DAY;
+
+    if (!r.byweekno && !r.byyearday && !r.bymonthday && !r.byday) {
+        if (r.freq === YEARLY) {
+            r.bymonth = r.bymonth || [m + 1];
+            r.bymonthday = [d];
+        } else if (r.freq === MONTHLY) {
+            r.bymonthday = [d];
+        } else if (r.freq === WEEKLY) {
+            r.byday = [{ n: 0, wd: weekdayOf(day) }];
+        }
+    }
+    if (r.freq <= DAILY && !r.byhour) r.byhour = [Math.floor(sod / MS_PER_HOUR)];
+    if (r.freq <= HOURLY && !r.byminute) r.byminute = [Math.floor(sod / MS_PER_MINUTE) % 60];
+    if (r.freq <= MINUTELY && !r.bysecond) r.bysecond = [Math.floor(sod / MS_PER_SECOND) % 60];
+    for (const key of ['byhour', 'byminute', 'bysecond']) {
+        if (r[key]) r[key] = [...new Set(r[key])].sort((a, b) => a - b);
+    }
+    r.times = r.freq <= DAILY ? clockTimes(r.byhour, r.byminute, r.bysecond) : null;
+    return r;
+};
+
+/**
+ * Candidate wall times per period (ascending), BYSETPOS applied
+ *
+ * @param {Object} r - Expansion rule
+ * @param {number} startWall - DTSTART wall timestamp
+ * @param {number} lastDay - Stop after periods starting past this day number
+ * @private
+ */
+function* expandPeriods(r, startWall, lastDay) {
+    const firstDay = Math.floor(startWall / MS_PER_DAY);
+    const [y0, m0] = ymdOf(firstDay);
+    const unit = FREQ_MS[r.freq];
+    const base = Math.floor(startWall / (unit || 1));
+
+    for (let k = 0; ; k++) {
+        let days;
+        let times = r.times;
+        let from;
+        if (r.freq === YEARLY) {
+            const y = y0 + k * r.interval;
+            from = dayNumber(y, 0, 1);
+            days = r.byweekno ? weekNumberDays(r, y) : daySpan(from, dayNumber(y + 1, 0, 1));
+        } else if (r.freq === MONTHLY) {
+            from = dayNumber(y0, m0 + k * r.interval, 1);
+            days = daySpan(from, dayNumber(y0, m0 + k * r.interval + 1, 1));
+        } else if (r.freq === WEEKLY) {
+            from = firstDay - mod(weekdayOf(firstDay) - r.wkst, 7) + k * 7 * r.interval;
+            days = daySpan(from, from + 7);
+        } else if (r.freq === DAILY) {
+            from = firstDay + k * r.interval;
+            days = [from];
+        } else {
+            const ms = (base + k * r.interval) * unit;
+            from = Math.floor(ms / MS_PER_DAY);
+            if (from > lastDay) return;
+            if (!matchDay(r, from)) {
+                // Jump to the first period of the next day
+                k = Math.ceil(((from + 1) * MS_PER_DAY / unit - base) / r.interval) - 1;
+                continue;
+            }
+            days = [from];
+            times = periodTimes(r, ms - from * MS_PER_DAY);
+        }
+        if (from > lastDay) return;
+
+        const walls = [];
+        for (const day of days) {
+            if (!matchDay(r, day)) continue;
+            for (const t of times) walls.push(day * MS_PER_DAY + t);
+        }
+        if (!r.bysetpos) {
+            yield walls;
+            continue;
+        }
+        const picked = new Set();
+        for (const p of r.bysetpos) {
+            const wall = walls[p > 0 ? p - 1 : walls.length + p];
+            if (wall !== undefined) picked.add(wall);
+        }
+        yield [...picked].sort((a, b) => a - b);
+    }
+}
+
+/**
+ * Occurrences of the RRULE part (COUNT and UNTIL applied), as timestamps
+ * @param {RRule} rule - Recurrence rule
+ * @param {number} [limit] - Stop after this timestamp
+ * @private
+ */
+function* ruleInstants(rule, limit) {
+    const { _r: r, _zone: zone } = rule;
+    if (!r) return;
+    const startWall = toWall(rule._start.valueOf(), zone);
+    const bound = Math.min(limit ?? Infinity, r.until ?? Infinity);
+    const lastDay = bound === Infinity
+        ? dayNumber(MAX_YEAR + 1, 0, 1)
+        : Math.floor(toWall(bound, zone) / MS_PER_DAY) + 1;
+
+    let n = 0;
+    for (const walls of expandPeriods(r, startWall, lastDay)) {
+        for (const wall of walls) {
+            if (wall < startWall) continue;
+            const ts = fromWall(wall, zone);
+            if (ts > bound) return;
+            yield ts;
+            if (++n === r.count) return;
+        }
+    }
+}
+
+/**
+ * Recurrence set: RRULE occurrences and RDATEs, minus EXDATEs (ascending, unique)
+ * @param {RRule} rule - Recurrence rule
+ * @param {number} [limit] - Stop after this timestamp
+ * @private
+ */
+function* instants(rule, limit) {
+    const rdate = rule._rdate;
+    const pick = (ts) => ts > last && !rule._exdate.includes(ts);
+    let last = -Infinity;
+    let i = 0;
+    for (const ts of ruleInstants(rule, limit)) {
+        for (; i < rdate.length && rdate[i] <= ts; i++) {
+            if (pick(rdate[i])) yield (last = rdate[i]);
+        }
+        if (pick(ts)) yield (last = ts);
+    }
+    for (; i < rdate.length && !(rdate[i] > limit); i++) {
+        if (pick(rdate[i])) yield (last = rdate[i]);
+    }
+}
+
+// ============================================
+// RRULE CLASS
+// ============================================
+
+/**
+ * Immutable recurrence rule
+ * Create with nano.rrule(); iterable (lazy) over NanoDates in DTSTART's zone
+ */
+class RRule {
+    /**
+     * @param {Object|null} rule - Validated rule parts (null: invalid)
+     * @param {NanoDate} start - DTSTART (second precision)
+     * @param {boolean} explicit - DTSTART was given (serialized)
+     * @param {number[]} exdate - Excluded timestamps
+     * @param {number[]} rdate - Extra timestamps
+     */
+    constructor(rule, start, explicit, exdate = [], rdate = []) {
+        this._rule = rule;
+        this._start = start;
+        this._explicit = explicit;
+        this._zone = getZone(start);
+        this._r = rule && expansionRule(rule, toWall(start.valueOf(), this._zone));
+        this._exdate = [...exdate].sort((a, b) => a - b);
+        this._rdate = [...rdate].sort((a, b) => a - b);
+    }
+
+    /**
+     * Occurrence at a timestamp, in DTSTART's zone and locale
+     * @private
+     */
+    _at(ts) {
+        return derive(this._start, new Date(ts));
+    }
+
+    /**
+     * Check if the rule parsed
+     * @returns {boolean} True if valid
+     */
+    isValid() {
+        return this._rule !== null;
+    }
+
+    /**
+     * DTSTART of the rule
+     * @returns {NanoDate} Start date
+     */
+    start() {
+        return this._start;
+    }
+
+    /**
+     * Lazily iterate all occurrences
+     * @returns {Generator<NanoDate>} Occurrences
+     */
+    *[Symbol.iterator]() {
+        for (const ts of instants(this)) yield this._at(ts);
+    }
+
+    /**
+     * All occurrences (bounded rules, or the first `limit`)
+     * @param {number} [limit] - Maximum number of occurrences
+     * @returns {NanoDate[]} Occurrences
+     * @throws {RangeError} If the rule has no COUNT/UNTIL and no limit is given
+     *
+     * @example
+     * nano.rrule('FREQ=DAILY;COUNT=3', { dtstart: '2026-01-01T09:00' }).all() // Jan 1, 2, 3 at 09:00
+     */
+    all(limit) {
+        if (limit === undefined && this._r && this._r.count === null && this._r.until === null) {
+            throw new RangeError('rrule has no COUNT or UNTIL: pass a limit or use between()');
+        }
+        const out = [];
+        for (const ts of instants(this)) {
+            if (out.length >= limit) break;
+            out.push(this._at(ts));
+        }
+        return out;
+    }
+
+    /**
+     * Occurrences between two dates
+     * @param {*} start - Range start
+     * @param {*} end - Range end
+     * @param {boolean} [inclusive=false] - Include occurrences equal to start or end
+     * @returns {NanoDate[]} Occurrences
+     *
+     * @example
+     * nano.rrule('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2', { dtstart }).between(nano('2026-01-01'), nano('2026-04-01'))
+     */
+    between(start, end, inclusive = false) {
+        const s = nano(start).valueOf();
+        const e = nano(end).valueOf();
+        const out = [];
+        for (const ts of instants(this, e)) {
+            if (ts < s || (ts === s && !inclusive)) continue;
+            if (ts === e && !inclusive) break;
+            out.push(this._at(ts));
+        }
+        return out;
+    }
+
+    /**
+     * First occurrence after a date
+     * @param {*} date - Date
+     * @param {boolean} [inclusive=false] - Accept an occurrence equal to date
+     * @returns {NanoDate|null} Occurrence, null if none
+     */
+    after(date, inclusive = false) {
+        const d = nano(date).valueOf();
+        for (const ts of instants(this)) {
+            if (ts > d || (ts === d && inclusive)) return this._at(ts);
+        }
+        return null;
+    }
+
+    /**
+     * Last occurrence before a date
+     * @param {*} date - Date
+     * @param {boolean} [inclusive=false] - Accept an occurrence equal to date
+     * @returns {NanoDate|null} Occurrence, null if none
+     */
+    before(date, inclusive = false) {
+        const d = nano(date).valueOf();
+        let found = null;
+        for (const ts of instants(this, d)) {
+            if (ts === d && !inclusive) break;
+            found = ts;
+        }
+        return found === null ? null : this._at(found);
+    }
+
+    // ============================================
+    // SERIALIZATION
+    // ============================================
+
+    /**
+     * RRULE value without DTSTART/EXDATE/RDATE
+     * @returns {string} Rule parts ('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2')
+     */
+    toRule() {
+        const rule = this._rule;
+        if (!rule) return 'Invalid RRule';
+        const parts = ['FREQ=' + FREQUENCIES[rule.freq]];
+        if (rule.interval !== 1) parts.push('INTERVAL=' + rule.interval);
+        if (rule.count !== null) parts.push('COUNT=' + rule.count);
+        if (rule.until !== null) parts.push('UNTIL=' + formatICalDate(rule.until, this._zone, true));
+        if (rule.wkst !== 1) parts.push('WKST=' + WEEKDAYS[rule.wkst]);
+        for (const key of Object.keys(BY_LISTS)) {
+            if (!rule[key]) continue;
+            const list = key === 'byday' ? rule.byday.map(({ n, wd }) => (n || '') + WEEKDAYS[wd]) : rule[key];
+            parts.push(key.toUpperCase() + '=' + list.join(','));
+        }
+        return parts.join(';');
+    }
+
+    /**
+     * iCalendar text: DTSTART (when given), RRULE, RDATE and EXDATE lines
+     * @returns {string} Rule text
+     *
+     * @example
+     * nano.rrule('FREQ=WEEKLY;BYDAY=MO', { dtstart: nano('2026-01-05T09:00').toTz('Europe/Berlin') }).toString()
+     * // "DTSTART;TZID=Europe/Berlin:20260105T090000\nRRULE:FREQ=WEEKLY;BYDAY=MO"
+     */
+    toString() {
+        if (!this._rule) return this.toRule();
+        const lines = ['RRULE:' + this.toRule()];
+        if (this._explicit) lines.unshift(dateProperty('DTSTART', [this._start.valueOf()], this._zone));
+        if (this._rdate.length) lines.push(dateProperty('RDATE', this._rdate, this._zone));
+        if (this._exdate.length) lines.push(dateProperty('EXDATE', this._exdate, this._zone));
+        return lines.join('\n');
+    }
+
+    /**
+     * JSON representation
+     */
+    toJSON() {
+        return this.toString();
+    }
+}
+
+// ============================================
+// FACTORY FUNCTIONS
+// ============================================
+
+/**
+ * Create a recurrence rule
+ *
+ * The rule is RRULE text (a bare 'FREQ=...' value, or DTSTART/RRULE/EXDATE/RDATE
+ * lines) or an options object with lower-case RFC 5545 part names
+ * ({ freq: 'monthly', byday: ['TU'], bysetpos: 2 }). Options dtstart, exdate
+ * and rdate take dates; floating text values are wall time in DTSTART's zone.
+ * DTSTART defaults to now (second precision).
+ *
+ * @param {Function} factory - nano factory of the scope (parses dates)
+ * @param {Object} cfg - Configuration (strict)
+ * @param {string|Object} input - Rule text or options
+ * @param {Object} [options] - { dtstart, exdate, rdate } (override the text)
+ * @returns {RRule} Rule (isValid() false if it does not parse)
+ * @throws {InvalidDateError} In strict mode for invalid rules
+ */
+export const createRRule = (factory, cfg, input, options = {}) => {
+    const failure = {};
+    const fail = (field, position) => {
+        Object.assign(failure, { reason: 'unparseable', field, position });
+        return null;
+    };
+    const build = () => {
+        const text = typeof input === 'string' ? parseText(input, failure) : { parts: {}, exdate: [], rdate: [] };
+        if (!text) return null;
+        const opts = {};
+        for (const [key, value] of Object.entries(typeof input === 'string' ? options : { ...input, ...options })) {
+            opts[key.toLowerCase()] = value;
+        }
+        const toDate = (value) => value && value._d ? value : factory(value);
+
+        let start;
+        if (opts.dtstart != null) {
+            start = toDate(opts.dtstart);
+        } else if (text.dtstart) {
+            const { values: [value], tzid, pos } = text.dtstart;
+            const ts = parseICalDate(value, tzid);
+            start = /Z$/i.test(value) ? factory(ts).utc() : tzid ? factory(ts).toTz(tzid) : factory(ts);
+            if (!start.isValid()) return fail('DTSTART', pos);
+        } else {
+            start = factory();
+        }
+        if (!start.isValid()) return fail('DTSTART');
+        start = start.startOf('second');
+        const zone = getZone(start);
+
+        const dates = (key) => {
+            const out = [];
+            for (const { values, tzid, pos } of text[key]) {
+                for (const value of values) out.push(parseICalDate(value.trim(), tzid || zone));
+                if (out.some(Number.isNaN)) return fail(key.toUpperCase(), pos);
+            }
+            for (const value of opts[key] == null ? [] : [].concat(opts[key])) {
+                out.push(toDate(value).valueOf());
+                if (Number.isNaN(out[out.length - 1])) return fail(key.toUpperCase());
+            }
+            return out;
+        };
+
+        const parts = { ...text.parts };
+        for (const key of Object.keys(opts)) {
+            if (key !== 'dtstart' && key !== 'exdate' && key !== 'rdate' && opts[key] != null) {
+                parts[key] = { value: opts[key] };
+            }
+        }
+        const rule = readRule(parts, zone, failure);
+        const exdate = rule && dates('exdate');
+        const rdate = exdate && dates('rdate');
+        return rdate && new RRule(rule, start, opts.dtstart != null || !!text.dtstart, exdate, rdate);
+    };
+
+    const rule = build();
+    if (rule) return rule;
+    if (cfg.strict) throw new InvalidDateError(input, failure);
+    return new RRule(null, factory(NaN), false);
+};
+
+// Export RRule class for instanceof checks
+export { RRule };
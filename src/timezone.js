@@ -3,6 +3,10 @@
  * Zero-cost timezone handling using native Intl API
  */
 
+import { MS_PER_MINUTE, MS_PER_HOUR } from './constants.js';
+import { getLocale } from './config.js';
+import { InvalidDateError } from './errors.js';
+
 /**
  * Formatter cache for performance optimization
  * Using Object instead of Map for faster property access (2-3x faster)
@@ -57,17 +61,126 @@ const getCachedFormatter = (locale, options) => {
     return formatter;
 };
 
+// ============================================
+// ZONED MODE
+// ============================================
+
+// A zoned instance keeps the real instant in _d and the IANA zone in _tz
+// (UTC mode sets _utc instead and behaves as the 'UTC' zone).
+// Wall-clock fields are derived through a "wall timestamp": the zone's local
+// time expressed as if it were UTC, so UTC getters/setters do calendar math
+// without ever touching the host timezone.
+
+/**
+ * Get the zone a context computes its wall-clock fields in
+ * @param {Object} ctx - NanoDate context
+ * @returns {string|undefined} IANA timezone, or undefined for host local time
+ */
+export const getZone = (ctx) => ctx._tz || (ctx._utc ? 'UTC' : undefined);
+
+/**
+ * Validate an IANA timezone
+ * @param {string} timezone - IANA timezone
+ * @throws {InvalidDateError} If the timezone is unknown (reason 'unknown-timezone')
+ */
+export const assertZone = (timezone) => {
+    try {
+        getCachedFormatter('en-US', { timeZone: timezone, timeZoneName: 'shortOffset' });
+    } catch {
+        throw new InvalidDateError(timezone, { reason: 'unknown-timezone', field: 'timezone' });
+    }
+};
+
 /**
- * Get locale helper
+ * Convert an instant to a wall timestamp
+ * @param {number} ts - Timestamp in milliseconds
+ * @param {string} [timezone] - IANA timezone (host local time if omitted)
+ * @returns {number} Wall-clock time as a UTC timestamp
  */
-const getLocale = (ctx) => {
-    if (ctx._l) return ctx._l;
-    if (typeof navigator !== 'undefined' && navigator.language) {
-        return navigator.language;
+export const toWall = (ts, timezone) => {
+    const offset = timezone ? zoneOffset(ts, timezone) : -new Date(ts).getTimezoneOffset();
+    return ts + offset * MS_PER_MINUTE;
+};
+
+/**
+ * Convert a wall timestamp back to an instant
+ * Ambiguous times (DST fall-back) resolve to the earlier instant,
+ * skipped times (DST spring-forward) move forward by the gap length -
+ * the same behavior as native Date for host local time
+ * 
+ * @param {number} wall - Wall-clock time as a UTC timestamp
+ * @param {string} [timezone] - IANA timezone (host local time if omitted)
+ * @returns {number} Timestamp in milliseconds
+ */
+export const fromWall = (wall, timezone) => {
+    if (!timezone) {
+        const w = new Date(wall);
+        const d = new Date(0);
+        d.setFullYear(w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate());
+        d.setHours(w.getUTCHours(), w.getUTCMinutes(), w.getUTCSeconds(), w.getUTCMilliseconds());
+        return d.getTime();
     }
-    return 'en';
+    if (timezone === 'UTC') return wall;
+
+    // Offsets on both sides of any transition near this wall time
+    const before = zoneOffset(wall - MS_PER_HOUR * 24, timezone);
+    const after = zoneOffset(wall + MS_PER_HOUR * 24, timezone);
+    const early = wall - before * MS_PER_MINUTE;
+    if (before === after) return early;
+
+    const late = wall - after * MS_PER_MINUTE;
+    const earlyOk = zoneOffset(early, timezone) === before;
+    const lateOk = zoneOffset(late, timezone) === after;
+
+    if (earlyOk && lateOk) return Math.min(early, late);
+    if (lateOk) return late;
+    // Earlier offset is valid, or the wall time falls in a gap
+    return early;
 };
 
+/**
+ * Read-only Date look-alike exposing wall-clock fields of a zone
+ * Implements the Date getters used by formatters and comparisons,
+ * so the same code paths serve local and zoned instances
+ */
+class ZonedDate {
+    constructor(ts, timezone) {
+        this._ts = ts;
+        this._o = zoneOffset(ts, timezone);
+        this._w = new Date(ts + this._o * MS_PER_MINUTE);
+    }
+
+    getFullYear() { return this._w.getUTCFullYear(); }
+    getMonth() { return this._w.getUTCMonth(); }
+    getDate() { return this._w.getUTCDate(); }
+    getDay() { return this._w.getUTCDay(); }
+    getHours() { return this._w.getUTCHours(); }
+    getMinutes() { return this._w.getUTCMinutes(); }
+    getSeconds() { return this._w.getUTCSeconds(); }
+    getMilliseconds() { return this._w.getUTCMilliseconds(); }
+    getTimezoneOffset() { return -this._o; }
+    getTime() { return this._ts; }
+    valueOf() { return this._ts; }
+    toISOString() { return new Date(this._ts).toISOString(); }
+}
+
+/**
+ * Get a Date-like view of a date in a zone
+ * Returns the Date itself when no zone is given (zero-cost local path)
+ * 
+ * @param {Date} date - Date to view
+ * @param {string} [timezone] - IANA timezone
+ * @returns {Date|ZonedDate} Object with Date getters for wall-clock fields
+ */
+export const zonedDate = (date, timezone) => timezone ? new ZonedDate(date.getTime(), timezone) : date;
+
+/**
+ * Get the wall-clock view of a NanoDate context
+ * @param {Object} ctx - NanoDate context
+ * @returns {Date|ZonedDate} Object with Date getters for wall-clock fields
+ */
+export const wallDate = (ctx) => zonedDate(ctx._d, getZone(ctx));
+
 /**
  * Format date in a specific timezone
  * 
@@ -80,8 +193,10 @@ const getLocale = (ctx) => {
  * tz(ctx, 'America/New_York')           // "1/21/2026, 4:36:33 AM"
  * tz(ctx, 'Asia/Tokyo')                 // "2026/1/21 18:36:33"
  * tz(ctx, 'Europe/London', 'full-time') // Full date with time
+ * @throws {InvalidDateError} If the timezone is unknown
  */
 export const tz = (ctx, timezone, format) => {
+    assertZone(timezone);
     const locale = getLocale(ctx);
 
     // Preset format kontrolü
@@ -114,68 +229,69 @@ export const tz = (ctx, timezone, format) => {
 };
 
 /**
- * NanoDate factory placeholder for chainable API
+ * NanoDate factory placeholders for chainable API
  */
 let nanoFactory;
+let derive;
 
 /**
  * Initialize with nano factory
+ * @param {Function} factory - nano factory function
+ * @param {Function} deriveFn - Creates a NanoDate inheriting context settings
  */
-export const initTimezone = (factory) => {
+export const initTimezone = (factory, deriveFn) => {
     nanoFactory = factory;
+    derive = deriveFn;
 };
 
 /**
- * Chainable timezone method - returns a new NanoDate instance
+ * Chainable timezone method - returns a zoned NanoDate instance
+ * The instant is unchanged; format, getters, startOf/endOf, add/subtract,
+ * calendar and unit comparisons use wall-clock time in the given zone
  * Allows chaining: nano().toTz('America/New_York').add(1, 'day').format()
  * 
  * @param {Object} ctx - NanoDate context
  * @param {string} timezone - IANA timezone
  * @returns {Proxy} New NanoDate instance with timezone context
+ * @throws {InvalidDateError} If the timezone is not a valid IANA zone
+ * 
+ * @example
+ * nano('2026-01-21T00:00:00Z').toTz('Asia/Tokyo').format('HH:mm') // "09:00"
  */
 export const tzChainable = (ctx, timezone) => {
-    // Get the date converted to target timezone
-    const locale = getLocale(ctx);
-    
-    // Use Intl to get the date parts in the target timezone
-    const formatter = getCachedFormatter(locale, {
-        timeZone: timezone,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-    });
-    
-    const parts = formatter.formatToParts(ctx._d);
-    const partMap = {};
-    for (const part of parts) {
-        partMap[part.type] = part.value;
-    }
-    
-    // Create new NanoDate with timezone context
-    // Store both original date and timezone for formatting
-    const newCtx = {
-        _d: ctx._d, // Keep original Date
-        _l: locale,
-        _tz: timezone, // Store timezone for later formatting
-        _input: ctx._input
-    };
-    
-    // Import nano factory dynamically to avoid circular deps
-    if (nanoFactory) {
-        const result = nanoFactory(ctx._d, locale);
-        // Attach timezone to the proxy target
-        result._tz = timezone;
-        return result;
-    }
-    
-    // Fallback: return context with timezone attached
-    return newCtx;
+    assertZone(timezone);
+
+    return derive({ _l: ctx._l, _tz: timezone, _c: ctx._c }, new Date(ctx._d.getTime()));
 };
 
+/**
+ * Switch to UTC mode - same instant, wall-clock fields in UTC
+ * 
+ * @param {Object} ctx - NanoDate context
+ * @returns {Proxy} New NanoDate in UTC mode
+ * 
+ * @example
+ * nano('2026-01-01T23:30:00Z').utc().format('YYYY-MM-DD HH:mm') // "2026-01-01 23:30"
+ */
+export const toUTC = (ctx) => derive({ _l: ctx._l, _utc: true, _c: ctx._c }, new Date(ctx._d.getTime()));
+
+/**
+ * Switch to host local time - same instant, drops UTC mode and zone
+ * 
+ * @param {Object} ctx - NanoDate context
+ * @returns {Proxy} New NanoDate in local mode
+ */
+export const toLocal = (ctx) => derive({ _l: ctx._l, _c: ctx._c }, new Date(ctx._d.getTime()));
+
+/**
+ * Check if wall-clock fields are computed in UTC
+ * True for utc()/nano.utc() instances and toTz('UTC')
+ * 
+ * @param {Object} ctx - NanoDate context
+ * @returns {boolean}
+ */
+export const isUTC = (ctx) => getZone(ctx) === 'UTC';
+
 /**
  * Convert date to a specific timezone and return as new NanoDate
  * This creates a Date object adjusted to show the target timezone's local time
@@ -198,37 +314,21 @@ export const getTimezone = () => {
 };
 
 /**
- * Get UTC offset in minutes (with caching)
+ * Read the UTC offset of an IANA zone at an instant from Intl (uncached)
  * 
- * @param {Object} ctx - NanoDate context
- * @param {string} [timezone] - Optional timezone (defaults to local)
- * @returns {number} UTC offset in minutes (e.g., 180 for UTC+3)
- * 
- * @example
- * utcOffset(ctx)  // 180 (for Istanbul, UTC+3)
+ * @param {number} ts - Timestamp in milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {number} UTC offset in minutes
  */
-export const utcOffset = (ctx, timezone) => {
-    if (!timezone) {
-        return -ctx._d.getTimezoneOffset();
-    }
-    
-    // Cache key based on timezone and hour
-    const hourTimestamp = Math.floor(ctx._d.getTime() / 3600000);
-    const cacheKey = timezone + ':' + hourTimestamp;
-    
-    if (offsetCache[cacheKey] !== undefined) {
-        return offsetCache[cacheKey];
-    }
-    
-    // Calculate offset for specific timezone
+const readOffset = (ts, timezone) => {
     const formatter = getCachedFormatter('en-US', {
         timeZone: timezone,
         timeZoneName: 'shortOffset'
     });
-    
-    const parts = formatter.formatToParts(ctx._d);
+
+    const parts = formatter.formatToParts(ts);
     const tzPart = parts.find(p => p.type === 'timeZoneName');
-    
+
     let offset = 0;
     if (tzPart) {
         // Parse offset like "GMT+3" or "GMT-05:30"
@@ -240,19 +340,67 @@ export const utcOffset = (ctx, timezone) => {
             offset = sign * (hours * 60 + minutes);
         }
     }
-    
-    // Limit cache size - evict half when full
-    if (offsetCacheSize >= MAX_OFFSET_CACHE_SIZE) {
-        const keys = Object.keys(offsetCache);
-        for (let i = 0; i < keys.length / 2; i++) {
-            delete offsetCache[keys[i]];
+    return offset;
+};
+
+/**
+ * Get the UTC offset of an IANA zone at a given instant (with caching)
+ * Offsets are cached per zone and UTC hour; an hour containing a transition
+ * (e.g. Australia/Lord_Howe changes on the half hour) is cached as null and
+ * resolved exactly on every call
+ * 
+ * @param {number} ts - Timestamp in milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {number} UTC offset in minutes (e.g., 540 for Asia/Tokyo)
+ */
+export const zoneOffset = (ts, timezone) => {
+    // UTC needs no lookup; invalid dates have no offset to resolve
+    if (timezone === 'UTC' || ts !== ts) return 0;
+
+    const hourStart = Math.floor(ts / MS_PER_HOUR) * MS_PER_HOUR;
+    const cacheKey = timezone + ':' + hourStart;
+    let offset = offsetCache[cacheKey];
+
+    if (offset === undefined) {
+        // Stable hour: same offset at both ends
+        offset = readOffset(hourStart, timezone);
+        if (readOffset(hourStart + MS_PER_HOUR - 1, timezone) !== offset) offset = null;
+
+        // Limit cache size - evict half when full
+        if (offsetCacheSize >= MAX_OFFSET_CACHE_SIZE) {
+            const keys = Object.keys(offsetCache);
+            for (let i = 0; i < keys.length / 2; i++) {
+                delete offsetCache[keys[i]];
+            }
+            offsetCacheSize = Math.floor(keys.length / 2);
         }
-        offsetCacheSize = Math.floor(keys.length / 2);
+
+        offsetCache[cacheKey] = offset;
+        offsetCacheSize++;
     }
-    
-    offsetCache[cacheKey] = offset;
-    offsetCacheSize++;
-    return offset;
+
+    return offset === null ? readOffset(ts, timezone) : offset;
+};
+
+/**
+ * Get UTC offset in minutes (with caching)
+ * Zoned instances (from toTz) report the offset of their own zone
+ * 
+ * @param {Object} ctx - NanoDate context
+ * @param {string} [timezone] - Optional timezone (defaults to the instance zone, then local)
+ * @returns {number} UTC offset in minutes (e.g., 180 for UTC+3)
+ * @throws {InvalidDateError} If the timezone is unknown
+ * 
+ * @example
+ * utcOffset(ctx)  // 180 (for Istanbul, UTC+3)
+ */
+export const utcOffset = (ctx, timezone) => {
+    if (timezone) assertZone(timezone);
+    const zone = timezone || getZone(ctx);
+    if (!zone) {
+        return -ctx._d.getTimezoneOffset();
+    }
+    return zoneOffset(ctx._d.getTime(), zone);
 };
 
 /**
@@ -262,7 +410,7 @@ export const utcOffset = (ctx, timezone) => {
  * @returns {string} UTC offset string (e.g., "+03:00")
  */
 export const utcOffsetString = (ctx) => {
-    const offset = -ctx._d.getTimezoneOffset();
+    const offset = utcOffset(ctx);
     const sign = offset >= 0 ? '+' : '-';
     const absOffset = Math.abs(offset);
     const hours = String(Math.floor(absOffset / 60)).padStart(2, '0');
@@ -315,6 +463,16 @@ export const COMMON_TIMEZONES = [
 export default {
     tz,
     tzChainable,
+    toUTC,
+    toLocal,
+    isUTC,
+    zoneOffset,
+    assertZone,
+    getZone,
+    toWall,
+    fromWall,
+    zonedDate,
+    wallDate,
     toTimezone,
     getTimezone,
     utcOffset,
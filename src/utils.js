@@ -7,23 +7,32 @@
  * - Inline calculations where possible
  * - Lookup tables for leap years and days in month
  * - Timestamp arithmetic instead of Date object manipulation
+ * - Calendar fields read through wall-clock views (zoned instances)
  */
 
 import {
     MS_PER_SECOND, MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY, MS_PER_WEEK,
-    UNIT_MAP, normalizeUnit, isLeapYear as isLeapYearNum, DAYS_IN_MONTH, CUMULATIVE_DAYS
+    UNIT_MAP, normalizeUnit, isLeapYear as isLeapYearNum, DAYS_IN_MONTH, CUMULATIVE_DAYS, getDaysInMonth
 } from './constants.js';
+import { getZone, zonedDate, wallDate, toWall, fromWall } from './timezone.js';
+import { addZoned } from './manipulate.js';
+import { getConfig } from './config.js';
+import { calendarLookup } from './holidays.js';
 
 /**
- * Factory placeholder for circular dependency
+ * Factory placeholders for circular dependency
  */
 let nanoFactory;
+let derive;
 
 /**
  * Initialize with nano factory
+ * @param {Function} factory - nano factory function
+ * @param {Function} deriveFn - Creates a NanoDate inheriting context settings
  */
-export const initUtils = (factory) => {
+export const initUtils = (factory, deriveFn) => {
     nanoFactory = factory;
+    derive = deriveFn;
 };
 
 // Note: UNIT_MAP, MS constants, normalizeUnit, isLeapYear, DAYS_IN_MONTH
@@ -32,11 +41,13 @@ export const initUtils = (factory) => {
 /**
  * Get the Date object from input (NanoDate or Date or string)
  * Optimized with early returns and getTime() for fast cloning
+ * Strings are parsed like nano() (date-only ISO is local time, not UTC)
  */
 const toDate = (input) => {
     if (!input) return new Date();
     if (input._d) return input._d;
     if (input instanceof Date) return input;
+    if (typeof input === 'string') return nanoFactory(input)._d;
     return new Date(input);
 };
 
@@ -48,13 +59,18 @@ const toTimestamp = (input) => {
     if (input._d) return input._d.getTime();
     if (input instanceof Date) return input.getTime();
     if (typeof input === 'number') return input;
-    return new Date(input).getTime();
+    return toDate(input).getTime();
 };
 
 /**
  * Calculate difference between two dates
  * Optimized with timestamp arithmetic
  * 
+ * Months, quarters and years are calendar differences (moment-compatible):
+ * whole months by the calendar of ctx, the rest interpolated over the
+ * month around the anchor (May 16 - May 1 = 15/30 = 0.5 months).
+ * Without precise the result is truncated toward zero.
+ * 
  * @param {Object} ctx - NanoDate context
  * @param {Object|Date|string} other - Date to compare with
  * @param {string} [unit='millisecond'] - Unit for result
@@ -71,10 +87,13 @@ export const diff = (ctx, other, unit = 'millisecond', precise = false) => {
 
     switch (u) {
         case 'year':
-            result = monthDiff(ctx._d, toDate(other)) / 12;
+            result = monthDiff(thisTime, otherTime, getZone(ctx)) / 12;
+            break;
+        case 'quarter':
+            result = monthDiff(thisTime, otherTime, getZone(ctx)) / 3;
             break;
         case 'month':
-            result = monthDiff(ctx._d, toDate(other));
+            result = monthDiff(thisTime, otherTime, getZone(ctx));
             break;
         case 'week':
             result = diffMs / MS_PER_WEEK;
@@ -96,25 +115,39 @@ export const diff = (ctx, other, unit = 'millisecond', precise = false) => {
             result = diffMs;
     }
 
-    return precise ? result : (result | 0);  // Bitwise OR is faster than Math.trunc for integers
+    // Math.trunc, not | 0: millisecond diffs beyond ~24.8 days overflow 32 bits
+    return precise ? result : Math.trunc(result) || 0;
 };
 
 /**
- * Calculate month difference (helper)
+ * Month difference a - b with anchor interpolation (moment's monthDiff)
+ * Whole months are added to a (clamped to month end) to get next to b; the
+ * remainder is a fraction of the month between the two nearest anchors
+ * Antisymmetric: monthDiff(a, b) === -monthDiff(b, a)
+ * 
+ * @param {number} a - Timestamp
+ * @param {number} b - Timestamp
+ * @param {string} [zone] - IANA timezone for the calendar (host local time if omitted)
+ * @returns {number} Months (float)
  */
-const monthDiff = (a, b) => {
-    const yearDiff = a.getFullYear() - b.getFullYear();
-    const monthDiff = a.getMonth() - b.getMonth();
-    const dayDiff = a.getDate() - b.getDate();
+const monthDiff = (a, b, zone) => {
+    const wa = new Date(toWall(a, zone));
+    const wb = new Date(toWall(b, zone));
+
+    // Month-end clamping is only right when a's day is the later one - swap otherwise
+    if (wa.getUTCDate() < wb.getUTCDate()) return -monthDiff(b, a, zone);
 
-    let months = yearDiff * 12 + monthDiff;
+    const whole = (wb.getUTCFullYear() - wa.getUTCFullYear()) * 12 + wb.getUTCMonth() - wa.getUTCMonth();
+    const anchor = addZoned(a, whole, 'month', zone);
 
-    // Adjust for partial months
-    if (dayDiff < 0) {
-        months -= 1;
+    let adjust;
+    if (b - anchor < 0) {
+        adjust = (b - anchor) / (anchor - addZoned(a, whole - 1, 'month', zone));
+    } else {
+        adjust = (b - anchor) / (addZoned(a, whole + 1, 'month', zone) - anchor);
     }
 
-    return months;
+    return -(whole + adjust) || 0;
 };
 
 /**
@@ -125,7 +158,7 @@ export const isBefore = (ctx, other, unit) => {
     if (!unit) {
         return ctx._d.getTime() < toTimestamp(other);
     }
-    return truncateToUnit(ctx._d, unit) < truncateToUnit(toDate(other), unit);
+    return truncateToUnit(wallDate(ctx), unit) < truncateToUnit(zonedDate(toDate(other), getZone(ctx)), unit);
 };
 
 /**
@@ -136,7 +169,7 @@ export const isAfter = (ctx, other, unit) => {
     if (!unit) {
         return ctx._d.getTime() > toTimestamp(other);
     }
-    return truncateToUnit(ctx._d, unit) > truncateToUnit(toDate(other), unit);
+    return truncateToUnit(wallDate(ctx), unit) > truncateToUnit(zonedDate(toDate(other), getZone(ctx)), unit);
 };
 
 /**
@@ -147,7 +180,7 @@ export const isSame = (ctx, other, unit) => {
     if (!unit) {
         return ctx._d.getTime() === toTimestamp(other);
     }
-    return truncateToUnit(ctx._d, unit) === truncateToUnit(toDate(other), unit);
+    return truncateToUnit(wallDate(ctx), unit) === truncateToUnit(zonedDate(toDate(other), getZone(ctx)), unit);
 };
 
 /**
@@ -158,7 +191,7 @@ export const isSameOrBefore = (ctx, other, unit) => {
     if (!unit) {
         return ctx._d.getTime() <= toTimestamp(other);
     }
-    return truncateToUnit(ctx._d, unit) <= truncateToUnit(toDate(other), unit);
+    return truncateToUnit(wallDate(ctx), unit) <= truncateToUnit(zonedDate(toDate(other), getZone(ctx)), unit);
 };
 
 /**
@@ -169,16 +202,17 @@ export const isSameOrAfter = (ctx, other, unit) => {
     if (!unit) {
         return ctx._d.getTime() >= toTimestamp(other);
     }
-    return truncateToUnit(ctx._d, unit) >= truncateToUnit(toDate(other), unit);
+    return truncateToUnit(wallDate(ctx), unit) >= truncateToUnit(zonedDate(toDate(other), getZone(ctx)), unit);
 };
 
 /**
  * Check if date is between two dates
  */
 export const isBetween = (ctx, start, end, unit, inclusivity = '()') => {
-    const startDate = toDate(start);
-    const endDate = toDate(end);
-    const selfTime = unit ? truncateToUnit(ctx._d, unit) : ctx._d.getTime();
+    const zone = getZone(ctx);
+    const startDate = zonedDate(toDate(start), zone);
+    const endDate = zonedDate(toDate(end), zone);
+    const selfTime = unit ? truncateToUnit(wallDate(ctx), unit) : ctx._d.getTime();
     const startTime = unit ? truncateToUnit(startDate, unit) : startDate.getTime();
     const endTime = unit ? truncateToUnit(endDate, unit) : endDate.getTime();
 
@@ -191,6 +225,7 @@ export const isBetween = (ctx, start, end, unit, inclusivity = '()') => {
 /**
  * Truncate date to unit level for comparison
  * Optimized with early numeric returns for year/month
+ * Accepts Date or zoned view - both expose local-style getters
  */
 const truncateToUnit = (date, unit) => {
     const u = normalizeUnit(unit);
@@ -217,31 +252,35 @@ const truncateToUnit = (date, unit) => {
     }
 };
 
-/**
- * Check if a date is calendrically valid
- * Uses lookup table for days in month
- */
-const isCalendarValid = (year, month, day) => {
-    if (month < 1 || month > 12 || day < 1) return false;
-    const maxDay = month === 2 && isLeapYearNum(year) ? 29 : DAYS_IN_MONTH[month - 1];
-    return day <= maxDay;
-};
-
 /**
  * Parse date string and extract components for validation
+ * Positions are indexes in the string for InvalidDateError diagnostics
  * @param {string} str - Date string
  * @returns {Object|null} Parsed components or null
  */
 const parseDateString = (str) => {
     if (typeof str !== 'string') return null;
 
-    // ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss
-    const isoMatch = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    // ISO format: YYYY-MM-DD[THH:mm:ss] or basic YYYYMMDD[THHmmss]
+    const isoMatch = str.match(/^(\d{4})(-?)(\d{2})\2(\d{2})(?:[Tt ](\d{2})(:?)(\d{2})(?:\6(\d{2}))?)?/);
     if (isoMatch) {
+        const sep = isoMatch[2].length;
+        const timeSep = isoMatch[6] ? 1 : 0;
+        const hourPos = 9 + 2 * sep;
         return {
             year: parseInt(isoMatch[1], 10),
-            month: parseInt(isoMatch[2], 10),
-            day: parseInt(isoMatch[3], 10)
+            month: parseInt(isoMatch[3], 10),
+            day: parseInt(isoMatch[4], 10),
+            hour: isoMatch[5] === undefined ? 0 : parseInt(isoMatch[5], 10),
+            minute: isoMatch[7] === undefined ? 0 : parseInt(isoMatch[7], 10),
+            second: isoMatch[8] === undefined ? 0 : parseInt(isoMatch[8], 10),
+            pos: {
+                month: 4 + sep,
+                day: 6 + 2 * sep,
+                hour: hourPos,
+                minute: hourPos + 2 + timeSep,
+                second: hourPos + 4 + 2 * timeSep
+            }
         };
     }
 
@@ -251,7 +290,11 @@ const parseDateString = (str) => {
         return {
             year: parseInt(slashMatch[3], 10),
             month: parseInt(slashMatch[1], 10),
-            day: parseInt(slashMatch[2], 10)
+            day: parseInt(slashMatch[2], 10),
+            hour: 0,
+            minute: 0,
+            second: 0,
+            pos: { month: 0, day: slashMatch[1].length + 1 }
         };
     }
 
@@ -259,56 +302,70 @@ const parseDateString = (str) => {
 };
 
 /**
- * Check if date is valid
- * Performs both JavaScript Date validity and calendar validity checks
+ * Explain why a date is invalid
+ * Used by isValid() and by strict factories for InvalidDateError details
  * 
  * @param {Object} ctx - NanoDate context
- * @returns {boolean} True if date is valid
+ * @returns {Object|null} { reason, field?, position? } or null if valid
  */
-export const isValid = (ctx) => {
+export const invalidReason = (ctx) => {
     // First check: JavaScript Date must be valid
     if (!(ctx._d instanceof Date) || isNaN(ctx._d.getTime())) {
-        return false;
+        return { reason: 'unparseable' };
     }
 
     // If original input was a string, validate against calendar
     if (ctx._input !== undefined && typeof ctx._input === 'string') {
-        const parsed = parseDateString(ctx._input);
-        if (parsed) {
-            // Check if the parsed date matches what Date created
-            // This catches cases like Feb 30 which JS converts to Mar 2
-            const d = ctx._d;
-            const matchesInput =
-                d.getFullYear() === parsed.year &&
-                (d.getMonth() + 1) === parsed.month &&
-                d.getDate() === parsed.day;
-
-            if (!matchesInput) {
-                return false;
+        const p = parseDateString(ctx._input);
+        if (p) {
+            const outOfRange = (field) => ({ reason: 'out-of-range', field, position: p.pos[field] });
+            if (p.month < 1 || p.month > 12) return outOfRange('month');
+            if (p.day < 1 || p.day > 31) return outOfRange('day');
+            if (p.day > getDaysInMonth(p.year, p.month - 1)) {
+                return { reason: 'calendar-overflow', field: 'day', position: p.pos.day };
             }
+            // 24:00 (end of day) is the only valid hour 24
+            if (p.hour > 24 || (p.hour === 24 && (p.minute || p.second))) return outOfRange('hour');
+            if (p.minute > 59) return outOfRange('minute');
+            if (p.second > 59) return outOfRange('second');
 
-            return isCalendarValid(parsed.year, parsed.month, parsed.day);
+            // Check if the parsed date matches what Date created
+            // This catches any remaining roll-over (24:00 belongs to the previous day)
+            const d = p.hour === 24 ? zonedDate(new Date(ctx._d.getTime() - 1), getZone(ctx)) : wallDate(ctx);
+            if (d.getFullYear() !== p.year || (d.getMonth() + 1) !== p.month || d.getDate() !== p.day) {
+                return { reason: 'calendar-overflow', field: 'day', position: p.pos.day };
+            }
         }
     }
 
     // For Date objects or timestamps, just check JS Date validity
-    return true;
+    return null;
 };
 
+/**
+ * Check if date is valid
+ * Performs both JavaScript Date validity and calendar validity checks
+ * 
+ * @param {Object} ctx - NanoDate context
+ * @returns {boolean} True if date is valid
+ */
+export const isValid = (ctx) => invalidReason(ctx) === null;
+
 /**
  * Check if year is a leap year
  * Uses optimized bitwise check
  */
-export const isLeapYear = (ctx) => isLeapYearNum(ctx._d.getFullYear());
+export const isLeapYear = (ctx) => isLeapYearNum(wallDate(ctx).getFullYear());
 
 /**
  * Get days in month
  * Uses lookup table with leap year adjustment
  */
 export const daysInMonth = (ctx) => {
-    const month = ctx._d.getMonth();
+    const d = wallDate(ctx);
+    const month = d.getMonth();
     if (month === 1) { // February
-        return isLeapYearNum(ctx._d.getFullYear()) ? 29 : 28;
+        return isLeapYearNum(d.getFullYear()) ? 29 : 28;
     }
     return DAYS_IN_MONTH[month];
 };
@@ -319,7 +376,7 @@ export const daysInMonth = (ctx) => {
  */
 
 export const dayOfYear = (ctx) => {
-    const d = ctx._d;
+    const d = wallDate(ctx);
     const month = d.getMonth();
     const day = d.getDate();
     let doy = CUMULATIVE_DAYS[month] + day;
@@ -334,7 +391,8 @@ export const dayOfYear = (ctx) => {
  * Get week of year (ISO week)
  */
 export const week = (ctx) => {
-    const d = new Date(Date.UTC(ctx._d.getFullYear(), ctx._d.getMonth(), ctx._d.getDate()));
+    const w = wallDate(ctx);
+    const d = new Date(Date.UTC(w.getFullYear(), w.getMonth(), w.getDate()));
     const dayNum = d.getUTCDay() || 7;
     d.setUTCDate(d.getUTCDate() + 4 - dayNum);
     const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
@@ -345,7 +403,7 @@ export const week = (ctx) => {
  * Get quarter (1-4)
  */
 export const quarter = (ctx) => {
-    return Math.floor(ctx._d.getMonth() / 3) + 1;
+    return Math.floor(wallDate(ctx).getMonth() / 3) + 1;
 };
 
 /**
@@ -371,15 +429,22 @@ export const max = (...dates) => {
 // ============================================
 
 /**
- * Get date string in YYYY-MM-DD format (local time)
+ * Build YYYY-MM-DD key from calendar fields (month 1-12)
  */
-const toDateString = (d) => {
-    const year = d.getFullYear();
-    const month = d.getMonth() + 1;
-    const day = d.getDate();
+const dateKey = (year, month, day) => {
     return year + '-' + (month < 10 ? '0' : '') + month + '-' + (day < 10 ? '0' : '') + day;
 };
 
+/**
+ * Get date string in YYYY-MM-DD format (local time, or zoned view fields)
+ */
+const toDateString = (d) => dateKey(d.getFullYear(), d.getMonth() + 1, d.getDate());
+
+/**
+ * Get date string in YYYY-MM-DD format from a wall-clock Date (UTC fields)
+ */
+const toWallDateString = (w) => dateKey(w.getUTCFullYear(), w.getUTCMonth() + 1, w.getUTCDate());
+
 /**
  * Build optimized holiday lookup set
  * @param {Array<Date|string>} holidays - Array of holiday dates
@@ -403,26 +468,206 @@ const buildHolidaySet = (holidays) => {
 };
 
 /**
- * Check if a date is a business day (Mon-Fri, not a holiday)
+ * Default weekend (Saturday, Sunday) as a weekday bit mask (bit n = getDay() n)
+ */
+const DEFAULT_WEEKEND = (1 << 6) | 1;
+
+/**
+ * Weekends read from Intl week data, by region or locale
+ */
+const regionWeekends = new Map();
+
+/**
+ * Weekend days of a region or locale from Intl.Locale week data
+ * Falls back to Saturday/Sunday where the runtime has no week data
+ * @private
+ */
+const weekendOfRegion = (region) => {
+    let days = regionWeekends.get(region);
+    if (!days) {
+        const locale = new Intl.Locale(/^([A-Z]{2}|\d{3})$/i.test(region) ? 'und-' + region : region);
+        const info = typeof locale.getWeekInfo === 'function' ? locale.getWeekInfo() : locale.weekInfo;
+        days = info ? info.weekend.map((d) => d % 7) : [6, 0];
+        regionWeekends.set(region, days);
+    }
+    return days;
+};
+
+/**
+ * Resolve a weekend definition to weekday numbers (0 = Sunday ... 6 = Saturday)
+ * 
+ * @param {number[]|string} weekend - Weekday numbers (7 is also Sunday), or a region / locale
+ *   whose Intl week data defines the weekend ('IL', 'AE', 'he-IL')
+ * @returns {number[]} Sorted weekday numbers
+ * @throws {RangeError} If the definition is invalid or covers the whole week
+ * 
+ * @example
+ * resolveWeekend([5, 6])  // [5, 6] (Friday, Saturday)
+ * resolveWeekend('IL')    // [5, 6] from Intl week data
+ */
+export const resolveWeekend = (weekend) => {
+    const days = typeof weekend === 'string' ? weekendOfRegion(weekend) : weekend;
+    if (!Array.isArray(days) || !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 7)) {
+        throw new RangeError('Invalid weekend: ' + weekend);
+    }
+    const unique = [...new Set(days.map((d) => d % 7))].sort();
+    if (unique.length === 7) throw new RangeError('Weekend cannot cover the whole week');
+    return unique;
+};
+
+/**
+ * Weekday of a day number (days since the epoch, 0 = Sunday)
+ */
+const weekdayOfDay = (day) => (((day + 4) % 7) + 7) % 7;
+
+/**
+ * Index of the first element >= value in a sorted array
+ */
+const lowerBound = (sorted, value) => {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (sorted[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+/**
+ * Count day numbers of a sorted index within [from, to]
+ */
+const countIn = (sorted, from, to) => lowerBound(sorted, to + 1) - lowerBound(sorted, from);
+
+/**
+ * Counter of holidays falling on working days within a day range [from, to]
+ * Explicit holidays become a sorted day index (built on first use, calendar days left out
+ * so sources never overlap); calendars add their cached per-year indexes
+ * 
+ * @param {Set<string>|null} set - Explicit holiday keys
+ * @param {Object|null} calendar - nano.holidays calendar lookup
+ * @param {number} weekend - Weekend bit mask
+ * @returns {Function} (from, to) => number of holidays
+ * @private
+ */
+const holidayCounter = (set, calendar, weekend) => {
+    let sorted = null;
+    return (from, to) => {
+        let count = 0;
+        if (from > to) return count;
+        if (set) {
+            if (!sorted) {
+                sorted = [];
+                for (const key of set) {
+                    const day = Date.UTC(+key.slice(0, 4), +key.slice(5, 7) - 1, +key.slice(8, 10)) / MS_PER_DAY;
+                    // Skip unparseable / overflowing keys (never matched a day) and weekend days
+                    if (isNaN(day) || toWallDateString(new Date(day * MS_PER_DAY)) !== key) continue;
+                    if ((weekend >> weekdayOfDay(day)) & 1 || (calendar && calendar.has(key))) continue;
+                    sorted.push(day);
+                }
+                sorted.sort((a, b) => a - b);
+            }
+            count += countIn(sorted, from, to);
+        }
+        if (calendar) {
+            const first = new Date(from * MS_PER_DAY).getUTCFullYear();
+            const last = new Date(to * MS_PER_DAY).getUTCFullYear();
+            for (let year = first; year <= last; year++) {
+                const index = calendar.index(year, weekend);
+                count += year > first && year < last ? index.length : countIn(index, from, to);
+            }
+        }
+        return count;
+    };
+};
+
+/**
+ * Resolve business-day options of a call
+ * A plain array is the holiday list (original signature)
+ * Weekend: options.weekend > calendar weekend > config({ weekend }) > Saturday/Sunday
+ * 
+ * @param {Object} ctx - NanoDate context (config of its scope)
+ * @param {Array|Object} [options] - Holidays, or { weekend, holidays, calendar }
+ * @returns {Object} { weekend: bit mask, perWeek: working days per week,
+ *   holidays: { has(key) } | null, count(from, to): holidays on working days in a day range }
+ * @throws {RangeError} If the calendar is not defined
+ * @private
+ */
+const businessRules = (ctx, options) => {
+    const opts = Array.isArray(options) ? { holidays: options } : options || {};
+    const calendar = opts.calendar ? calendarLookup(opts.calendar) : null;
+    const days = opts.weekend != null ? resolveWeekend(opts.weekend)
+        : (calendar && calendar.weekend) || getConfig(ctx).weekend;
+    const set = buildHolidaySet(opts.holidays);
+    const weekend = days ? days.reduce((mask, d) => mask | (1 << d), 0) : DEFAULT_WEEKEND;
+
+    let perWeek = 7;
+    for (let d = 0; d < 7; d++) perWeek -= (weekend >> d) & 1;
+
+    return {
+        weekend,
+        perWeek,
+        holidays: calendar && set ? { has: (key) => set.has(key) || calendar.has(key) } : calendar || set,
+        count: holidayCounter(set, calendar, weekend)
+    };
+};
+
+/**
+ * Working (non-weekend) days in the day range (from, to] - closed form
+ * Whole weeks contribute perWeek each; only the remainder (< 7 days) is inspected
+ * @private
+ */
+const countWorkdays = (from, to, weekend, perWeek) => {
+    const span = to - from;
+    let count = Math.floor(span / 7) * perWeek;
+    for (let day = to - (span % 7) + 1; day <= to; day++) {
+        if (!((weekend >> weekdayOfDay(day)) & 1)) count++;
+    }
+    return count;
+};
+
+/**
+ * Day reached by moving n working (non-weekend) days from a day number - closed form
+ * Whole weeks are jumped; at most 7 single days are stepped
+ * @private
+ */
+const shiftWorkdays = (from, n, weekend, perWeek) => {
+    const step = n > 0 ? 1 : -1;
+    let remaining = Math.abs(n);
+    const weeks = Math.floor((remaining - 1) / perWeek);
+    let day = from + step * weeks * 7;
+    remaining -= weeks * perWeek;
+    while (remaining > 0) {
+        day += step;
+        if (!((weekend >> weekdayOfDay(day)) & 1)) remaining--;
+    }
+    return day;
+};
+
+/**
+ * Check if a date is a business day (not a weekend day or holiday)
+ * Weekend: options.weekend > config({ weekend }) > Saturday/Sunday
  * 
  * @param {Object} ctx - NanoDate context
- * @param {Array<Date|string>} [holidays=[]] - Array of holiday dates
+ * @param {Array<Date|string>|Object} [options] - Holidays, or { weekend, holidays, calendar }
  * @returns {boolean} True if business day
+ * 
+ * @example
+ * isBusinessDay(ctx, { weekend: [5, 6] })   // Friday/Saturday weekend
+ * isBusinessDay(ctx, { calendar: 'TR' })    // Holidays of a nano.holidays calendar
  */
-export const isBusinessDay = (ctx, holidays = []) => {
-    const dayOfWeek = ctx._d.getDay();
+export const isBusinessDay = (ctx, options) => {
+    const { weekend, holidays } = businessRules(ctx, options);
+    const d = wallDate(ctx);
 
-    // Weekend check (0 = Sunday, 6 = Saturday) - most common rejection
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
+    // Weekend check - most common rejection
+    if ((weekend >> d.getDay()) & 1) {
         return false;
     }
 
     // Holiday check - only if holidays provided
-    if (holidays.length > 0) {
-        const holidaySet = buildHolidaySet(holidays);
-        if (holidaySet && holidaySet.has(toDateString(ctx._d))) {
-            return false;
-        }
+    if (holidays && holidays.has(toDateString(d))) {
+        return false;
     }
 
     return true;
@@ -433,39 +678,34 @@ export const isBusinessDay = (ctx, holidays = []) => {
  * 
  * @param {Object} ctx - NanoDate context
  * @param {number} days - Number of business days to add (can be negative)
- * @param {Array<Date|string>} [holidays=[]] - Array of holiday dates
+ * @param {Array<Date|string>|Object} [options] - Holidays, or { weekend, holidays, calendar }
  * @returns {Proxy} New NanoDate instance
  * 
  * @example
- * addBusinessDays(ctx, 5)               // Add 5 business days
- * addBusinessDays(ctx, -3, holidays)    // Subtract 3 business days
+ * addBusinessDays(ctx, 5)                        // Add 5 business days
+ * addBusinessDays(ctx, -3, holidays)             // Subtract 3 business days
+ * addBusinessDays(ctx, 5, { weekend: 'IL' })     // Weekend from Intl week data
  */
-export const addBusinessDays = (ctx, days, holidays = []) => {
-    // Build holiday set once
-    const holidaySet = buildHolidaySet(holidays);
-
-    const result = new Date(ctx._d.getTime());
-    let remaining = Math.abs(days);
-    const direction = days >= 0 ? 1 : -1;
-
-    while (remaining > 0) {
-        result.setDate(result.getDate() + direction);
-        const dayOfWeek = result.getDay();
-
-        // Skip weekends
-        if (dayOfWeek === 0 || dayOfWeek === 6) {
-            continue;
-        }
-
-        // Skip holidays
-        if (holidaySet && holidaySet.has(toDateString(result))) {
-            continue;
-        }
-
-        remaining--;
+export const addBusinessDays = (ctx, days, options) => {
+    // Resolve weekend and holiday index once
+    const { weekend, perWeek, count } = businessRules(ctx, options);
+
+    // Count wall-clock days so zoned instances count days in their zone
+    const zone = getZone(ctx);
+    const wall = toWall(ctx._d.getTime(), zone);
+    const start = Math.floor(wall / MS_PER_DAY);
+
+    // Jump over weekends in closed form, then cover the holidays passed on the way:
+    // each round moves by the number of holidays found in the previous round's span
+    let day = start;
+    let remaining = days || 0;
+    while (remaining !== 0) {
+        const next = shiftWorkdays(day, remaining, weekend, perWeek);
+        remaining = remaining > 0 ? count(day + 1, next) : -count(next, day - 1);
+        day = next;
     }
 
-    return nanoFactory(result, ctx._l);
+    return derive(ctx, new Date(fromWall(wall + (day - start) * MS_PER_DAY, zone)));
 };
 
 /**
@@ -473,65 +713,52 @@ export const addBusinessDays = (ctx, days, holidays = []) => {
  * 
  * @param {Object} ctx - NanoDate context (start date)
  * @param {Object|Date|string} other - End date
- * @param {Array<Date|string>} [holidays=[]] - Array of holiday dates
+ * @param {Array<Date|string>|Object} [options] - Holidays, or { weekend, holidays, calendar }
  * @returns {number} Number of business days (can be negative)
  * 
  * @example
  * diffBusinessDays(ctx, '2026-01-31')          // Business days until Jan 31
  * diffBusinessDays(ctx, otherDate, holidays)   // With holiday exclusion
  */
-export const diffBusinessDays = (ctx, other, holidays = []) => {
+export const diffBusinessDays = (ctx, other, options) => {
     const otherDate = toDate(other);
-    const start = new Date(Math.min(ctx._d.getTime(), otherDate.getTime()));
-    const end = new Date(Math.max(ctx._d.getTime(), otherDate.getTime()));
-
-    // Build holiday set once
-    const holidaySet = buildHolidaySet(holidays);
+    const zone = getZone(ctx);
+    const selfWall = toWall(ctx._d.getTime(), zone);
+    const otherWall = toWall(otherDate.getTime(), zone);
+    const start = Math.min(selfWall, otherWall);
 
-    let count = 0;
-    const current = new Date(start.getTime());
+    // Resolve weekend and holiday index once
+    const { weekend, perWeek, count } = businessRules(ctx, options);
 
-    while (current < end) {
-        current.setDate(current.getDate() + 1);
-        const dayOfWeek = current.getDay();
-
-        // Skip weekends
-        if (dayOfWeek === 0 || dayOfWeek === 6) {
-            continue;
-        }
-
-        // Skip holidays
-        if (holidaySet && holidaySet.has(toDateString(current))) {
-            continue;
-        }
-
-        count++;
-    }
+    // Days after the start day, up to the first one at or past the end time
+    const from = Math.floor(start / MS_PER_DAY);
+    const to = from + Math.ceil((Math.max(selfWall, otherWall) - start) / MS_PER_DAY);
+    const total = countWorkdays(from, to, weekend, perWeek) - count(from + 1, to);
 
     // Return negative if ctx is after other
-    return ctx._d.getTime() > otherDate.getTime() ? count : -count;
+    return ctx._d.getTime() > otherDate.getTime() ? total : -total;
 };
 
 /**
  * Get next business day
  * 
  * @param {Object} ctx - NanoDate context
- * @param {Array<Date|string>} [holidays=[]] - Array of holiday dates
+ * @param {Array<Date|string>|Object} [options] - Holidays, or { weekend, holidays, calendar }
  * @returns {Proxy} New NanoDate instance
  */
-export const nextBusinessDay = (ctx, holidays = []) => {
-    return addBusinessDays(ctx, 1, holidays);
+export const nextBusinessDay = (ctx, options) => {
+    return addBusinessDays(ctx, 1, options);
 };
 
 /**
  * Get previous business day
  * 
  * @param {Object} ctx - NanoDate context
- * @param {Array<Date|string>} [holidays=[]] - Array of holiday dates
+ * @param {Array<Date|string>|Object} [options] - Holidays, or { weekend, holidays, calendar }
  * @returns {Proxy} New NanoDate instance
  */
-export const prevBusinessDay = (ctx, holidays = []) => {
-    return addBusinessDays(ctx, -1, holidays);
+export const prevBusinessDay = (ctx, options) => {
+    return addBusinessDays(ctx, -1, options);
 };
 
 export default {
@@ -543,6 +770,7 @@ export default {
     isSameOrAfter,
     isBetween,
     isValid,
+    invalidReason,
     isLeapYear,
     daysInMonth,
     dayOfYear,
@@ -3,7 +3,7 @@
  * Using Vitest
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { nano, utc, fromUnix, checkIntlSupport } from '../src/index.js';
 
 describe('NanoDate Core', () => {
@@ -50,6 +50,48 @@ describe('NanoDate Core', () => {
         });
     });
 
+    describe('ISO 8601 parsing', () => {
+        const local = (s) => nano(s).format('YYYY-MM-DD HH:mm:ss.SSS');
+
+        it('should parse week, ordinal and basic dates', () => {
+            expect(local('2026-W04-3')).toBe('2026-01-21 00:00:00.000');
+            expect(local('2026W043')).toBe('2026-01-21 00:00:00.000');
+            expect(local('2026-W04')).toBe('2026-01-19 00:00:00.000');
+            expect(local('2020-W53-7')).toBe('2021-01-03 00:00:00.000');
+            expect(local('2026-021')).toBe('2026-01-21 00:00:00.000');
+            expect(local('2024-366')).toBe('2024-12-31 00:00:00.000');
+            expect(local('20260121T103045')).toBe('2026-01-21 10:30:45.000');
+            expect(nano('2025-W53-1').isValid()).toBe(false);
+            expect(nano('2026-366').isValid()).toBe(false);
+        });
+
+        it('should accept space, lowercase t/z, long fractions and 24:00', () => {
+            expect(local('2026-01-21 10:30')).toBe('2026-01-21 10:30:00.000');
+            expect(nano('2026-01-21t10:30:45z').valueOf()).toBe(Date.UTC(2026, 0, 21, 10, 30, 45));
+            expect(nano('2026-01-21T10:30:45.123456789+03:00').valueOf()).toBe(Date.UTC(2026, 0, 21, 7, 30, 45, 123));
+            expect(nano('2026-01-21T10:30,5Z').valueOf()).toBe(Date.UTC(2026, 0, 21, 10, 30, 30));
+            expect(nano('20260121T1030+0530').valueOf()).toBe(Date.UTC(2026, 0, 21, 5, 0));
+            expect(local('2026-01-21T24:00')).toBe('2026-01-22 00:00:00.000');
+        });
+
+        it('should parse expanded and two-digit years', () => {
+            expect(nano('+012026-01-01T00:00Z').valueOf()).toBe(new Date('+012026-01-01T00:00:00Z').getTime());
+            expect(nano('-000001-06-01T00:00Z').year()).toBe(-1);
+            expect(nano('0050-03-01').year()).toBe(50);
+        });
+
+        it('should report the precision given', () => {
+            expect(nano('2026').precision()).toBe('year');
+            expect(nano('2026-01').precision()).toBe('month');
+            expect(nano('2026-W04').precision()).toBe('week');
+            expect(nano('2026-01-21').precision()).toBe('day');
+            expect(nano('2026-01-21T10').precision()).toBe('hour');
+            expect(nano('2026-01-21T10:30:45Z').precision()).toBe('second');
+            expect(nano('2026-01-21T10:30:45.123456Z').precision()).toBe('microsecond');
+            expect(nano(Date.now()).precision()).toBe(null);
+        });
+    });
+
     describe('fromUnix()', () => {
         it('should create from Unix timestamp (seconds)', () => {
             const ts = 1737452400; // seconds
@@ -185,6 +227,72 @@ describe('NanoDate Manipulation', () => {
             expect(original.date()).toBe(21);
             expect(modified.date()).toBe(22);
         });
+
+        it('should add Durations and component objects, calendar units first', () => {
+            const date = nano('2026-01-31T10:00');
+            // Jan 31 + 1M = Feb 28, + 2D = Mar 2, + 3H
+            expect(date.add(nano.duration('P1M2DT3H')).format('YYYY-MM-DD HH:mm')).toBe('2026-03-02 13:00');
+            expect(date.add({ months: 1 }).format('YYYY-MM-DD')).toBe('2026-02-28');
+            expect(date.add({ M: 1, d: 2 }).format('YYYY-MM-DD')).toBe('2026-03-02');
+            expect(date.batch().add({ months: 1, hours: 1 }).done().format('YYYY-MM-DD HH:mm')).toBe('2026-02-28 11:00');
+            expect(date.chain().add(nano.duration('P1M')).value().format('YYYY-MM-DD')).toBe('2026-02-28');
+        });
+
+        it('should add Duration days in wall time for zoned instances', () => {
+            // New York spring-forward night: 1 day keeps the wall clock, 25 hours do not
+            const ny = nano('2026-03-07T17:00:00Z').toTz('America/New_York');
+            expect(ny.add({ days: 1, hours: 1 }).format('YYYY-MM-DD HH:mm')).toBe('2026-03-08 13:00');
+            expect(ny.add(nano.duration('PT25H')).format('YYYY-MM-DD HH:mm')).toBe('2026-03-08 14:00');
+        });
+
+        it('should add local days the same way through every call shape', () => {
+            // US and EU DST nights: whatever the host zone, a day keeps the wall clock
+            ['2026-03-07T12:00', '2026-03-28T12:00', '2026-10-24T12:00', '2026-10-31T12:00'].forEach((input) => {
+                const date = nano(input);
+                const byObject = date.add({ days: 1 }).valueOf();
+                expect(date.add(1, 'day').valueOf()).toBe(byObject);
+                expect(date.batch().add(1, 'day').done().valueOf()).toBe(byObject);
+                expect(date.chain().add(1, 'day').value().valueOf()).toBe(byObject);
+                expect(date.add(1, 'week').hour()).toBe(12);
+                expect(date.subtract(1, 'day').hour()).toBe(12);
+            });
+        });
+
+        it('should keep fractions of a day as exact time', () => {
+            const date = nano('2026-01-01T00:00');
+            const expected = nano('2026-01-02T12:00').valueOf();
+            expect(date.add(1.5, 'day').valueOf()).toBe(expected);
+            expect(date.add({ days: 1.5 }).valueOf()).toBe(expected);
+            expect(date.add(nano.duration('P0.5D')).valueOf()).toBe(nano('2026-01-01T12:00').valueOf());
+            expect(date.batch().add(1.5, 'day').done().valueOf()).toBe(expected);
+            expect(date.chain().add(1.5, 'day').value().valueOf()).toBe(expected);
+            expect(date.subtract(0.5, 'day').valueOf()).toBe(nano('2025-12-31T12:00').valueOf());
+            expect([...nano.range(date, '2026-01-05', { step: 1.5 })].map((d) => d.format('D HH')))
+                .toEqual(['1 00', '2 12', '4 00']);
+            expect([...nano.range(date, '2026-01-02', { step: 0.5 })]).toHaveLength(2);
+        });
+
+        it('should clamp years and add quarters the same way through every call shape', () => {
+            const leap = nano('2024-02-29T10:00');
+            const results = [
+                leap.add(1, 'year'), leap.add({ years: 1 }), leap.add(nano.duration('P1Y')),
+                leap.batch().add(1, 'year').done(), leap.chain().add(1, 'year').value()
+            ].map((d) => d.format('YYYY-MM-DD HH:mm'));
+            expect(new Set(results)).toEqual(new Set(['2025-02-28 10:00']));
+            const date = nano('2026-01-31T10:00');
+            expect(date.add(1, 'quarter').format('YYYY-MM-DD HH:mm')).toBe('2026-04-30 10:00');
+            expect(date.subtract(1, 'Q').format('YYYY-MM-DD')).toBe('2025-10-31');
+            expect(date.chain().add(1, 'quarter').value().valueOf()).toBe(date.add({ quarters: 1 }).valueOf());
+        });
+
+        it('should reject objects that are not durations', () => {
+            const date = nano('2026-01-31T10:00');
+            expect(() => date.add(new Date())).toThrow(RangeError);
+            expect(() => date.add(nano('2026-01-01'))).toThrow(RangeError);
+            expect(() => date.add({ isoWeek: 1 })).toThrow(RangeError);
+            expect(() => date.subtract({ days: 1, foo: 1 })).toThrow(RangeError);
+            expect(() => date.chain().add({ foo: 1 })).toThrow(RangeError);
+        });
     });
 
     describe('subtract()', () => {
@@ -200,6 +308,14 @@ describe('NanoDate Manipulation', () => {
             expect(result.month()).toBe(11); // December
             expect(result.year()).toBe(2025);
         });
+
+        it('should subtract Durations and component objects', () => {
+            const date = nano('2026-03-31T10:00');
+            expect(date.subtract({ months: 1, days: 1 }).format('YYYY-MM-DD')).toBe('2026-02-27');
+            expect(date.subtract(nano.duration('P1MT3H')).format('YYYY-MM-DD HH:mm')).toBe('2026-02-28 07:00');
+            expect(date.batch().subtract({ months: 1 }).done().format('YYYY-MM-DD')).toBe('2026-02-28');
+            expect(date.chain().subtract({ months: 1 }).value().format('YYYY-MM-DD')).toBe('2026-02-28');
+        });
     });
 
     describe('startOf()', () => {
@@ -314,6 +430,29 @@ describe('NanoDate Comparison', () => {
             const y2030 = nano('2030-01-01');
             expect(y2030.diff(y2026, 'years')).toBe(4);
         });
+
+        it('should interpolate fractional months, quarters and years', () => {
+            expect(nano('2026-05-16').diff('2026-05-01', 'month', true)).toBe(0.5);
+            expect(nano('2027-07-01').diff('2026-01-01', 'year', true)).toBe(1.5);
+            expect(nano('2026-01-01').diff('2027-07-01', 'quarter', true)).toBe(-6);
+            // Month-end clamping: Jan 31 + 1 month = Feb 28
+            expect(nano('2026-01-31').diff('2026-02-28', 'month')).toBe(-1);
+            expect(nano('2026-03-31').diff('2026-02-28', 'month')).toBe(1);
+        });
+
+        it('should be antisymmetric for fractional months (moment-compatible)', () => {
+            // New York calendar: the March span includes the DST change, as in moment under that zone
+            const mid = nano('2026-03-15T04:00:00Z').toTz('America/New_York');
+            const end = nano('2026-01-31T05:00:00Z').toTz('America/New_York');
+            expect(mid.diff(end, 'month', true)).toBeCloseTo(1.4831763, 6);
+            expect(end.diff(mid, 'month', true)).toBeCloseTo(-1.4831763, 6);
+        });
+
+        it('should truncate toward zero without overflowing', () => {
+            expect(nano('2026-01-01').diff('2026-03-15', 'month')).toBe(-2);
+            expect(nano('2026-06-01T00:00:00Z').diff('2026-01-01T00:00:00Z')).toBe(13046400000);
+            expect(nano('2026-01-01').diff('2026-01-01T00:00:00.500', 'second')).toBe(0);
+        });
     });
 });
 
@@ -347,6 +486,39 @@ describe('NanoDate Timezone', () => {
         const offset = date.utcOffset();
         expect(typeof offset).toBe('number');
     });
+
+    describe('UTC mode', () => {
+        it('should format and read getters in UTC', () => {
+            const d = utc('2026-01-01T23:30Z');
+            expect(d.format('YYYY-MM-DD HH:mm')).toBe('2026-01-01 23:30');
+            expect(d.format('Z')).toBe('+00:00');
+            expect(d.hour()).toBe(23);
+            expect(d.toArray()).toEqual([2026, 0, 1, 23, 30, 0, 0]);
+            expect(d.utcOffset()).toBe(0);
+        });
+
+        it('should read strings without offset as UTC', () => {
+            expect(utc('2026-01-01T23:30').toISOString()).toBe('2026-01-01T23:30:00.000Z');
+        });
+
+        it('should manipulate in UTC', () => {
+            const d = utc('2026-01-31T23:30Z');
+            expect(d.startOf('day').toISOString()).toBe('2026-01-31T00:00:00.000Z');
+            expect(d.add(1, 'month').toISOString()).toBe('2026-02-28T23:30:00.000Z');
+            expect(d.endOf('month').toISOString()).toBe('2026-01-31T23:59:59.999Z');
+            expect(d.add(1, 'day').isUTC()).toBe(true);
+        });
+
+        it('should switch modes with utc() and local()', () => {
+            const d = nano('2026-01-01T23:30:00Z');
+            expect(d.isUTC()).toBe(false);
+            expect(d.utc().isUTC()).toBe(true);
+            expect(d.utc().hour()).toBe(23);
+            expect(d.utc().local().isUTC()).toBe(false);
+            expect(d.utc().local().hour()).toBe(d.hour());
+            expect(d.utc().valueOf()).toBe(d.valueOf());
+        });
+    });
 });
 
 describe('NanoDate Getters', () => {
@@ -573,6 +745,20 @@ describe('Strict Mode', () => {
         it('should throw for non-leap year Feb 29', () => {
             expect(() => strict('2026-02-29')).toThrow(InvalidDateError);
         });
+
+        it('should report reason, field and position', () => {
+            const capture = (fn) => {
+                try {
+                    fn();
+                } catch (e) {
+                    return e;
+                }
+            };
+            expect(capture(() => strict('2026-02-30'))).toMatchObject({ reason: 'calendar-overflow', field: 'day', position: 8 });
+            expect(capture(() => strict('2026-13-01'))).toMatchObject({ reason: 'out-of-range', field: 'month', position: 5 });
+            expect(capture(() => strict('garbage')).reason).toBe('unparseable');
+            expect(capture(() => nano().toTz('Mars/Base'))).toMatchObject({ reason: 'unknown-timezone', field: 'timezone' });
+        });
     });
 
     describe('Global strict mode via config', () => {
@@ -587,6 +773,84 @@ describe('Strict Mode', () => {
             expect(() => nano('2026-02-30')).not.toThrow();
         });
     });
+
+    describe('Global locale and timezone via config', () => {
+        it('should use the configured locale when instance has none', () => {
+            config({ locale: 'tr' });
+            expect(nano('2026-01-21').format('MMMM')).toBe('Ocak');
+            expect(nano.format('2026-01-21', 'MMMM')).toBe('Ocak');
+            expect(fromUnix(1768953600).format('MMMM')).toBe('Ocak');
+            expect(nano.duration(2, 'hours').humanize()).toBe('2 saat sonra');
+        });
+
+        it('should let instance locale win over config', () => {
+            config({ locale: 'tr' });
+            expect(nano('2026-01-21', 'en').format('MMMM')).toBe('January');
+        });
+
+        it('should read strings without offset in the configured timezone', () => {
+            config({ timezone: 'Asia/Tokyo' });
+            const d = nano('2026-01-21T09:00');
+            expect(d.toISOString()).toBe('2026-01-21T00:00:00.000Z');
+            expect(d.format('HH:mm Z')).toBe('09:00 +09:00');
+            expect(nano('2026-01-21T00:00:00Z').hour()).toBe(9);
+            expect(nano.parse('21/01/2026 09:00', 'DD/MM/YYYY HH:mm').toISOString()).toBe('2026-01-21T00:00:00.000Z');
+            expect(strict('2026-01-21').toISOString()).toBe('2026-01-20T15:00:00.000Z');
+        });
+
+        it('should let toTz() win over the configured timezone', () => {
+            config({ timezone: 'Asia/Tokyo' });
+            expect(nano('2026-01-21T00:00:00Z').toTz('UTC').hour()).toBe(0);
+        });
+
+        it('should reject unknown timezones', () => {
+            expect(() => config({ timezone: 'Mars/Base' })).toThrow(InvalidDateError);
+        });
+    });
+
+    describe('Scoped instances via nano.withConfig()', () => {
+        it('should apply its own locale and timezone', () => {
+            const tr = nano.withConfig({ locale: 'tr', timezone: 'Europe/Istanbul' });
+            const d = tr('2026-01-21T10:00');
+            expect(d.toISOString()).toBe('2026-01-21T07:00:00.000Z');
+            expect(d.format('D MMMM HH:mm')).toBe('21 Ocak 10:00');
+            expect(d.add(1, 'month').format('MMMM')).toBe('Şubat');
+            expect(tr.format('2026-01-21T10:00', 'MMMM HH:mm')).toBe('Ocak 10:00');
+            expect(tr.parse('21/01/2026 10:00', 'DD/MM/YYYY HH:mm').toISOString()).toBe('2026-01-21T07:00:00.000Z');
+        });
+
+        it('should not leak settings into nano or other instances', () => {
+            const a = nano.withConfig({ locale: 'tr', strict: true });
+            const b = nano.withConfig({ locale: 'de' });
+            expect(() => a('2026-02-30')).toThrow(InvalidDateError);
+            expect(() => b('2026-02-30')).not.toThrow();
+            expect(() => nano('2026-02-30')).not.toThrow();
+            expect(b('2026-01-21').format('MMMM')).toBe('Januar');
+            expect(nano('2026-01-21').format('MMMM')).toBe('January');
+        });
+
+        it('should snapshot global settings at creation', () => {
+            config({ locale: 'tr' });
+            const scoped = nano.withConfig();
+            config({ locale: 'de' });
+            expect(scoped('2026-01-21').format('MMMM')).toBe('Ocak');
+            scoped.config({ locale: 'fr' });
+            expect(nano('2026-01-21').format('MMMM')).toBe('Januar');
+        });
+
+        it('should keep plugins per instance', () => {
+            const scoped = nano.createInstance();
+            scoped.extend('tenantTag', () => 'acme');
+            expect(scoped('2026-01-21').add(1, 'day').tenantTag()).toBe('acme');
+            expect(nano('2026-01-21').tenantTag).toBeUndefined();
+        });
+
+        it('should have its own cache size', () => {
+            const scoped = nano.withConfig({ cacheSize: 5 });
+            expect(scoped.cacheSize).toBe(5);
+            expect(nano.cacheSize).toBe(50);
+        });
+    });
 });
 
 // ============================================
@@ -667,6 +931,85 @@ describe('Business Day Functions', () => {
             expect(result.day()).toBe(5); // Friday
         });
     });
+
+    describe('weekend option', () => {
+        afterEach(() => nano.resetConfig());
+
+        it('should use a custom weekend on all business-day methods', () => {
+            // 2026-01-22 is Thursday; Friday/Saturday weekend
+            const options = { weekend: [5, 6] };
+            expect(nano('2026-01-23').isBusinessDay(options)).toBe(false);
+            expect(nano('2026-01-25').isBusinessDay(options)).toBe(true);
+            expect(nano('2026-01-22').addBusinessDays(1, options).date()).toBe(25);
+            expect(nano('2026-01-25').prevBusinessDay(options).date()).toBe(22);
+            // Saturday-working site with a holiday on Monday
+            expect(nano('2026-01-22').diffBusinessDays('2026-01-29', { weekend: [0], holidays: ['2026-01-26'] })).toBe(-5);
+        });
+
+        it('should take the default from config and Intl week data', () => {
+            nano.config({ weekend: [5, 6] });
+            expect(nano('2026-01-22').nextBusinessDay().date()).toBe(25);
+            expect(nano('2026-01-22').nextBusinessDay({ weekend: [0, 6] }).date()).toBe(23);
+            expect(nano.withConfig({ weekend: null })('2026-01-22').nextBusinessDay().date()).toBe(23);
+
+            const weekInfo = new Intl.Locale('und-IL').getWeekInfo?.() ?? new Intl.Locale('und-IL').weekInfo;
+            if (weekInfo) {
+                expect(nano('2026-01-23').isBusinessDay({ weekend: 'IL' })).toBe(false);
+                expect(nano('2026-01-25').isBusinessDay({ weekend: 'IL' })).toBe(true);
+            }
+            expect(() => nano.config({ weekend: [0, 1, 2, 3, 4, 5, 6] })).toThrow(RangeError);
+        });
+    });
+
+    describe('nano.holidays', () => {
+        beforeEach(() => {
+            nano.holidays.define('US', [
+                { name: "New Year's Day", month: 1, day: 1 },
+                { name: 'Independence Day', month: 7, day: 4 },
+                { name: 'Thanksgiving', month: 11, weekday: 4, nth: 4 },
+                { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+                { name: 'Good Friday', easter: -2, observed: false },
+                { name: 'Christmas Eve', month: 12, day: 24, half: true }
+            ], { observed: 'nearest' });
+        });
+
+        afterEach(() => {
+            ['US', 'UK', 'GR'].forEach((name) => nano.holidays.remove(name));
+        });
+
+        it('should compile fixed, nth-weekday, Easter and observed holidays', () => {
+            expect(nano.holidays.list('US', 2026).map((h) => h.date + (h.observed ? '*' : '') + (h.half ? '½' : ''))).toEqual([
+                '2026-01-01', '2026-04-03', '2026-05-25', '2026-07-03*', '2026-07-04', '2026-11-26', '2026-12-24½'
+            ]);
+            // Jan 1 2022 (Saturday) is observed on Friday Dec 31
+            expect(nano.holidays.get('US', '2021-12-31')).toMatchObject({ name: "New Year's Day", observed: true });
+
+            nano.holidays.define('UK', [{ name: 'Christmas', month: 12, day: 25 }, { name: 'Boxing Day', month: 12, day: 26 }], { observed: 'next' });
+            expect(nano.holidays.list('UK', 2021).filter((h) => h.observed).map((h) => h.date)).toEqual(['2021-12-27', '2021-12-28']);
+            nano.holidays.define('GR', [{ name: 'Pascha', easter: 0, orthodox: true }]);
+            expect(nano.holidays.list('GR', 2025)[0].date).toBe('2025-04-20');
+        });
+
+        it('should be passed by name to business-day methods', () => {
+            // Wed Nov 25 + 2: Thanksgiving skipped
+            expect(nano('2026-11-25T10:00').addBusinessDays(2, { calendar: 'US' }).format('MM-DD')).toBe('11-30');
+            expect(nano('2026-07-03').isBusinessDay({ calendar: 'US' })).toBe(false);
+            expect(nano('2026-12-24').isBusinessDay({ calendar: 'US' })).toBe(true);
+            expect(nano('2026-07-02').diffBusinessDays('2026-07-07', { calendar: 'US', holidays: ['2026-07-06'] })).toBe(-1);
+            expect(() => nano('2026-07-02').isBusinessDay({ calendar: 'XX' })).toThrow(RangeError);
+            expect(() => nano.holidays.define('bad', [{ name: 'x', month: 13, day: 1 }])).toThrow(RangeError);
+        });
+
+        it('should count multi-year ranges without stepping day by day', () => {
+            const start = nano('2026-01-05T09:00');
+            expect(start.addBusinessDays(2500).format('YYYY-MM-DD HH:mm')).toBe('2035-08-06 09:00');
+            expect(start.addBusinessDays(-2500, { weekend: [5, 6] }).format('YYYY-MM-DD')).toBe('2016-06-06');
+            // 5 full holidays a year (observed days included); the Saturday explicit holiday is not counted
+            expect(start.addBusinessDays(2500, { calendar: 'US' }).format('YYYY-MM-DD')).toBe('2035-10-11');
+            expect(start.diffBusinessDays('2036-01-05T09:00')).toBe(-2609);
+            expect(nano('2036-01-05T09:00').diffBusinessDays(start, { calendar: 'US', holidays: ['2030-03-05', '2030-03-09'] })).toBe(2558);
+        });
+    });
 });
 
 // ============================================
@@ -681,7 +1024,7 @@ describe('Chainable Timezone API', () => {
     });
 
     it('should allow chaining after toTz()', () => {
-        const result = nano('2026-01-22T12:00:00')
+        const result = nano('2026-01-22T12:00:00Z')
             .toTz('America/New_York')
             .add(1, 'day');
         expect(result.date()).toBe(23);
@@ -691,6 +1034,67 @@ describe('Chainable Timezone API', () => {
         const result = nano('2026-01-22').timezone('Europe/London');
         expect(result.format).toBeDefined();
     });
+
+    describe('Zoned instances', () => {
+        const tokyo = () => nano('2026-01-21T00:00:00Z').toTz('Asia/Tokyo');
+
+        it('should format wall-clock time of the zone', () => {
+            expect(tokyo().format('YYYY-MM-DD HH:mm')).toBe('2026-01-21 09:00');
+            expect(tokyo().format('Z')).toBe('+09:00');
+        });
+
+        it('should read getters in the zone', () => {
+            const d = tokyo();
+            expect(d.hour()).toBe(9);
+            expect(d.date()).toBe(21);
+            expect(d.toObject().hour).toBe(9);
+        });
+
+        it('should keep the same instant', () => {
+            expect(tokyo().valueOf()).toBe(Date.parse('2026-01-21T00:00:00Z'));
+        });
+
+        it('should compute startOf/endOf in the zone', () => {
+            const ny = nano('2026-01-21T03:00:00Z').toTz('America/New_York');
+            expect(ny.startOf('day').toISOString()).toBe('2026-01-20T05:00:00.000Z');
+            expect(ny.endOf('month').toISOString()).toBe('2026-02-01T04:59:59.999Z');
+        });
+
+        it('should keep wall-clock time when adding days across DST', () => {
+            const ny = nano('2026-03-07T17:00:00Z').toTz('America/New_York');
+            const next = ny.add(1, 'day');
+            expect(next.toISOString()).toBe('2026-03-08T16:00:00.000Z');
+            expect(next.hour()).toBe(12);
+            expect(ny.add(24, 'hours').hour()).toBe(13);
+        });
+
+        it('should resolve offsets of half-hour transitions', () => {
+            // Lord Howe moves from +10:30 to +11:00 at 15:30 UTC
+            const before = nano('2026-10-03T15:10:00Z').toTz('Australia/Lord_Howe');
+            const after = nano('2026-10-03T15:40:00Z').toTz('Australia/Lord_Howe');
+            expect(after.format('HH:mm Z')).toBe('02:40 +11:00');
+            expect(before.format('HH:mm Z')).toBe('01:40 +10:30');
+        });
+
+        it('should set fields in the zone', () => {
+            expect(tokyo().hour(23).toISOString()).toBe('2026-01-21T14:00:00.000Z');
+        });
+
+        it('should compare by day in the zone', () => {
+            const a = nano('2026-01-21T01:00:00Z').toTz('America/New_York');
+            expect(a.isSame('2026-01-20T23:00:00Z', 'day')).toBe(true);
+            expect(a.isSame('2026-01-21T06:00:00Z', 'day')).toBe(false);
+        });
+
+        it('should stay zoned through batch and clone', () => {
+            expect(tokyo().batch().add(1, 'hour').done().hour()).toBe(10);
+            expect(tokyo().clone().hour()).toBe(9);
+        });
+
+        it('should throw for unknown zones', () => {
+            expect(() => nano().toTz('Mars/Base')).toThrow(InvalidDateError);
+        });
+    });
 });
 
 // ============================================
@@ -900,6 +1304,146 @@ describe('NanoDate v0.1.6 New Features', () => {
             const date = nano.parse('invalid', 'YYYY-MM-DD');
             expect(date.isValid()).toBe(false);
         });
+
+        it('should parse locale month names', () => {
+            expect(nano.parse('21 Ocak 2026', 'D MMMM YYYY', 'tr').format('YYYY-MM-DD')).toBe('2026-01-21');
+            expect(nano.parse('3 şubat 2026', 'D MMMM YYYY', 'tr').month()).toBe(1);
+            expect(nano.parse('January 21, 2026', 'MMMM D, YYYY').date()).toBe(21);
+            expect(nano.parse('21 января 2026', 'D MMMM YYYY', 'ru').month()).toBe(0);
+        });
+
+        it('should parse short names, weekdays and ordinals', () => {
+            expect(nano.parse('Sep 5 2026', 'MMM D YYYY').month()).toBe(8);
+            expect(nano.parse('Wednesday, January 21st 2026', 'dddd, MMMM Do YYYY').format('YYYY-MM-DD')).toBe('2026-01-21');
+        });
+
+        it('should apply parsed offsets', () => {
+            const d = nano.parse('Wed, Jan 21 2026 12:30 +0300', 'ddd, MMM D YYYY HH:mm ZZ');
+            expect(d.toISOString()).toBe('2026-01-21T09:30:00.000Z');
+            expect(nano.parse('2026-01-21 12:30 -05:00', 'YYYY-MM-DD HH:mm Z').toISOString()).toBe('2026-01-21T17:30:00.000Z');
+            expect(nano.parse('2026-01-21 12:30 Z', 'YYYY-MM-DD HH:mm Z').toISOString()).toBe('2026-01-21T12:30:00.000Z');
+        });
+
+        it('should reject unknown month names', () => {
+            expect(nano.parse('21 Foo 2026', 'D MMMM YYYY').isValid()).toBe(false);
+        });
+
+        it('should try a list of formats in order', () => {
+            const formats = ['DD/MM/YYYY', 'YYYY-MM-DD', 'D MMMM YYYY'];
+            const a = nano.parse('2026-01-21', formats);
+            expect(a.format('YYYY-MM-DD')).toBe('2026-01-21');
+            expect(a.parsedFormat()).toBe('YYYY-MM-DD');
+            expect(nano.parse('21 January 2026', formats).parsedFormat()).toBe('D MMMM YYYY');
+            expect(nano.parse('21.01.2026', formats).isValid()).toBe(false);
+            expect(nano.parse('21.01.2026', formats).parsedFormat()).toBeUndefined();
+        });
+
+        it('should be lenient by default and exact with the strict flag', () => {
+            expect(nano.parse('  21  january 2026 ', 'D MMMM YYYY').isValid()).toBe(true);
+            expect(nano.parse('  21  january 2026 ', 'D MMMM YYYY', true).isValid()).toBe(false);
+            expect(nano.parse('3:30 pm', 'h:mm A', 'en', true).isValid()).toBe(false);
+            expect(nano.parse('3:30 PM', ['h:mm a', 'h:mm A'], true).parsedFormat()).toBe('h:mm A');
+        });
+
+        describe('calendar validation', () => {
+            afterEach(() => {
+                resetConfig();
+            });
+
+            it('should reject out-of-range fields instead of rolling over', () => {
+                expect(nano.parse('31/02/2026', 'DD/MM/YYYY').isValid()).toBe(false);
+                expect(nano.parse('29/02/2024', 'DD/MM/YYYY').isValid()).toBe(true);
+                expect(nano.parse('01/13/2026', 'DD/MM/YYYY').isValid()).toBe(false);
+                expect(nano.parse('2026-01-21 25:00', 'YYYY-MM-DD HH:mm').isValid()).toBe(false);
+                expect(nano.parse('2026-01-21 10:61', 'YYYY-MM-DD HH:mm').isValid()).toBe(false);
+                expect(nano.parse('13:00 PM', 'hh:mm A').isValid()).toBe(false);
+            });
+
+            it('should check weekday only with the strict flag', () => {
+                expect(nano.parse('Thu, Jan 21 2026', 'ddd, MMM D YYYY').isValid()).toBe(true);
+                expect(nano.parse('Thu, Jan 21 2026', 'ddd, MMM D YYYY', true).isValid()).toBe(false);
+            });
+
+            it('should throw InvalidDateError naming the field in global strict mode', () => {
+                config({ strict: true });
+                expect(() => nano.parse('31/02/2026', 'DD/MM/YYYY')).toThrow(InvalidDateError);
+                let error;
+                try {
+                    nano.parse('2026-01-21 25:00', 'YYYY-MM-DD HH:mm');
+                } catch (e) {
+                    error = e;
+                }
+                expect(error).toMatchObject({ reason: 'out-of-range', field: 'hour', position: 11 });
+                error = null;
+                try {
+                    nano.parse('2026/01/21', 'YYYY-MM-DD');
+                } catch (e) {
+                    error = e;
+                }
+                expect(error).toMatchObject({ reason: 'format-mismatch', format: 'YYYY-MM-DD', position: 4 });
+                expect(() => nano.parse('nope', 'YYYY-MM-DD')).toThrow(InvalidDateError);
+                expect(nano.parse('21/01/2026', ['YYYY-MM-DD', 'DD/MM/YYYY']).date()).toBe(21);
+            });
+        });
+    });
+
+    describe('Wire formats (RFC 2822, HTTP, CLF)', () => {
+        const instant = Date.UTC(2026, 0, 21, 9, 30, 45);
+
+        afterEach(() => {
+            resetConfig();
+        });
+
+        it('should parse RFC 2822 dates', () => {
+            expect(nano.parseRFC2822('Wed, 21 Jan 2026 12:30:45 +0300').valueOf()).toBe(instant);
+            expect(nano.parseRFC2822('wed, 21 JAN 2026 12:30:45 +0300 (TRT)').valueOf()).toBe(instant);
+            expect(nano.parseRFC2822('21 Jan 26 04:30:45 EST').valueOf()).toBe(instant);
+            expect(nano.parseRFC2822('Thu, 21 Jan 2026 12:30:45 +0300').isValid()).toBe(false);
+            expect(nano.parseRFC2822('31 Feb 2026 12:30:45 GMT').isValid()).toBe(false);
+        });
+
+        it('should parse all three HTTP-date forms', () => {
+            expect(nano.parseHTTPDate('Wed, 21 Jan 2026 09:30:45 GMT').valueOf()).toBe(instant);
+            expect(nano.parseHTTPDate('Wednesday, 21-Jan-26 09:30:45 GMT').valueOf()).toBe(instant);
+            expect(nano.parseHTTPDate('Wed Jan 21 09:30:45 2026').valueOf()).toBe(instant);
+            expect(nano.parseHTTPDate('Sunday, 06-Nov-94 08:49:37 GMT').year()).toBe(1994);
+            expect(nano.parseHTTPDate('Wed, 21 Jan 2026 09:30:45 +0000').isValid()).toBe(false);
+        });
+
+        it('should parse log timestamps independent of locale', () => {
+            expect(nano.parseCLF('21/Jan/2026:12:30:45 +0300').valueOf()).toBe(instant);
+            expect(nano.parseCLF('[21/Jan/2026:02:30:45 -0700]', 'tr').valueOf()).toBe(instant);
+            config({ locale: 'tr' });
+            expect(nano.parseCLF('21/Jan/2026:12:30:45 +0300').valueOf()).toBe(instant);
+        });
+
+        it('should format RFC2822, HTTP and CLF presets', () => {
+            const d = nano(instant, 'tr').toTz('Europe/Istanbul');
+            expect(d.format('RFC2822')).toBe('Wed, 21 Jan 2026 12:30:45 +0300');
+            expect(d.format('HTTP')).toBe('Wed, 21 Jan 2026 09:30:45 GMT');
+            expect(d.format('CLF')).toBe('21/Jan/2026:12:30:45 +0300');
+            expect(nano.parseRFC2822(d.format('RFC2822')).valueOf()).toBe(instant);
+        });
+
+        it('should throw with the wire format name in global strict mode', () => {
+            config({ strict: true });
+            let error;
+            try {
+                nano.parseRFC2822('Wed, 21 Jan 2026 25:30:45 +0300');
+            } catch (e) {
+                error = e;
+            }
+            expect(error).toMatchObject({ reason: 'out-of-range', field: 'hour', format: 'RFC2822', position: 17 });
+            // Comments keep their width, so positions point into the original string
+            const input = '(sent) Wed, 21 Jan 2026 (local) 25:30:45 +0300';
+            try {
+                nano.parseRFC2822(input);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).toMatchObject({ field: 'hour', position: input.indexOf('25') });
+            expect(() => nano.parseHTTPDate('yesterday')).toThrow(InvalidDateError);
+        });
     });
 
     describe('nano.raw operations', () => {
@@ -1165,6 +1709,13 @@ describe('NanoDate v0.1.6 New Features', () => {
             expect(d.asMinutes()).toBe(120);
         });
 
+        it('should count quarters as 3 months', () => {
+            expect(nano.duration(2, 'quarter').toISOString()).toBe('P6M');
+            expect(nano.duration({ Q: 1, months: 1 }).toISOString()).toBe('P4M');
+            expect(nano.duration({ months: 1 }).add(1, 'quarters').toISOString()).toBe('P4M');
+            expect(nano.duration('P1Y').subtract(1, 'Q').asMonths()).toBe(9);
+        });
+
         it('should create duration from milliseconds', () => {
             const d = nano.duration(3600000);
             expect(d.asHours()).toBe(1);
@@ -1196,6 +1747,31 @@ describe('NanoDate v0.1.6 New Features', () => {
             expect(humanized.toLowerCase()).toContain('hour');
         });
 
+        it('should humanize into several units', () => {
+            const d = nano.duration({ days: 2, hours: 3, minutes: 40 });
+            const opts = { units: ['day', 'hour', 'minute'], largest: 2, round: 'floor', listStyle: 'long' };
+            expect(d.humanize('en', opts)).toBe('2 days, 3 hours');
+            expect(d.humanize('en', { ...opts, style: 'narrow' })).toBe('2d, 3h');
+            expect(d.humanize('en', { largest: 2, listStyle: 'long' })).toBe('2 days, 4 hours');
+            expect(d.negate().humanize('en', { largest: 1, listStyle: 'long' })).toBe('-2 days');
+            // Rounding carries into the next unit
+            expect(nano.duration({ minutes: 59, seconds: 40 }).humanize('en', { largest: 1, listStyle: 'long' })).toBe('1 hour');
+            expect(nano.duration(0).humanize('en', { listStyle: 'long' })).toBe('0 seconds');
+            // Larger units are taken out whole before the remainder is rounded
+            const month = nano.duration({ months: 1 });
+            [1, 2, 3].forEach((largest) => expect(month.humanize('en', { largest, listStyle: 'long' })).toBe('1 month'));
+            expect(month.humanize('en', { units: ['month', 'day'], listStyle: 'long' })).toBe('1 month');
+            expect(nano.duration({ hours: 1, minutes: 59, seconds: 40 }).humanize('en', { largest: 2, listStyle: 'long' })).toBe('2 hours');
+        });
+
+        it('should reject unknown humanize units and rounding modes', () => {
+            const d = nano.duration({ days: 2, hours: 3 });
+            expect(() => d.humanize('en', { units: ['fortnight'] })).toThrow(RangeError);
+            expect(() => d.humanize('en', { units: ['day', 'fortnight'] })).toThrow(RangeError);
+            expect(() => d.humanize('en', { round: 'nearest' })).toThrow(RangeError);
+            expect(d.humanize('en', { units: ['days', 'h'], listStyle: 'long' })).toBe('2 days, 3 hours');
+        });
+
         it('should format as ISO 8601', () => {
             const d = nano.duration({ days: 1, hours: 2, minutes: 30 });
             expect(d.toISOString()).toBe('P1DT2H30M');
@@ -1235,5 +1811,322 @@ describe('NanoDate v0.1.6 New Features', () => {
             const d = nano.duration({ hours: 1, minutes: 30, seconds: 45 });
             expect(d.format('HH:mm:ss')).toBe('01:30:45');
         });
+
+        it('should overflow into the largest unit of the pattern', () => {
+            const d = nano.duration({ hours: 50 });
+            expect(d.format('HH:mm:ss')).toBe('50:00:00');
+            expect(d.format('D [days] HH:mm')).toBe('2 days 02:00');
+            expect(d.format('HH:mm', { overflow: false })).toBe('02:00');
+            expect(nano.duration({ hours: 1, minutes: 30, seconds: 45 }).format('m [minutes] s.SSS')).toBe('90 minutes 45.000');
+        });
+
+        it('should keep the sign of negative durations', () => {
+            expect(nano.duration({ hours: -50 }).format('HH:mm:ss')).toBe('-50:00:00');
+            expect(nano.duration({ minutes: -90 }).format('H:mm')).toBe('-1:30');
+            expect(nano.duration({ hours: -50 }).format('D [days] HH:mm', { overflow: false })).toBe('-2 days 02:00');
+            expect(nano.duration({ seconds: -30 }).format('H:mm')).toBe('0:00');
+        });
+
+        it('should format all duration tokens with escaping', () => {
+            const d = nano.duration('P1Y2M3DT4H5M6.007S');
+            expect(d.format('YY-MM-DD HH:mm:ss.SSS')).toBe('01-02-03 04:05:06.007');
+            expect(d.format('Y M D H m s S')).toBe('1 2 3 4 5 6 7');
+            expect(d.format('[Hours and months:] H M')).toBe('Hours and months: 76 14');
+        });
+
+        it('should keep calendar components as given', () => {
+            const d = nano.duration('P1M');
+            expect(d.months()).toBe(1);
+            expect(d.days()).toBe(0);
+            expect(d.toObject()).toEqual({ years: 0, months: 1, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 0, milliseconds: 0 });
+            expect(nano.duration({ minutes: 90 }).minutes()).toBe(90);
+        });
+
+        it('should parse compact, verbose and clock strings', () => {
+            expect(nano.duration('1h30m').toISOString()).toBe('PT1H30M');
+            expect(nano.duration('90s').toISOString()).toBe('PT90S');
+            expect(nano.duration('2 days 4 hours').toISOString()).toBe('P2DT4H');
+            expect(nano.duration('1 hour and 30 minutes').toISOString()).toBe('PT1H30M');
+            expect(nano.duration('3mo').months()).toBe(3);
+            expect(nano.duration('1H30M').toISOString()).toBe('PT1H30M');
+            expect(nano.duration('2M1H').toISOString()).toBe('P2MT1H');
+            expect(nano.duration('1d 2h 15M').toISOString()).toBe('P1DT2H15M');
+            expect(nano.duration('01:30:00').toISOString()).toBe('PT1H30M');
+            expect(nano.duration('-1:30').toISOString()).toBe('-PT1H30M');
+            expect(nano.duration('1.02:03:04.5').toISOString()).toBe('P1DT2H3M4.5S');
+        });
+
+        it('should mark unrecognized strings invalid and throw in strict mode', () => {
+            expect(nano.duration('1h30m').isValid()).toBe(true);
+            expect(nano.duration('garbage').isValid()).toBe(false);
+            expect(nano.duration('P').toISOString()).toBe('PT0S');
+
+            const strict = nano.withConfig({ strict: true });
+            expect(() => strict.duration('1h 30x')).toThrow(InvalidDateError);
+            let error;
+            try {
+                strict.duration('01:75');
+            } catch (e) {
+                error = e;
+            }
+            expect(error).toMatchObject({ reason: 'out-of-range', field: 'minute', position: 3 });
+            expect(strict.duration('90s').asSeconds()).toBe(90);
+        });
+
+        it('should round-trip ISO 8601 strings exactly', () => {
+            for (const iso of ['P1M', 'P1Y2M3W4DT5H6M7.008S', 'PT90S', '-P1D', 'P0.5D', 'PT1.5S', 'P1M-1D', 'PT0S']) {
+                expect(nano.duration(iso).toISOString()).toBe(iso);
+            }
+        });
+
+        it('should normalize without and with relativeTo', () => {
+            expect(nano.duration({ months: 14, minutes: 150 }).normalize().toISOString()).toBe('P1Y2MT2H30M');
+            expect(nano.duration({ weeks: 1, hours: 36 }).normalize().toISOString()).toBe('P8DT12H');
+            expect(nano.duration('P45D').normalize({ relativeTo: '2026-01-01' }).toISOString()).toBe('P1M14D');
+            expect(nano.duration('P1M').normalize({ relativeTo: '2026-01-31' }).toISOString()).toBe('P1M');
+            expect(nano.duration({ months: 1, days: -1 }).normalize({ relativeTo: '2026-02-01' }).toISOString()).toBe('P27D');
+            // 25 hours across the New York spring-forward night = 1 day 2 hours
+            const ny = nano('2026-03-07T17:00:00Z').toTz('America/New_York');
+            expect(nano.duration('PT25H').normalize({ relativeTo: ny }).toISOString()).toBe('P1DT2H');
+        });
+
+        it('should round, floor and ceil like Temporal', () => {
+            expect(nano.duration('PT1H29M40S').round('minute').toISOString()).toBe('PT1H30M');
+            expect(nano.duration('PT1H29M40S').floor('minute').toISOString()).toBe('PT1H29M');
+            expect(nano.duration('PT1H29M10S').ceil('minute').toISOString()).toBe('PT1H30M');
+            expect(nano.duration({ minutes: 130 }).round({ largestUnit: 'hour' }).toISOString()).toBe('PT2H10M');
+            expect(nano.duration('PT8M').round({ smallestUnit: 'minute', roundingIncrement: 5 }).toISOString()).toBe('PT10M');
+            expect(nano.duration('PT2M30S').round({ smallestUnit: 'minute', roundingMode: 'halfEven' }).toISOString()).toBe('PT2M');
+            expect(nano.duration('P45DT13H').round({ largestUnit: 'month', smallestUnit: 'day', relativeTo: '2026-01-01' }).toISOString()).toBe('P1M15D');
+            expect(() => nano.duration('PT1H').round({ smallestUnit: 'day', largestUnit: 'hour' })).toThrow(RangeError);
+        });
+
+        it('should shift to given units and rescale', () => {
+            expect(nano.duration({ days: 1, minutes: 90 }).shiftTo('hours', 'minutes').toISOString()).toBe('PT25H30M');
+            expect(nano.duration({ minutes: 90 }).shiftTo('hours').hours()).toBe(1.5);
+            expect(nano.duration('P1M').shiftTo('days', { relativeTo: '2026-02-01' }).toISOString()).toBe('P28D');
+            expect(nano.duration({ minutes: 1500 }).rescale().toISOString()).toBe('P1DT1H');
+            expect(nano.duration({ months: 14 }).shiftTo('years', 'months', 'days').toISOString()).toBe('P1Y2M');
+            expect(() => nano.duration({ days: 45 }).shiftTo('months', 'days')).toThrow(RangeError);
+            expect(() => nano.duration({ days: 400 }).round({ largestUnit: 'year', smallestUnit: 'day' })).toThrow(RangeError);
+            expect(nano.duration({ days: 400 }).round({ largestUnit: 'year', smallestUnit: 'day', relativeTo: '2026-01-01' }).toISOString()).toBe('P1Y1M4D');
+        });
+
+        it('should break down calendar differences', () => {
+            expect(nano.durationBetween('2024-02-29', '2026-03-01', { calendar: true }).toISOString()).toBe('P2Y1D');
+            expect(nano.durationBetween('2026-03-01', '2024-02-29', { calendar: true }).toISOString()).toBe('-P2Y1D');
+            expect(nano.durationBetween('2024-02-29', '2026-03-01', { units: ['months', 'days'] }).toISOString()).toBe('P24M1D');
+            expect(nano.durationBetween('2026-01-31', '2026-03-01', { units: ['days'] }).toISOString()).toBe('P29D');
+            expect(nano('2026-03-15').diffBreakdown('1990-01-20', ['years', 'months', 'days']).toISOString()).toBe('P36Y1M23D');
+            // Below the smallest unit is truncated
+            expect(nano('2026-03-15T10:30').diffBreakdown('2026-01-01', ['weeks', 'hours']).toISOString()).toBe('P10WT82H');
+        });
+
+        it('should break down across DST on the instance calendar', () => {
+            const ny = nano('2026-03-07T17:00:00Z').toTz('America/New_York');
+            expect(ny.add(1, 'day').diffBreakdown(ny, ['days', 'hours']).toISOString()).toBe('P1D');
+            expect(ny.add(1, 'day').diffBreakdown(ny, ['hours']).toISOString()).toBe('PT23H');
+            expect(nano.durationBetween(ny, ny.add({ months: 1, hours: 5 }), { calendar: true }).toISOString()).toBe('P1MT5H');
+        });
+    });
+
+    describe('Interval', () => {
+        const january = nano.interval('2026-01-01', '2026-02-01');
+        const days = (list) => list.map((i) => i.start().format('MM-DD') + '/' + i.end().format('MM-DD'));
+
+        it('should create from dates, durations and ISO 8601 intervals', () => {
+            expect(nano.interval('2026-01-01/P1M').equals(january)).toBe(true);
+            expect(nano.interval('P1M/2026-02-01').equals(january)).toBe(true);
+            expect(nano.interval('2026-01-01T10:00:00Z/12:00').end().toISOString()).toBe('2026-01-01T12:00:00.000Z');
+            expect(nano.interval('2026-01-01T00:00Z/02T00:00').end().toISOString()).toBe('2026-01-02T00:00:00.000Z');
+            expect(nano.interval('2026-01-01/01-31').equals(nano.interval('2026-01-01', '2026-01-31'))).toBe(true);
+            expect(nano.interval('2026-01-01/2026-02-01', '[]').bounds()).toBe('[]');
+            expect(nano.interval('2026-02-01', '2026-01-01').isValid()).toBe(false);
+            expect(() => nano.withConfig({ strict: true }).interval('nope')).toThrow(InvalidDateError);
+            expect(nano.interval(january.toISOString()).equals(january)).toBe(true);
+        });
+
+        it('should honor bounds in contains, overlaps and abuts', () => {
+            expect(january.contains('2026-01-01')).toBe(true);
+            expect(january.contains('2026-02-01')).toBe(false);
+            expect(nano.interval('2026-01-01', '2026-02-01', '[]').contains('2026-02-01')).toBe(true);
+            const february = nano.interval('2026-02-01/P1M');
+            expect(january.overlaps(february)).toBe(false);
+            expect(january.abuts(february)).toBe(true);
+            expect(nano.interval('2026-01-01', '2026-02-01', '[]').overlaps(february)).toBe(true);
+        });
+
+        it('should intersect, unite and subtract', () => {
+            const late = nano.interval('2026-01-20/2026-02-20');
+            expect(days([january.intersection(late)])).toEqual(['01-20/02-01']);
+            expect(days(january.union(late))).toEqual(['01-01/02-20']);
+            expect(days(january.union(nano.interval('2026-03-01/P1D')))).toEqual(['01-01/02-01', '03-01/03-02']);
+            expect(days(january.difference(nano.interval('2026-01-10/2026-01-12')))).toEqual(['01-01/01-10', '01-12/02-01']);
+            expect(january.intersection(nano.interval('2026-02-01/P1D'))).toBe(null);
+        });
+
+        it('should split, divide and measure', () => {
+            expect(days(nano.interval('2026-01-31/2026-05-01').splitBy({ months: 1 })))
+                .toEqual(['01-31/02-28', '02-28/03-31', '03-31/04-30', '04-30/05-01']);
+            const day = nano.interval('2026-01-01T00:00/2026-01-01T10:00');
+            expect(day.splitBy(3, 'hours').map((i) => i.end().format('HH:mm'))).toEqual(['03:00', '06:00', '09:00', '10:00']);
+            expect(day.divideEqually(4).map((i) => i.end().format('HH:mm'))).toEqual(['02:30', '05:00', '07:30', '10:00']);
+            expect(() => day.divideEqually(0)).toThrow(RangeError);
+            expect(() => day.divideEqually(-2)).toThrow(RangeError);
+            expect(() => day.divideEqually(NaN)).toThrow(RangeError);
+            expect(nano.interval('2026-01-31/2026-03-01').toDuration({ calendar: true }).toISOString()).toBe('P1M1D');
+            expect(january.length('day')).toBe(31);
+        });
+
+        it('should iterate lazily by a step, honoring bounds', () => {
+            const times = (it) => [...it].map((d) => d.format('MM-DD HH:mm'));
+            expect(times(nano.interval('2026-01-01/P3D'))).toEqual(['01-01 00:00', '01-02 00:00', '01-03 00:00']);
+            expect(times(nano.interval('2026-01-01/2026-01-03', '(]'))).toEqual(['01-02 00:00', '01-03 00:00']);
+            expect(times(nano.interval('2026-01-01T00:00/2026-01-01T01:00', '[]').iterate(30, 'minutes')))
+                .toEqual(['01-01 00:00', '01-01 00:30', '01-01 01:00']);
+            expect(times(nano.interval('2026-01-31/2026-05-01').iterate({ months: 1 })))
+                .toEqual(['01-31 00:00', '02-28 00:00', '03-31 00:00', '04-30 00:00']);
+            expect(nano.interval('2026-01-01/P1Y').iterate('PT1H').next().value.format('MM-DD HH:mm')).toBe('01-01 00:00');
+            expect(times(nano.interval('2026-01-05/2026-01-01'))).toEqual([]);
+            expect(() => january.iterate(-1, 'day').next()).toThrow(RangeError);
+        });
+    });
+
+    describe('nano.range()', () => {
+        const days = (it, pattern = 'MM-DD') => [...it].map((d) => d.format(pattern));
+
+        it('should iterate days with exclusive or inclusive end', () => {
+            expect(days(nano.range('2026-01-01', '2026-01-04'))).toEqual(['01-01', '01-02', '01-03']);
+            expect(days(nano.range('2026-01-01', '2026-01-04', { inclusive: true }))).toEqual(['01-01', '01-02', '01-03', '01-04']);
+            expect(days(nano.range('2026-01-05', '2026-01-01', { step: -2 }))).toEqual(['01-05', '01-03']);
+        });
+
+        it('should clamp month ends without drifting', () => {
+            expect(days(nano.range('2026-01-31', '2026-06-01', { unit: 'month' })))
+                .toEqual(['01-31', '02-28', '03-31', '04-30', '05-31']);
+            expect(days(nano.range('2024-02-29', '2026-03-01', { unit: 'year' }), 'YYYY-MM-DD'))
+                .toEqual(['2024-02-29', '2025-02-28', '2026-02-28']);
+        });
+
+        it('should step by Durations, keep DST wall time and yield raw timestamps', () => {
+            expect(days(nano.range('2026-01-01T00:00', '2026-01-01T01:00', { unit: nano.duration('PT15M') }), 'HH:mm'))
+                .toEqual(['00:00', '00:15', '00:30', '00:45']);
+            const ny = nano('2026-03-07T17:00:00Z').toTz('America/New_York');
+            expect(days(nano.range(ny, ny.add(2, 'day')), 'MM-DD HH:mm')).toEqual(['03-07 12:00', '03-08 12:00']);
+            expect([...nano.range('2026-01-01T00:00:00Z', '2026-01-01T00:00:02Z', { unit: 's', raw: true })])
+                .toEqual([1767225600000, 1767225601000]);
+            expect(() => [...nano.range('2026-01-01', '2026-02-01', { step: 0 })]).toThrow(RangeError);
+        });
+
+        it('should yield nothing for an invalid start or end, and throw in strict mode', () => {
+            expect([...nano.range('garbage', '2026-01-05')]).toEqual([]);
+            expect([...nano.range(nano(NaN))]).toEqual([]);
+            expect([...nano.range('2026-01-01', 'garbage')]).toEqual([]);
+            const strict = nano.withConfig({ strict: true });
+            expect(() => [...strict.range(nano(NaN), '2026-01-05')]).toThrow(InvalidDateError);
+            expect(() => [...strict.range('2026-01-01', nano('garbage'))]).toThrow(InvalidDateError);
+        });
+    });
+
+    describe('nano.rrule()', () => {
+        const days = (list, pattern = 'YYYY-MM-DD') => list.map((d) => d.format(pattern));
+
+        it('should expand BYDAY with BYSETPOS and negative positions', () => {
+            const rule = nano.rrule('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2', { dtstart: nano('2026-01-01T10:00') });
+            expect(days(rule.between(nano('2026-01-01'), nano('2026-04-01')), 'MM-DD HH:mm'))
+                .toEqual(['01-13 10:00', '02-10 10:00', '03-10 10:00']);
+            const lastWeekday = nano.rrule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3', { dtstart: '2026-01-01T09:00' });
+            expect(days(lastWeekday.all())).toEqual(['2026-01-30', '2026-02-27', '2026-03-31']);
+        });
+
+        it('should follow RFC 5545 examples', () => {
+            const at = (rule, start) => days(nano.rrule(rule, { dtstart: start }).all());
+            expect(at('FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO;COUNT=3', '1997-05-12T09:00')).toEqual(['1997-05-12', '1998-05-11', '1999-05-17']);
+            expect(at('FREQ=YEARLY;INTERVAL=4;BYMONTH=11;BYDAY=TU;BYMONTHDAY=2,3,4,5,6,7,8;COUNT=3', '1996-11-05T09:00'))
+                .toEqual(['1996-11-05', '2000-11-07', '2004-11-02']);
+            expect(at('FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=TU,TH;COUNT=4', '1997-09-02T09:00'))
+                .toEqual(['1997-09-02', '1997-09-04', '1997-09-16', '1997-09-18']);
+            expect(at('FREQ=MONTHLY;COUNT=3', '2026-01-31T09:00')).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+        });
+
+        it('should expand sub-daily rules inside business hours', () => {
+            const rule = nano.rrule({ freq: 'minutely', interval: 15, byhour: [9, 10, 11, 12, 13, 14, 15, 16], byday: 'MO,TU,WE,TH,FR' }, { dtstart: '2026-01-02T16:30' });
+            expect(days(rule.all(4), 'ddd HH:mm')).toEqual(['Fri 16:30', 'Fri 16:45', 'Mon 09:00', 'Mon 09:15']);
+        });
+
+        it('should keep wall time of zoned instances and apply EXDATE/RDATE', () => {
+            const ny = nano('2026-03-06T14:00:00Z').toTz('America/New_York');
+            const daily = nano.rrule({ freq: 'daily', count: 3, dtstart: ny }).all();
+            expect(daily.map((d) => d.toISOString())).toEqual(['2026-03-06T14:00:00.000Z', '2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z']);
+            expect(daily[2].format('HH:mm')).toBe('09:00');
+
+            const text = 'DTSTART;TZID=Europe/Berlin:20260105T090000\nRRULE:FREQ=WEEKLY;UNTIL=20260115T000000Z;BYDAY=MO,WE\n' +
+                'RDATE;TZID=Europe/Berlin:20260110T120000\nEXDATE;TZID=Europe/Berlin:20260107T090000';
+            const rule = nano.rrule(text);
+            expect(days(rule.all(), 'MM-DD HH:mm')).toEqual(['01-05 09:00', '01-10 12:00', '01-12 09:00', '01-14 09:00']);
+            expect(rule.toString()).toBe(text);
+            expect(nano.rrule('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2').toRule()).toBe('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2');
+        });
+
+        it('should query lazily and report invalid rules', () => {
+            const daily = nano.rrule('FREQ=DAILY', { dtstart: '2026-01-01T09:00' });
+            expect(daily.after('2026-03-01T12:00').format('MM-DD')).toBe('03-02');
+            expect(daily.before('2026-03-01T09:00').format('MM-DD')).toBe('02-28');
+            expect(() => daily.all()).toThrow(RangeError);
+
+            expect(nano.rrule('FREQ=DAILY;BYWEEKNO=2').isValid()).toBe(false);
+            nano.config({ strict: true });
+            try {
+                expect(() => nano.rrule('FREQ=DAILY;COUNT=0')).toThrow(expect.objectContaining({ field: 'COUNT', position: 17 }));
+            } finally {
+                nano.resetConfig();
+            }
+        });
+    });
+
+    describe('nano.cron()', () => {
+        const fmt = (list, pattern = 'YYYY-MM-DD HH:mm') => list.map((d) => d.format(pattern));
+
+        it('should find next, previous and matching weekday times', () => {
+            const job = nano.cron('0 9 * * MON-FRI');
+            expect(job.next(nano('2026-01-02T10:00')).format('YYYY-MM-DD HH:mm ddd')).toBe('2026-01-05 09:00 Mon');
+            expect(job.prev(nano('2026-01-05T08:00')).format('YYYY-MM-DD HH:mm ddd')).toBe('2026-01-02 09:00 Fri');
+            expect(job.isMatch(nano('2026-01-05T09:00'))).toBe(true);
+            expect(job.isMatch(nano('2026-01-05T09:01'))).toBe(false);
+            expect(fmt(nano.cron('*/20 * * * * *').between(nano('2026-01-01T00:00'), nano('2026-01-01T00:01')), 'ss')).toEqual(['20', '40']);
+        });
+
+        it('should support L, W, # and macros', () => {
+            const days = (expr) => fmt(nano.cron(expr).between(nano('2026-01-01T00:00'), nano('2026-04-01T00:00')), 'MM-DD');
+            expect(days('0 0 L * *')).toEqual(['01-31', '02-28', '03-31']);
+            expect(days('0 0 LW * *')).toEqual(['01-30', '02-27', '03-31']);
+            expect(days('0 0 15W * *')).toEqual(['01-15', '02-16', '03-16']);
+            expect(fmt([nano.cron('0 0 31W * *').next(nano('2026-05-01'))], 'YYYY-MM-DD ddd')).toEqual(['2026-05-29 Fri']);
+            expect(nano.cron('0 0 32W * *').isValid()).toBe(false);
+            expect(nano.cron('0 0 L-31 * *').isValid()).toBe(false);
+            expect(days('0 0 * * 5#3')).toEqual(['01-16', '02-20', '03-20']);
+            expect(days('0 0 * * FRIL')).toEqual(['01-30', '02-27', '03-27']);
+            expect(fmt([nano.cron('@yearly').next(nano('2026-03-01')), nano.cron('0 0 29 2 *').next(nano('2026-03-01'))], 'YYYY-MM-DD'))
+                .toEqual(['2027-01-01', '2028-02-29']);
+            expect(nano.cron('0 0 31 2 *').next()).toBeNull();
+        });
+
+        it('should handle DST skips and repeats in a timezone', () => {
+            const ny = { timezone: 'America/New_York' };
+            expect(fmt(nano.cron('30 2 * * *', ny).between('2026-03-07T00:00:00Z', '2026-03-10T00:00:00Z')))
+                .toEqual(['2026-03-07 02:30', '2026-03-08 03:30', '2026-03-09 02:30']);
+            expect(fmt(nano.cron('30 1 * * *', ny).between('2026-10-31T12:00:00Z', '2026-11-02T12:00:00Z'), 'DD HH:mm Z'))
+                .toEqual(['01 01:30 -04:00', '02 01:30 -05:00']);
+            expect(fmt(nano.cron('*/30 * * * *', ny).between('2026-11-01T05:00:00Z', '2026-11-01T07:00:00Z'), 'HH:mm Z'))
+                .toEqual(['01:30 -04:00', '01:00 -05:00', '01:30 -05:00']);
+            expect(fmt([nano.cron('*/30 * * * *', ny).prev('2026-11-01T06:00:00Z')], 'HH:mm Z')).toEqual(['01:30 -04:00']);
+        });
+
+        it('should report invalid expressions', () => {
+            expect(nano.cron('0 25 * * *').isValid()).toBe(false);
+            expect(nano.cron('0 25 * * *').next()).toBeNull();
+            expect(() => nano.withConfig({ strict: true }).cron('0 9 * * FOO'))
+                .toThrow(expect.objectContaining({ field: 'weekday', position: 8 }));
+        });
     });
 });